@@ -34,6 +34,11 @@ async function createWindow() {
   // Initialize core services
   try {
     await initializeDatabase();
+
+    // Jobs wait while ffmpeg is missing or too old; the Dashboard shows why
+    const { checkBinaries } = require('./src/services/binaries');
+    await checkBinaries();
+
     await initializeScanner();
     await initializeEncoder();
     await initializeScheduler();
@@ -63,14 +68,14 @@ ipcMain.handle('get-encoding-queue', async () => {
   return await getEncodingQueue();
 });
 
-ipcMain.handle('start-scan', async (_, libraryPath) => {
+ipcMain.handle('start-scan', async (_, libraryPath, options) => {
   const { scanLibrary } = require('./src/services/scanner');
-  return await scanLibrary(libraryPath);
+  return await scanLibrary(libraryPath, options);
 });
 
-ipcMain.handle('get-gpu-info', async () => {
+ipcMain.handle('get-gpu-info', async (_, options) => {
   const { getGpuInfo } = require('./src/services/encoder');
-  return await getGpuInfo();
+  return await getGpuInfo(options);
 });
 
 ipcMain.handle('restart-job', async (_, jobId) => {
@@ -78,6 +83,16 @@ ipcMain.handle('restart-job', async (_, jobId) => {
   return await restartJob(jobId);
 });
 
+ipcMain.handle('cancel-job', async (_, jobId) => {
+  const { cancelJob } = require('./src/services/encoder');
+  return await cancelJob(jobId);
+});
+
+ipcMain.handle('get-recovery-report', async () => {
+  const { getRecoveryReport } = require('./src/services/encoder');
+  return getRecoveryReport();
+});
+
 ipcMain.handle('set-schedule', async (_, schedule) => {
   const { setSchedule } = require('./src/services/scheduler');
   return await setSchedule(schedule);
@@ -96,4 +111,102 @@ ipcMain.handle('resume-queue', async () => {
 ipcMain.handle('search-jobs', async (_, query) => {
   const { searchJobs } = require('./src/services/encoder');
   return await searchJobs(query);
+});
+
+ipcMain.handle('get-not-beneficial-jobs', async () => {
+  const { getNotBeneficialJobs } = require('./src/services/encoder');
+  return getNotBeneficialJobs();
+});
+
+ipcMain.handle('preview-encode', async (_, options) => {
+  const { previewEncode } = require('./src/services/encoder');
+  return await previewEncode(options);
+});
+
+ipcMain.handle('apply-preview', async (_, jobId) => {
+  const { applyPreview } = require('./src/services/encoder');
+  return applyPreview(jobId);
+});
+
+ipcMain.handle('analyze-media-picture', async (_, mediaId) => {
+  const { analyzeMediaPicture } = require('./src/services/encoder');
+  return await analyzeMediaPicture(mediaId);
+});
+
+ipcMain.handle('set-picture-override', async (_, mediaId, override) => {
+  const { setPictureOverride } = require('./src/services/encoder');
+  return setPictureOverride(mediaId, override);
+});
+
+ipcMain.handle('set-job-downscale', async (_, jobId, override) => {
+  const { setJobDownscale } = require('./src/services/encoder');
+  return setJobDownscale(jobId, override);
+});
+
+ipcMain.handle('get-job-log', async (_, jobId) => {
+  const { getJobLog } = require('./src/services/encoder');
+  return getJobLog(jobId);
+});
+
+ipcMain.handle('get-encoding-profiles', async () => {
+  const { getEncodingProfiles } = require('./src/services/database');
+  return getEncodingProfiles();
+});
+
+ipcMain.handle('set-encoding-profile', async (_, profile) => {
+  const { setEncodingProfile } = require('./src/services/encoder');
+  return setEncodingProfile(profile);
+});
+
+ipcMain.handle('delete-encoding-profile', async (_, profileId) => {
+  const { deleteEncodingProfile } = require('./src/services/database');
+  return deleteEncodingProfile(profileId);
+});
+
+ipcMain.handle('get-settings', async () => {
+  const { getSettings } = require('./src/services/database');
+  return getSettings();
+});
+
+ipcMain.handle('update-settings', async (_, settings) => {
+  const { updateSettings } = require('./src/services/database');
+  const result = updateSettings(settings);
+
+  // New binary paths are checked and used straight away
+  if ('ffmpeg_path' in settings || 'ffprobe_path' in settings) {
+    const { checkBinaries } = require('./src/services/binaries');
+    await checkBinaries({ refresh: true });
+  }
+
+  return result;
+});
+
+ipcMain.handle('get-binary-status', async (_, options) => {
+  const { checkBinaries } = require('./src/services/binaries');
+  return checkBinaries(options);
+});
+
+ipcMain.handle('restore-original', async (_, jobId) => {
+  const { restoreOriginal } = require('./src/services/quarantine');
+  return await restoreOriginal(jobId);
+});
+
+ipcMain.handle('get-quarantine-summary', async () => {
+  const { getQuarantineSummary } = require('./src/services/quarantine');
+  return getQuarantineSummary();
+});
+
+ipcMain.handle('purge-quarantine', async (_, options) => {
+  const { purgeQuarantine } = require('./src/services/quarantine');
+  return await purgeQuarantine(options);
+});
+
+ipcMain.handle('get-libraries', async () => {
+  const { getLibraries } = require('./src/services/database');
+  return getLibraries();
+});
+
+ipcMain.handle('update-library', async (_, libraryId, values) => {
+  const { updateLibrary } = require('./src/services/database');
+  return updateLibrary(libraryId, values);
 }); 
\ No newline at end of file
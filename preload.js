@@ -7,19 +7,45 @@ contextBridge.exposeInMainWorld(
     // Queue and Encoding Functions
     getEncodingQueue: () => ipcRenderer.invoke('get-encoding-queue'),
     restartJob: (jobId) => ipcRenderer.invoke('restart-job', jobId),
+    cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', jobId),
+    getRecoveryReport: () => ipcRenderer.invoke('get-recovery-report'),
     pauseQueue: () => ipcRenderer.invoke('pause-queue'),
     resumeQueue: () => ipcRenderer.invoke('resume-queue'),
     searchJobs: (query) => ipcRenderer.invoke('search-jobs', query),
+    getNotBeneficialJobs: () => ipcRenderer.invoke('get-not-beneficial-jobs'),
+    previewEncode: (options) => ipcRenderer.invoke('preview-encode', options),
+    applyPreview: (jobId) => ipcRenderer.invoke('apply-preview', jobId),
+    analyzeMediaPicture: (mediaId) => ipcRenderer.invoke('analyze-media-picture', mediaId),
+    setPictureOverride: (mediaId, override) => ipcRenderer.invoke('set-picture-override', mediaId, override),
+    setJobDownscale: (jobId, override) => ipcRenderer.invoke('set-job-downscale', jobId, override),
+    getJobLog: (jobId) => ipcRenderer.invoke('get-job-log', jobId),
+    getBinaryStatus: (options) => ipcRenderer.invoke('get-binary-status', options),
+    
+    // Recycle Bin Functions
+    restoreOriginal: (jobId) => ipcRenderer.invoke('restore-original', jobId),
+    getQuarantineSummary: () => ipcRenderer.invoke('get-quarantine-summary'),
+    purgeQuarantine: (options) => ipcRenderer.invoke('purge-quarantine', options),
     
     // Scanner Functions
-    startScan: (libraryPath) => ipcRenderer.invoke('start-scan', libraryPath),
+    startScan: (libraryPath, options) => ipcRenderer.invoke('start-scan', libraryPath, options),
+    getLibraries: () => ipcRenderer.invoke('get-libraries'),
+    updateLibrary: (libraryId, values) => ipcRenderer.invoke('update-library', libraryId, values),
     
     // GPU Information
-    getGpuInfo: () => ipcRenderer.invoke('get-gpu-info'),
+    getGpuInfo: (options) => ipcRenderer.invoke('get-gpu-info', options),
     
     // Scheduler Functions
     setSchedule: (schedule) => ipcRenderer.invoke('set-schedule', schedule),
     
+    // Encoding Profile Functions
+    getEncodingProfiles: () => ipcRenderer.invoke('get-encoding-profiles'),
+    setEncodingProfile: (profile) => ipcRenderer.invoke('set-encoding-profile', profile),
+    deleteEncodingProfile: (profileId) => ipcRenderer.invoke('delete-encoding-profile', profileId),
+    
+    // Settings Functions
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
+    
     // Event handlers
     onQueueUpdate: (callback) => {
       const channel = 'queue-update';
@@ -35,6 +61,13 @@ contextBridge.exposeInMainWorld(
       return () => ipcRenderer.removeListener(channel, subscription);
     },
     
+    onJobProgress: (callback) => {
+      const channel = 'job-progress';
+      const subscription = (_event, data) => callback(data);
+      ipcRenderer.on(channel, subscription);
+      return () => ipcRenderer.removeListener(channel, subscription);
+    },
+    
     onJobStatusChange: (callback) => {
       const channel = 'job-status-change';
       const subscription = (_event, data) => callback(data);
@@ -42,6 +75,13 @@ contextBridge.exposeInMainWorld(
       return () => ipcRenderer.removeListener(channel, subscription);
     },
     
+    onRecoveryReport: (callback) => {
+      const channel = 'recovery-report';
+      const subscription = (_event, data) => callback(data);
+      ipcRenderer.on(channel, subscription);
+      return () => ipcRenderer.removeListener(channel, subscription);
+    },
+    
     onError: (callback) => {
       const channel = 'error';
       const subscription = (_event, data) => callback(data);
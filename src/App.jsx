@@ -12,6 +12,7 @@ function App() {
     queued: [],
     completed: [],
     failed: [],
+    cancelled: [],
     paused: false
   });
   
@@ -6,6 +6,13 @@ function Dashboard({ queueInfo, isLoading }) {
   const [scanPath, setScanPath] = useState('');
   const [isScanning, setIsScanning] = useState(false);
   const [scanProgress, setScanProgress] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [scanProfileId, setScanProfileId] = useState('');
+  const [recoveryReport, setRecoveryReport] = useState(null);
+  const [recoveryDismissed, setRecoveryDismissed] = useState(false);
+  const [isDetecting, setIsDetecting] = useState(false);
+  const [binaryStatus, setBinaryStatus] = useState(null);
+  const [isCheckingBinaries, setIsCheckingBinaries] = useState(false);
   
   useEffect(() => {
     // Get GPU information
@@ -20,16 +27,71 @@ function Dashboard({ queueInfo, isLoading }) {
     
     getGpuInfo();
     
+    // Get encoding profiles for the scan form
+    const getProfiles = async () => {
+      try {
+        const data = await window.api.getEncodingProfiles();
+        setProfiles(data);
+      } catch (error) {
+        console.error('Error getting encoding profiles:', error);
+      }
+    };
+    
+    getProfiles();
+    
+    // Get what the startup recovery pass did, if anything
+    const getRecoveryReport = async () => {
+      try {
+        const report = await window.api.getRecoveryReport();
+        setRecoveryReport(report);
+      } catch (error) {
+        console.error('Error getting recovery report:', error);
+      }
+    };
+    
+    getRecoveryReport();
+    
+    // Whether ffmpeg and ffprobe were found and are recent enough
+    const getBinaryStatus = async () => {
+      try {
+        const status = await window.api.getBinaryStatus();
+        setBinaryStatus(status);
+      } catch (error) {
+        console.error('Error getting ffmpeg status:', error);
+      }
+    };
+    
+    getBinaryStatus();
+    
     // Set up scan progress listener
     const unsubscribeScanProgress = window.api.onScanProgress((data) => {
       setScanProgress(data);
     });
     
+    // The report may arrive after the page has loaded
+    const unsubscribeRecoveryReport = window.api.onRecoveryReport((report) => {
+      setRecoveryReport(report);
+      setRecoveryDismissed(false);
+    });
+    
     return () => {
       unsubscribeScanProgress();
+      unsubscribeRecoveryReport();
     };
   }, []);
   
+  const redetectHardware = async () => {
+    try {
+      setIsDetecting(true);
+      const info = await window.api.getGpuInfo({ refresh: true });
+      setGpuInfo(info);
+      setIsDetecting(false);
+    } catch (error) {
+      console.error('Error detecting hardware:', error);
+      setIsDetecting(false);
+    }
+  };
+  
   const startScan = async () => {
     if (!scanPath.trim()) {
       alert('Please enter a valid path to scan');
@@ -40,7 +102,9 @@ function Dashboard({ queueInfo, isLoading }) {
       setIsScanning(true);
       setScanProgress(null);
       
-      const results = await window.api.startScan(scanPath);
+      const results = await window.api.startScan(scanPath, {
+        profileId: scanProfileId ? Number(scanProfileId) : null
+      });
       
       setIsScanning(false);
       setScanProgress({
@@ -55,7 +119,7 @@ function Dashboard({ queueInfo, isLoading }) {
       });
     }
   };
-
+  
   // Calculate summary numbers
   const totalJobs = queueInfo.processing.length + queueInfo.queued.length + 
                      queueInfo.completed.length + queueInfo.failed.length;
@@ -93,7 +157,31 @@ function Dashboard({ queueInfo, isLoading }) {
   };
   
   const sizeReduction = calculateSizeReduction();
-
+  
+  // Describe a recovery action for the report
+  const recoveryActionLabels = {
+    requeued: 'Requeued',
+    finished_replace: 'Finished replacing original',
+    restored_original: 'Restored original and requeued',
+    failed: 'Marked failed'
+  };
+  
+  const recheckBinaries = async () => {
+    try {
+      setIsCheckingBinaries(true);
+      const status = await window.api.getBinaryStatus({ refresh: true });
+      setBinaryStatus(status);
+    } catch (error) {
+      console.error('Error checking ffmpeg:', error);
+      alert(`Error checking ffmpeg: ${error.message}`);
+    } finally {
+      setIsCheckingBinaries(false);
+    }
+  };
+  
+  const showRecoveryReport = recoveryReport && !recoveryDismissed &&
+    (recoveryReport.jobs.length > 0 || recoveryReport.tempFilesRemoved > 0);
+  
   // Show loading state
   if (isLoading) {
     return (
@@ -102,11 +190,93 @@ function Dashboard({ queueInfo, isLoading }) {
       </div>
     );
   }
-
+  
   return (
     <div className="dashboard">
       <h2>Dashboard</h2>
       
+      {/* Missing or outdated ffmpeg */}
+      {binaryStatus && (!binaryStatus.ok || binaryStatus.warnings.length > 0) && (
+        <div className={`card ${binaryStatus.ok ? 'warning-banner' : 'error-banner'}`}>
+          <div className="card-header">
+            <h3 className="card-title">{binaryStatus.ok ? 'FFmpeg Is Missing Features' : 'FFmpeg Not Usable'}</h3>
+            <button 
+              className="btn btn-sm btn-secondary" 
+              onClick={recheckBinaries}
+              disabled={isCheckingBinaries}
+            >
+              {isCheckingBinaries ? 'Checking...' : 'Check Again'}
+            </button>
+          </div>
+          <div className="card-body">
+            {!binaryStatus.ok && (
+              <>
+                <p className="error-text">{binaryStatus.error}</p>
+                <p>
+                  Encoding is on hold. Install FFmpeg {binaryStatus.minVersion} or newer, or set the 
+                  ffmpeg and ffprobe paths on the <Link to="/settings">Settings</Link> page.
+                </p>
+              </>
+            )}
+            {binaryStatus.warnings.length > 0 && (
+              <ul>
+                {binaryStatus.warnings.map(warning => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            )}
+            <p>
+              <small>
+                ffmpeg: {binaryStatus.ffmpeg.path} ({binaryStatus.ffmpeg.version || 'not found'}), 
+                ffprobe: {binaryStatus.ffprobe.path} ({binaryStatus.ffprobe.version || 'not found'})
+              </small>
+            </p>
+          </div>
+        </div>
+      )}
+      
+      {/* Startup Recovery Report */}
+      {showRecoveryReport && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Recovered From Last Run</h3>
+            <button className="btn btn-sm btn-secondary" onClick={() => setRecoveryDismissed(true)}>
+              Dismiss
+            </button>
+          </div>
+          <div className="card-body">
+            <p>
+              {recoveryReport.jobs.length} interrupted jobs found, 
+              {' '}{recoveryReport.tempFilesRemoved} stale temp files removed.
+            </p>
+            {recoveryReport.jobs.length > 0 && (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Title</th>
+                    <th>Was</th>
+                    <th>Action</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recoveryReport.jobs.map(item => (
+                    <tr key={item.jobId}>
+                      <td>{item.jobId}</td>
+                      <td>{item.title}</td>
+                      <td>{item.previousStatus}</td>
+                      <td>{recoveryActionLabels[item.action] || item.action}</td>
+                      <td>{item.detail}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+      
       {/* Summary Cards */}
       <div className="grid">
         <div className="card">
@@ -141,18 +311,37 @@ function Dashboard({ queueInfo, isLoading }) {
         <div className="card">
           <div className="card-header">
             <h3 className="card-title">Hardware</h3>
+            <button 
+              className="btn btn-sm btn-primary"
+              onClick={redetectHardware}
+              disabled={isDetecting}
+            >
+              {isDetecting ? 'Detecting...' : 'Re-detect'}
+            </button>
           </div>
           <div className="card-body">
             {gpuInfo ? (
               <>
                 <p><strong>Platform:</strong> {gpuInfo.platform}</p>
-                <p><strong>Intel Arc Available:</strong> {gpuInfo.hasIntelArc ? 'Yes' : 'No'}</p>
-                {gpuInfo.hasIntelArc && gpuInfo.details && (
-                  <>
-                    <p><strong>GPU:</strong> {gpuInfo.details.name}</p>
-                    <p><strong>Driver:</strong> {gpuInfo.details.driver}</p>
-                  </>
+                {gpuInfo.adapters && gpuInfo.adapters.length > 0 && (
+                  <p><strong>GPU:</strong> {gpuInfo.adapters.join(', ')}</p>
                 )}
+                {gpuInfo.error && (
+                  <p className="error-text">{gpuInfo.error}</p>
+                )}
+                <ul className="encoder-list">
+                  {gpuInfo.encoders.map(encoder => (
+                    <li key={encoder.name}>
+                      <span className={`status ${encoder.available ? 'status-completed' : 'status-failed'}`}>
+                        {encoder.available ? 'OK' : 'Unavailable'}
+                      </span>
+                      {' '}<strong>{encoder.name}</strong>
+                      {!encoder.available && encoder.reason && (
+                        <small className="error-text"> {encoder.reason}</small>
+                      )}
+                    </li>
+                  ))}
+                </ul>
                 <p><strong>Max Parallel Jobs:</strong> {queueInfo.maxParallelJobs}</p>
               </>
             ) : (
@@ -189,6 +378,21 @@ function Dashboard({ queueInfo, isLoading }) {
             </div>
           </div>
           
+          <div className="form-group">
+            <label htmlFor="scan-profile">Encoding Profile</label>
+            <select 
+              id="scan-profile"
+              className="form-control"
+              value={scanProfileId}
+              onChange={(e) => setScanProfileId(e.target.value)}
+            >
+              <option value="">Default profile</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </div>
+          
           {scanProgress && (
             <div className="scan-progress">
               {scanProgress.error ? (
@@ -264,4 +468,3 @@ function Dashboard({ queueInfo, isLoading }) {
 
 export default Dashboard;
 
- 
\ No newline at end of file
@@ -1,10 +1,37 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 
 function Jobs({ onRefresh }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [hasSearched, setHasSearched] = useState(false);
+  const [notBeneficialJobs, setNotBeneficialJobs] = useState([]);
+  const [previewingJobs, setPreviewingJobs] = useState({});
+  const [jobLog, setJobLog] = useState(null);
+  
+  useEffect(() => {
+    loadNotBeneficialJobs();
+    
+    // A finished job may have been added to the list
+    const unsubscribeJobStatus = window.api.onJobStatusChange((data) => {
+      if (data.status === 'not_beneficial') {
+        loadNotBeneficialJobs();
+      }
+    });
+    
+    return () => {
+      unsubscribeJobStatus();
+    };
+  }, []);
+  
+  const loadNotBeneficialJobs = async () => {
+    try {
+      const data = await window.api.getNotBeneficialJobs();
+      setNotBeneficialJobs(data);
+    } catch (error) {
+      console.error('Error loading not beneficial jobs:', error);
+    }
+  };
   
   const handleSearch = async (e) => {
     e.preventDefault();
@@ -44,6 +71,64 @@ function Jobs({ onRefresh }) {
     }
   };
   
+  const restoreOriginal = async (job) => {
+    if (!window.confirm(`Restore the original file for "${job.title}"? The encoded file will be deleted.`)) {
+      return;
+    }
+    
+    try {
+      await window.api.restoreOriginal(job.id);
+      
+      // Refresh the search results
+      handleSearch({ preventDefault: () => {} });
+      
+      if (onRefresh) {
+        onRefresh();
+      }
+    } catch (error) {
+      console.error(`Error restoring original for job ${job.id}:`, error);
+      alert(`Failed to restore original: ${error.message}`);
+    }
+  };
+  
+  // Open the ffmpeg log of the job's latest attempt
+  const viewLog = async (job) => {
+    try {
+      const log = await window.api.getJobLog(job.id);
+      setJobLog({ jobId: job.id, title: job.title, ...log });
+    } catch (error) {
+      console.error(`Error loading log for job ${job.id}:`, error);
+      alert(`Failed to load log: ${error.message}`);
+    }
+  };
+  
+  // Samples the file again, e.g. after the minimum savings were lowered
+  const previewJob = async (jobId) => {
+    try {
+      setPreviewingJobs(prev => ({ ...prev, [jobId]: true }));
+      await window.api.previewEncode({ jobId });
+      loadNotBeneficialJobs();
+    } catch (error) {
+      console.error(`Error previewing job ${jobId}:`, error);
+      alert(`Failed to preview: ${error.message}`);
+    } finally {
+      setPreviewingJobs(prev => ({ ...prev, [jobId]: false }));
+    }
+  };
+  
+  // Summarize a saved preview made with the job's profile
+  const formatPreview = (job) => {
+    const preview = job.preview_result ? JSON.parse(job.preview_result) : null;
+    if (!preview || preview.profileId !== job.profile_id) return 'N/A';
+    
+    const parts = [`${preview.savedPercent.toFixed(1)}% smaller`, formatBytes(preview.projectedBytes)];
+    if (preview.qualityScore != null) {
+      parts.push(`${preview.qualityMetric.toUpperCase()} ${preview.qualityScore.toFixed(2)}`);
+    }
+    
+    return parts.join(' · ');
+  };
+  
   // Format bytes to human readable format
   const formatBytes = (bytes, decimals = 2) => {
     if (!bytes) return 'N/A';
@@ -56,22 +141,44 @@ function Jobs({ onRefresh }) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
   };
   
+  // Names for the attributes put back on a replaced file
+  const attributeLabels = {
+    times: 'Times',
+    mode: 'Permissions',
+    owner: 'Owner',
+    creationTime: 'Creation time'
+  };
+  
+  // Only attributes that failed or weren't permitted are worth showing; an
+  // unsupported or reset creation time is expected
+  const formatAttributeRestore = (attributeRestore) => {
+    const result = JSON.parse(attributeRestore);
+    const problems = Object.keys(attributeLabels)
+      .filter(key => result[key] && (result[key].startsWith('failed') || result[key].startsWith('not permitted')))
+      .map(key => `${attributeLabels[key]} ${result[key]}`);
+    
+    return problems.length > 0 ? problems.join(', ') : null;
+  };
+  
   // Get status class for styling
   const getStatusClass = (status) => {
     switch (status) {
       case 'completed':
         return 'status-completed';
       case 'processing':
+      case 'verifying':
         return 'status-processing';
       case 'queued':
         return 'status-queued';
       case 'failed':
+      case 'failed_quality':
+      case 'cancelled':
         return 'status-failed';
       default:
         return '';
     }
   };
-
+  
   return (
     <div className="jobs-page">
       <h2>Search Jobs</h2>
@@ -125,9 +232,11 @@ function Jobs({ onRefresh }) {
                         <th>ID</th>
                         <th>Title</th>
                         <th>Status</th>
+                        <th>Profile</th>
                         <th>Original Size</th>
                         <th>New Size</th>
                         <th>Reduction</th>
+                        <th>Quality</th>
                         <th>Date</th>
                         <th>Actions</th>
                       </tr>
@@ -141,6 +250,26 @@ function Jobs({ onRefresh }) {
                             <span className={`status ${getStatusClass(job.status)}`}>
                               {job.status}
                             </span>
+                            {job.error_message && ['failed', 'queued'].includes(job.status) && (
+                              <div className="error-text"><small>{job.error_message}</small></div>
+                            )}
+                            {job.attribute_restore && formatAttributeRestore(job.attribute_restore) && (
+                              <div><small>{formatAttributeRestore(job.attribute_restore)}</small></div>
+                            )}
+                          </td>
+                          <td>
+                            {job.profile_name || 'Default'}
+                            {job.encoder && <div><small>{job.encoder}</small></div>}
+                            {job.target_quality_value != null && (
+                              <div>
+                                <small>
+                                  Quality {job.target_quality_value} (VMAF {job.target_quality_score.toFixed(2)} on samples)
+                                </small>
+                              </div>
+                            )}
+                            {job.downscale_policy && job.output_resolution && (
+                              <div><small>Downscale policy, output {job.output_resolution}</small></div>
+                            )}
                           </td>
                           <td>{formatBytes(job.original_size_bytes)}</td>
                           <td>{formatBytes(job.new_size_bytes)}</td>
@@ -149,6 +278,11 @@ function Jobs({ onRefresh }) {
                               `${job.size_reduction_percent.toFixed(2)}%` : 
                               'N/A'}
                           </td>
+                          <td>
+                            {job.quality_score != null ? 
+                              `${job.quality_metric.toUpperCase()} ${job.quality_score.toFixed(job.quality_metric === 'ssim' ? 4 : 2)}` : 
+                              'N/A'}
+                          </td>
                           <td>
                             {job.completed_at ? 
                               new Date(job.completed_at).toLocaleString() : 
@@ -157,7 +291,7 @@ function Jobs({ onRefresh }) {
                                 'N/A'}
                           </td>
                           <td>
-                            {job.status === 'failed' && (
+                            {['failed', 'failed_quality', 'cancelled'].includes(job.status) && (
                               <button 
                                 className="btn btn-sm btn-primary"
                                 onClick={() => restartJob(job.id)}
@@ -165,6 +299,22 @@ function Jobs({ onRefresh }) {
                                 Restart
                               </button>
                             )}
+                            {job.quarantine_id && (
+                              <button 
+                                className="btn btn-sm btn-danger"
+                                onClick={() => restoreOriginal(job)}
+                              >
+                                Restore original
+                              </button>
+                            )}
+                            {job.log_path && (
+                              <button 
+                                className="btn btn-sm btn-secondary"
+                                onClick={() => viewLog(job)}
+                              >
+                                Log
+                              </button>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -178,6 +328,92 @@ function Jobs({ onRefresh }) {
           )}
         </>
       )}
+      
+      {/* ffmpeg log of a job's latest attempt */}
+      {jobLog && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Log: {jobLog.title} (job {jobLog.jobId})</h3>
+          </div>
+          <div className="card-body">
+            <p><small>{jobLog.path}</small></p>
+            
+            <h4>Commands</h4>
+            {jobLog.commands.length > 0 ? (
+              jobLog.commands.map((command, index) => (
+                <pre key={index} className="log-command">{command}</pre>
+              ))
+            ) : (
+              <p>No ffmpeg command was run.</p>
+            )}
+            
+            <h4>Output{jobLog.truncated ? ' (end)' : ''}</h4>
+            <pre className="log-output">{jobLog.content}</pre>
+            
+            <button className="btn btn-secondary" onClick={() => setJobLog(null)}>
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+      
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Not Beneficial ({notBeneficialJobs.length})</h3>
+        </div>
+        <div className="card-body">
+          <p>These encodes didn't save enough space and were discarded. The originals were kept, and the files won't be queued again with the same profile.</p>
+          {notBeneficialJobs.length > 0 ? (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Title</th>
+                  <th>Profile</th>
+                  <th>Original Size</th>
+                  <th>Encoded Size</th>
+                  <th>Reduction</th>
+                  <th>Date</th>
+                  <th>Preview</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {notBeneficialJobs.map(job => (
+                  <tr key={job.id}>
+                    <td>{job.id}</td>
+                    <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
+                    <td>
+                      {job.profile_name || 'Default'}
+                      {job.encoder && <div><small>{job.encoder}</small></div>}
+                    </td>
+                    <td>{formatBytes(job.original_size_bytes)}</td>
+                    <td>{formatBytes(job.new_size_bytes)}</td>
+                    <td>
+                      {job.size_reduction_percent != null ? 
+                        `${job.size_reduction_percent.toFixed(2)}%` : 
+                        'N/A'}
+                    </td>
+                    <td>{job.completed_at ? new Date(job.completed_at).toLocaleString() : 'N/A'}</td>
+                    <td>{formatPreview(job)}</td>
+                    <td>
+                      <button 
+                        className="btn btn-sm btn-secondary"
+                        onClick={() => previewJob(job.id)}
+                        disabled={previewingJobs[job.id]}
+                      >
+                        {previewingJobs[job.id] ? 'Previewing...' : 'Preview'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p>No discarded encodes</p>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
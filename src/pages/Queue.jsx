@@ -1,7 +1,14 @@
 import React, { useState, useEffect } from 'react';
 
+// Maximum output resolutions a job can be limited to
+const maxResolutionOptions = ['2160p', '1440p', '1080p', '720p', '576p', '480p'];
+
 function Queue({ queueInfo, isLoading, onRefresh }) {
   const [jobProgress, setJobProgress] = useState({});
+  const [previewingJobs, setPreviewingJobs] = useState({});
+  const [pictureEditor, setPictureEditor] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [downscaleEditor, setDownscaleEditor] = useState(null);
   
   useEffect(() => {
     // Set up job progress listener
@@ -27,6 +34,200 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
     }
   };
   
+  const cancelJob = async (jobId) => {
+    if (!window.confirm(`Cancel job ${jobId}? The partial encode will be deleted.`)) {
+      return;
+    }
+    
+    try {
+      await window.api.cancelJob(jobId);
+      onRefresh();
+    } catch (error) {
+      console.error(`Error cancelling job ${jobId}:`, error);
+      alert(`Failed to cancel job: ${error.message}`);
+    }
+  };
+  
+  const previewJob = async (jobId) => {
+    try {
+      setPreviewingJobs(prev => ({ ...prev, [jobId]: true }));
+      await window.api.previewEncode({ jobId });
+      onRefresh();
+    } catch (error) {
+      console.error(`Error previewing job ${jobId}:`, error);
+      alert(`Failed to preview job: ${error.message}`);
+    } finally {
+      setPreviewingJobs(prev => ({ ...prev, [jobId]: false }));
+    }
+  };
+  
+  const applyPreview = async (jobId) => {
+    try {
+      const result = await window.api.applyPreview(jobId);
+      if (result.skipped) {
+        alert(`Job ${jobId} was skipped: ${result.reason}`);
+      }
+      onRefresh();
+    } catch (error) {
+      console.error(`Error applying preview for job ${jobId}:`, error);
+      alert(`Failed to apply preview: ${error.message}`);
+    }
+  };
+  
+  // Open the crop and scan type editor for a queued job's media
+  const editPicture = (job) => {
+    const override = job.picture_override ? JSON.parse(job.picture_override) : {};
+    const crop = override.crop || 'auto';
+    
+    setPictureEditor({
+      jobId: job.id,
+      mediaId: job.media_id,
+      title: job.title,
+      info: job.picture_info ? JSON.parse(job.picture_info) : null,
+      cropMode: ['auto', 'none'].includes(crop) ? crop : 'custom',
+      customCrop: ['auto', 'none'].includes(crop) ? '' : crop,
+      scan: override.scan || 'auto'
+    });
+  };
+  
+  const handlePictureChange = (e) => {
+    const { name, value } = e.target;
+    setPictureEditor(prev => ({ ...prev, [name]: value }));
+  };
+  
+  const analyzePicture = async () => {
+    try {
+      setIsAnalyzing(true);
+      const info = await window.api.analyzeMediaPicture(pictureEditor.mediaId);
+      setPictureEditor(prev => ({ ...prev, info }));
+      onRefresh();
+    } catch (error) {
+      console.error(`Error analyzing media ${pictureEditor.mediaId}:`, error);
+      alert(`Failed to analyze picture: ${error.message}`);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+  
+  const savePicture = async () => {
+    try {
+      await window.api.setPictureOverride(pictureEditor.mediaId, {
+        crop: pictureEditor.cropMode === 'custom' ? pictureEditor.customCrop : pictureEditor.cropMode,
+        scan: pictureEditor.scan
+      });
+      setPictureEditor(null);
+      onRefresh();
+    } catch (error) {
+      console.error(`Error saving picture settings for media ${pictureEditor.mediaId}:`, error);
+      alert(`Failed to save picture settings: ${error.message}`);
+    }
+  };
+  
+  // The job's downscale policy: its library's, with the job's own changes
+  const getDownscalePolicy = (job) => {
+    const override = job.downscale_override ? JSON.parse(job.downscale_override) : {};
+    const library = job.library_downscale_policy || {};
+    const pick = (field) => (field in override ? override[field] : library[field]) || null;
+    
+    return {
+      max_resolution: pick('max_resolution'),
+      max_bitrate_kbps: pick('max_bitrate_kbps'),
+      overridden: Object.keys(override).length > 0
+    };
+  };
+  
+  const formatDownscale = (job) => {
+    const policy = getDownscalePolicy(job);
+    const limits = [
+      policy.max_resolution,
+      policy.max_bitrate_kbps && `${policy.max_bitrate_kbps} kbps`
+    ].filter(Boolean);
+    
+    return `${limits.length > 0 ? limits.join(', ') : 'None'}${policy.overridden ? ' (job)' : ''}`;
+  };
+  
+  // Open the downscale editor for a queued job. Empty fields keep the
+  // library's limit; "No limit" and a bitrate of 0 lift it for this job.
+  const editDownscale = (job) => {
+    const override = job.downscale_override ? JSON.parse(job.downscale_override) : {};
+    const resolution = 'max_resolution' in override ? override.max_resolution || 'none' : 'library';
+    const bitrate = 'max_bitrate_kbps' in override ? String(override.max_bitrate_kbps || 0) : '';
+    
+    setDownscaleEditor({
+      jobId: job.id,
+      title: job.title,
+      library: job.library_downscale_policy || {},
+      resolution,
+      bitrate
+    });
+  };
+  
+  const handleDownscaleChange = (e) => {
+    const { name, value } = e.target;
+    setDownscaleEditor(prev => ({ ...prev, [name]: value }));
+  };
+  
+  const saveDownscale = async () => {
+    const override = {};
+    if (downscaleEditor.resolution !== 'library') {
+      override.max_resolution = downscaleEditor.resolution === 'none' ? null : downscaleEditor.resolution;
+    }
+    if (downscaleEditor.bitrate !== '') {
+      override.max_bitrate_kbps = Number(downscaleEditor.bitrate) || null;
+    }
+    
+    try {
+      await window.api.setJobDownscale(downscaleEditor.jobId, override);
+      setDownscaleEditor(null);
+      onRefresh();
+    } catch (error) {
+      console.error(`Error saving downscale policy for job ${downscaleEditor.jobId}:`, error);
+      alert(`Failed to save downscale policy: ${error.message}`);
+    }
+  };
+  
+  // Describe a detected crop in the W:H:X:Y form the override takes
+  const formatCrop = (info) => {
+    if (!info.crop) return 'no black bars';
+    
+    const { width, height, x, y } = info.crop;
+    return `crop ${width}:${height}:${x}:${y} of ${info.width}x${info.height}`;
+  };
+  
+  // Summarize detected or overridden crop and scan type
+  const formatPicture = (job) => {
+    const info = job.picture_info ? JSON.parse(job.picture_info) : null;
+    const override = job.picture_override ? JSON.parse(job.picture_override) : null;
+    
+    if (!info && !override) return 'Not analyzed';
+    
+    const parts = [];
+    if (info) {
+      parts.push(info.scanType);
+      parts.push(info.crop ? `crop ${info.crop.width}x${info.crop.height}` : 'no crop');
+    }
+    if (override) parts.push('overridden');
+    
+    return parts.join(' · ');
+  };
+  
+  // Describe a failed job that's waiting to be tried again
+  const formatRetry = (job) => {
+    const retryAt = new Date(`${job.retry_after.replace(' ', 'T')}Z`).toLocaleString();
+    const kind = job.failure_label ? ` (${job.failure_label.toLowerCase()})` : '';
+    
+    return `Attempt ${job.retries + 1} after ${retryAt}, the last one failed${kind}`;
+  };
+  
+  // A saved preview only counts if it was made with the job's profile and
+  // downscale policy
+  const getPreview = (job) => {
+    if (!job.preview_result || job.preview_policy_changed) return null;
+    
+    const preview = JSON.parse(job.preview_result);
+    return !job.profile_id || preview.profileId === job.profile_id ? preview : null;
+  };
+  
   // Format bytes to human readable format
   const formatBytes = (bytes, decimals = 2) => {
     if (!bytes) return 'N/A';
@@ -38,7 +239,52 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
   };
-
+  
+  // Format seconds as h:mm:ss
+  const formatDuration = (seconds) => {
+    if (seconds == null) return 'N/A';
+    
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  };
+  
+  // Summarize a progress snapshot for the progress column
+  const formatProgress = (progress) => {
+    if (!progress) return 'Processing...';
+    
+    const parts = [];
+    if (progress.phase) parts.push(progress.phase);
+    if (progress.passes) parts.push(`Pass ${progress.pass}/${progress.passes}`);
+    if (progress.segments) parts.push(`Segments ${progress.segments.done}/${progress.segments.total}`);
+    if (progress.percent != null) parts.push(`${progress.percent.toFixed(1)}%`);
+    else if (progress.time) parts.push(progress.time);
+    if (progress.fps != null) parts.push(`${progress.fps} fps`);
+    if (progress.speed != null) parts.push(`${progress.speed}x`);
+    if (progress.bitrateKbps != null) parts.push(`${Math.round(progress.bitrateKbps)} kbps`);
+    if (progress.outputSizeBytes) parts.push(formatBytes(progress.outputSizeBytes));
+    if (progress.etaSeconds != null) parts.push(`ETA ${formatDuration(progress.etaSeconds)}`);
+    
+    return parts.join(' · ');
+  };
+  
+  // Summarize a preview's projection for the queued jobs table
+  const formatPreview = (preview) => {
+    const parts = [
+      `${preview.savedPercent.toFixed(1)}% smaller`,
+      formatBytes(preview.projectedBytes),
+      `${formatDuration(preview.projectedEncodeSeconds)} to encode`
+    ];
+    if (preview.qualityScore != null) {
+      parts.push(`${preview.qualityMetric.toUpperCase()} ${preview.qualityScore.toFixed(2)}`);
+    }
+    
+    return parts.join(' · ');
+  };
+  
   // Show loading state
   if (isLoading) {
     return (
@@ -47,7 +293,7 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
       </div>
     );
   }
-
+  
   return (
     <div className="queue-page">
       <h2>Encoding Queue</h2>
@@ -67,28 +313,42 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
                   <th>Original Format</th>
                   <th>Size</th>
                   <th>Progress</th>
+                  <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {queueInfo.processing.map(job => (
-                  <tr key={job.id}>
-                    <td>{job.id}</td>
-                    <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
-                    <td>{job.encoding_type}</td>
-                    <td>{formatBytes(job.original_size_bytes)}</td>
-                    <td>
-                      <div className="progress">
-                        <div 
-                          className="progress-bar" 
-                          style={{ width: '50%' }} // We don't have real progress % yet
-                        ></div>
-                      </div>
-                      <div className="progress-text">
-                        {jobProgress[job.id]?.time || 'Processing...'}
-                      </div>
-                    </td>
-                  </tr>
-                ))}
+                {queueInfo.processing.map(job => {
+                  // Live updates win over the snapshot saved on the job row
+                  const progress = jobProgress[job.id] || job.progress;
+                  
+                  return (
+                    <tr key={job.id}>
+                      <td>{job.id}</td>
+                      <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
+                      <td>{job.encoding_type}</td>
+                      <td>{formatBytes(job.original_size_bytes)}</td>
+                      <td>
+                        <div className="progress">
+                          <div 
+                            className="progress-bar" 
+                            style={{ width: `${progress?.percent ?? 0}%` }}
+                          ></div>
+                        </div>
+                        <div className="progress-text">
+                          {job.status === 'verifying' ? 'Verifying quality...' : formatProgress(progress)}
+                        </div>
+                      </td>
+                      <td>
+                        <button 
+                          className="btn btn-sm btn-danger"
+                          onClick={() => cancelJob(job.id)}
+                        >
+                          Cancel
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           ) : (
@@ -112,18 +372,68 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
                   <th>Original Format</th>
                   <th>Size</th>
                   <th>Priority</th>
+                  <th>Picture</th>
+                  <th>Downscale</th>
+                  <th>Preview</th>
+                  <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
-                {queueInfo.queued.map(job => (
-                  <tr key={job.id}>
-                    <td>{job.id}</td>
-                    <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
-                    <td>{job.encoding_type}</td>
-                    <td>{formatBytes(job.original_size_bytes)}</td>
-                    <td>{job.priority}</td>
-                  </tr>
-                ))}
+                {queueInfo.queued.map(job => {
+                  const preview = getPreview(job);
+                  
+                  return (
+                    <tr key={job.id}>
+                      <td>{job.id}</td>
+                      <td>
+                        {job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}
+                        {job.retry_after && (
+                          <div className="error-text"><small>{formatRetry(job)}</small></div>
+                        )}
+                      </td>
+                      <td>{job.encoding_type}</td>
+                      <td>{formatBytes(job.original_size_bytes)}</td>
+                      <td>{job.priority}</td>
+                      <td>{formatPicture(job)}</td>
+                      <td>{formatDownscale(job)}</td>
+                      <td>
+                        {preview ? formatPreview(preview) : 'N/A'}
+                        {preview && preview.shortfall && (
+                          <div className="error-text"><small>{preview.shortfall}</small></div>
+                        )}
+                      </td>
+                      <td>
+                        <button 
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => previewJob(job.id)}
+                          disabled={previewingJobs[job.id]}
+                        >
+                          {previewingJobs[job.id] ? 'Previewing...' : 'Preview'}
+                        </button>
+                        {preview && (
+                          <button 
+                            className="btn btn-sm btn-primary"
+                            onClick={() => applyPreview(job.id)}
+                          >
+                            Apply
+                          </button>
+                        )}
+                        <button 
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => editPicture(job)}
+                        >
+                          Picture
+                        </button>
+                        <button 
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => editDownscale(job)}
+                        >
+                          Downscale
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           ) : (
@@ -132,6 +442,136 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
         </div>
       </div>
       
+      {/* Crop and scan type of a queued job */}
+      {pictureEditor && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Picture: {pictureEditor.title}</h3>
+          </div>
+          <div className="card-body">
+            <p>
+              {pictureEditor.info ? 
+                `Detected ${pictureEditor.info.scanType} (${pictureEditor.info.fieldOrder.toUpperCase()}), ${formatCrop(pictureEditor.info)}` : 
+                'Not analyzed yet. The analysis runs before the encode starts.'}
+            </p>
+            
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="cropMode">Crop:</label>
+                <select
+                  id="cropMode"
+                  name="cropMode"
+                  className="form-control"
+                  value={pictureEditor.cropMode}
+                  onChange={handlePictureChange}
+                >
+                  <option value="auto">Detected</option>
+                  <option value="none">Don't crop</option>
+                  <option value="custom">Custom</option>
+                </select>
+              </div>
+              
+              {pictureEditor.cropMode === 'custom' && (
+                <div className="form-group">
+                  <label htmlFor="customCrop">Width:Height:X:Y:</label>
+                  <input
+                    type="text"
+                    id="customCrop"
+                    name="customCrop"
+                    className="form-control"
+                    placeholder="1920:800:0:140"
+                    value={pictureEditor.customCrop}
+                    onChange={handlePictureChange}
+                  />
+                </div>
+              )}
+              
+              <div className="form-group">
+                <label htmlFor="scan">Scan Type:</label>
+                <select
+                  id="scan"
+                  name="scan"
+                  className="form-control"
+                  value={pictureEditor.scan}
+                  onChange={handlePictureChange}
+                >
+                  <option value="auto">Detected</option>
+                  <option value="progressive">Progressive</option>
+                  <option value="interlaced">Interlaced (deinterlace)</option>
+                  <option value="telecine">Telecined (detelecine)</option>
+                </select>
+              </div>
+            </div>
+            
+            <button className="btn btn-primary" onClick={savePicture}>
+              Save
+            </button>
+            <button className="btn btn-secondary" onClick={analyzePicture} disabled={isAnalyzing}>
+              {isAnalyzing ? 'Analyzing...' : 'Analyze Again'}
+            </button>
+            <button className="btn btn-secondary" onClick={() => setPictureEditor(null)}>
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {/* Maximum resolution and bitrate of a queued job */}
+      {downscaleEditor && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Downscale: {downscaleEditor.title}</h3>
+          </div>
+          <div className="card-body">
+            <p>
+              Library policy: {downscaleEditor.library.max_resolution || 'no resolution limit'}, {downscaleEditor.library.max_bitrate_kbps ? 
+                `${downscaleEditor.library.max_bitrate_kbps} kbps` : 
+                'no bitrate limit'}
+            </p>
+            
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="resolution">Maximum Resolution:</label>
+                <select
+                  id="resolution"
+                  name="resolution"
+                  className="form-control"
+                  value={downscaleEditor.resolution}
+                  onChange={handleDownscaleChange}
+                >
+                  <option value="library">Library default</option>
+                  <option value="none">No limit</option>
+                  {maxResolutionOptions.map(resolution => (
+                    <option key={resolution} value={resolution}>{resolution}</option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="bitrate">Maximum Video Bitrate (kbps):</label>
+                <input
+                  type="number"
+                  id="bitrate"
+                  name="bitrate"
+                  className="form-control"
+                  min="0"
+                  placeholder="Library default, 0 for no limit"
+                  value={downscaleEditor.bitrate}
+                  onChange={handleDownscaleChange}
+                />
+              </div>
+            </div>
+            
+            <button className="btn btn-primary" onClick={saveDownscale}>
+              Save
+            </button>
+            <button className="btn btn-secondary" onClick={() => setDownscaleEditor(null)}>
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+      
       {/* Failed Jobs */}
       <div className="card">
         <div className="card-header">
@@ -154,7 +594,7 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
                   <tr key={job.id}>
                     <td>{job.id}</td>
                     <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
-                    <td className="error-text">{job.error_message?.substring(0, 100) || 'Unknown error'}</td>
+                    <td className="error-text">{job.error_message?.substring(0, 200) || 'Unknown error'}</td>
                     <td>{job.retries}</td>
                     <td>
                       <button 
@@ -174,6 +614,46 @@ function Queue({ queueInfo, isLoading, onRefresh }) {
         </div>
       </div>
       
+      {/* Cancelled Jobs */}
+      {queueInfo.cancelled && queueInfo.cancelled.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Cancelled ({queueInfo.cancelled.length})</h3>
+          </div>
+          <div className="card-body">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Title</th>
+                  <th>Size</th>
+                  <th>Retries</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queueInfo.cancelled.map(job => (
+                  <tr key={job.id}>
+                    <td>{job.id}</td>
+                    <td>{job.title}{job.episode_name ? ` - ${job.episode_name}` : ''}</td>
+                    <td>{formatBytes(job.original_size_bytes)}</td>
+                    <td>{job.retries}</td>
+                    <td>
+                      <button 
+                        className="btn btn-sm btn-primary"
+                        onClick={() => restartJob(job.id)}
+                      >
+                        Requeue
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
       {/* Recently Completed Jobs */}
       <div className="card">
         <div className="card-header">
@@ -1,5 +1,152 @@
 import React, { useState, useEffect } from 'react';
 
+// Blank values for a new encoding profile
+const emptyProfile = {
+  name: '',
+  codec: 'hevc',
+  preset: '',
+  rate_control: 'constant_quality',
+  quality_value: '',
+  rate_value: '',
+  pixel_format: 'p010le',
+  extra_args: '',
+  is_default: false
+};
+
+// Presets understood by both hevc_qsv and libx265
+const encoderPresets = [
+  'veryslow', 'slower', 'slow', 'medium', 'fast', 'faster', 'veryfast'
+];
+
+// Rate control modes, with what the profile's rate value means in each
+const bitrateHint = "Never more than the source's own bitrate";
+const rateControlModes = [
+  { value: 'constant_quality', label: 'Constant quality' },
+  { 
+    value: 'target_vmaf', 
+    label: 'Target VMAF', 
+    unit: 'VMAF', 
+    placeholder: '95', 
+    hint: 'The quality value is searched on samples of each file (quality check sample settings) until they reach this score' 
+  },
+  { value: 'target_bitrate', label: 'Target bitrate', unit: 'kbps', placeholder: 'By resolution', hint: bitrateHint },
+  { value: 'source_relative', label: 'Percent of source bitrate', unit: '%', placeholder: '50', hint: bitrateHint },
+  { value: 'target_size', label: 'Target file size', unit: 'MB', placeholder: 'Required', hint: bitrateHint }
+];
+
+const encoderAccelerators = [
+  { value: 'auto', label: 'Automatic (first working encoder)' },
+  { value: 'qsv', label: 'Intel Quick Sync' },
+  { value: 'vaapi', label: 'VAAPI (Linux)' },
+  { value: 'nvenc', label: 'NVIDIA NVENC' },
+  { value: 'amf', label: 'AMD AMF' },
+  { value: 'software', label: 'Software (CPU)' }
+];
+
+// Maximum output resolutions a library can be limited to
+const maxResolutionOptions = ['2160p', '1440p', '1080p', '720p', '576p', '480p'];
+
+// Summarize a library's downscale policy for the table
+function formatDownscalePolicy(policy) {
+  const limits = [
+    policy && policy.max_resolution,
+    policy && policy.max_bitrate_kbps && `${policy.max_bitrate_kbps} kbps`
+  ].filter(Boolean);
+  
+  return limits.length > 0 ? limits.join(', ') : 'None';
+}
+
+// Form fields for audio and subtitle track selection rules, used for the
+// global rules and for per-library overrides
+function StreamRulesFields({ rules, onChange, idPrefix }) {
+  const update = (field, value) => onChange({ ...rules, [field]: value });
+  const formatList = (list) => (list || []).join(', ');
+  const parseList = (value) => value.split(',').map(item => item.trim());
+  
+  return (
+    <>
+      <div className="form-group">
+        <label>
+          <input 
+            type="checkbox"
+            checked={rules.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+          Select tracks by language
+        </label>
+        <small>When off, every audio and subtitle track is kept</small>
+      </div>
+      
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}_audio_languages`}>Audio Languages:</label>
+          <input 
+            type="text"
+            id={`${idPrefix}_audio_languages`}
+            className="form-control"
+            placeholder="eng, jpn"
+            value={formatList(rules.audio_languages)}
+            onChange={(e) => update('audio_languages', parseList(e.target.value))}
+          />
+          <small>Language codes as tagged in the files, e.g. eng, jpn, ger</small>
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}_original_language`}>Original Language:</label>
+          <input 
+            type="text"
+            id={`${idPrefix}_original_language`}
+            className="form-control"
+            placeholder="First audio track"
+            value={rules.original_language}
+            onChange={(e) => update('original_language', e.target.value)}
+          />
+        </div>
+      </div>
+      
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}_subtitle_languages`}>Subtitle Languages:</label>
+        <input 
+          type="text"
+          id={`${idPrefix}_subtitle_languages`}
+          className="form-control"
+          placeholder="All subtitles"
+          value={formatList(rules.subtitle_languages)}
+          onChange={(e) => update('subtitle_languages', parseList(e.target.value))}
+        />
+        <small>Leave empty to keep every subtitle track</small>
+      </div>
+      
+      <div className="form-group">
+        <label>
+          <input 
+            type="checkbox"
+            checked={rules.keep_original_audio}
+            onChange={(e) => update('keep_original_audio', e.target.checked)}
+          />
+          Always keep original-language audio
+        </label>
+        <label>
+          <input 
+            type="checkbox"
+            checked={rules.keep_commentary}
+            onChange={(e) => update('keep_commentary', e.target.checked)}
+          />
+          Always keep commentary tracks
+        </label>
+        <label>
+          <input 
+            type="checkbox"
+            checked={rules.keep_forced_subtitles}
+            onChange={(e) => update('keep_forced_subtitles', e.target.checked)}
+          />
+          Always keep forced subtitles
+        </label>
+      </div>
+    </>
+  );
+}
+
 function Settings({ onRefresh }) {
   const [schedules, setSchedules] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -11,6 +158,17 @@ function Settings({ onRefresh }) {
     max_parallel_jobs: 2,
     active: true
   });
+  const [profiles, setProfiles] = useState([]);
+  const [editingProfile, setEditingProfile] = useState(null);
+  const [profileForm, setProfileForm] = useState(emptyProfile);
+  const [appSettings, setAppSettings] = useState(null);
+  const [isSavingSettings, setIsSavingSettings] = useState(false);
+  const [quarantineSummary, setQuarantineSummary] = useState(null);
+  const [libraries, setLibraries] = useState([]);
+  const [editingLibrary, setEditingLibrary] = useState(null);
+  const [libraryRules, setLibraryRules] = useState(null);
+  const [downscaleLibrary, setDownscaleLibrary] = useState(null);
+  const [downscaleForm, setDownscaleForm] = useState({ max_resolution: '', max_bitrate_kbps: '' });
   
   // Days of week options
   const daysOfWeek = [
@@ -25,6 +183,10 @@ function Settings({ onRefresh }) {
   
   useEffect(() => {
     loadSchedules();
+    loadProfiles();
+    loadAppSettings();
+    loadQuarantineSummary();
+    loadLibraries();
     
     // Set up schedule status listener
     const unsubscribeScheduleStatus = window.api.onScheduleStatus && window.api.onScheduleStatus((data) => {
@@ -63,6 +225,145 @@ function Settings({ onRefresh }) {
     }
   };
   
+  const loadProfiles = async () => {
+    try {
+      const data = await window.api.getEncodingProfiles();
+      setProfiles(data);
+    } catch (error) {
+      console.error('Error loading encoding profiles:', error);
+    }
+  };
+  
+  const loadAppSettings = async () => {
+    try {
+      const data = await window.api.getSettings();
+      setAppSettings(data);
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  };
+  
+  const loadQuarantineSummary = async () => {
+    try {
+      const data = await window.api.getQuarantineSummary();
+      setQuarantineSummary(data);
+    } catch (error) {
+      console.error('Error loading recycle bin:', error);
+    }
+  };
+  
+  const loadLibraries = async () => {
+    try {
+      const data = await window.api.getLibraries();
+      setLibraries(data);
+    } catch (error) {
+      console.error('Error loading libraries:', error);
+    }
+  };
+  
+  const handleEditLibraryRules = (library) => {
+    setEditingLibrary(library.id);
+    setLibraryRules(library.stream_rules || appSettings.stream_rules);
+  };
+  
+  const saveLibraryRules = async (libraryId, rules) => {
+    try {
+      await window.api.updateLibrary(libraryId, { stream_rules: rules });
+      setEditingLibrary(null);
+      setLibraryRules(null);
+      loadLibraries();
+    } catch (error) {
+      console.error('Error saving library track rules:', error);
+      alert(`Error saving library track rules: ${error.message}`);
+    }
+  };
+  
+  const handleEditLibraryDownscale = (library) => {
+    const policy = library.downscale_policy || {};
+    setDownscaleLibrary(library.id);
+    setDownscaleForm({
+      max_resolution: policy.max_resolution || '',
+      max_bitrate_kbps: policy.max_bitrate_kbps ?? ''
+    });
+  };
+  
+  const saveLibraryDownscale = async (libraryId, form) => {
+    try {
+      const policy = form && (form.max_resolution || form.max_bitrate_kbps) ? {
+        max_resolution: form.max_resolution || null,
+        max_bitrate_kbps: form.max_bitrate_kbps === '' ? null : Number(form.max_bitrate_kbps)
+      } : null;
+      
+      await window.api.updateLibrary(libraryId, { downscale_policy: policy });
+      setDownscaleLibrary(null);
+      loadLibraries();
+    } catch (error) {
+      console.error('Error saving library downscale policy:', error);
+      alert(`Error saving library downscale policy: ${error.message}`);
+    }
+  };
+  
+  const purgeQuarantine = async (all) => {
+    if (all && !window.confirm('Permanently delete every original in the recycle bin?')) {
+      return;
+    }
+    
+    try {
+      const results = await window.api.purgeQuarantine({ all });
+      alert(`Purged ${results.purged} files, freed ${formatBytes(results.freedBytes)}`);
+      loadQuarantineSummary();
+    } catch (error) {
+      console.error('Error purging recycle bin:', error);
+      alert(`Error purging recycle bin: ${error.message}`);
+    }
+  };
+  
+  // Format bytes to human readable format
+  const formatBytes = (bytes, decimals = 2) => {
+    if (!bytes) return '0 Bytes';
+    
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+  };
+  
+  const getInputValue = ({ value, type, checked }) => {
+    if (type === 'checkbox') {
+      return checked;
+    } else if (type === 'number') {
+      return value === '' ? '' : Number(value);
+    }
+    return value;
+  };
+  
+  const handleSettingChange = (e) => {
+    const { name } = e.target;
+    setAppSettings(prev => ({ ...prev, [name]: getInputValue(e.target) }));
+  };
+  
+  // For settings stored as a group, e.g. audio_policy
+  const handleGroupSettingChange = (group) => (e) => {
+    const { name } = e.target;
+    setAppSettings(prev => ({ ...prev, [group]: { ...prev[group], [name]: getInputValue(e.target) } }));
+  };
+  
+  const saveAppSettings = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setIsSavingSettings(true);
+      const data = await window.api.updateSettings(appSettings);
+      setAppSettings(data);
+      setIsSavingSettings(false);
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      setIsSavingSettings(false);
+      alert(`Error saving settings: ${error.message}`);
+    }
+  };
+  
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -170,6 +471,79 @@ function Settings({ onRefresh }) {
     }
   };
   
+  const handleProfileInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setProfileForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+  
+  const handleEditProfile = (profile) => {
+    setEditingProfile(profile.id);
+    setProfileForm({
+      name: profile.name,
+      codec: profile.codec,
+      preset: profile.preset || '',
+      rate_control: profile.rate_control,
+      quality_value: profile.quality_value ?? '',
+      rate_value: profile.rate_value ?? '',
+      pixel_format: profile.pixel_format,
+      extra_args: profile.extra_args || '',
+      is_default: !!profile.is_default
+    });
+  };
+  
+  const selectedRateMode = rateControlModes.find(mode => mode.value === profileForm.rate_control) || 
+    rateControlModes[0];
+  
+  const describeRateControl = (profile) => {
+    const mode = rateControlModes.find(item => item.value === profile.rate_control);
+    if (!mode || !mode.unit) {
+      return profile.quality_value ?? 'Encoder default';
+    }
+    return `${mode.label}: ${profile.rate_value ?? mode.placeholder}${profile.rate_value != null ? ` ${mode.unit}` : ''}`;
+  };
+  
+  const handleNewProfile = () => {
+    setEditingProfile('new');
+    setProfileForm(emptyProfile);
+  };
+  
+  const handleCancelProfileEdit = () => {
+    setEditingProfile(null);
+    setProfileForm(emptyProfile);
+  };
+  
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    
+    try {
+      await window.api.setEncodingProfile({
+        id: editingProfile === 'new' ? undefined : editingProfile,
+        ...profileForm
+      });
+      
+      setEditingProfile(null);
+      setProfileForm(emptyProfile);
+      loadProfiles();
+    } catch (error) {
+      console.error('Error saving encoding profile:', error);
+      alert(`Error saving encoding profile: ${error.message}`);
+    }
+  };
+  
+  const deleteProfile = async (profile) => {
+    if (!window.confirm(`Delete encoding profile "${profile.name}"?`)) {
+      return;
+    }
+    
+    try {
+      await window.api.deleteEncodingProfile(profile.id);
+      loadProfiles();
+    } catch (error) {
+      console.error(`Error deleting encoding profile ${profile.id}:`, error);
+      alert(`Error deleting encoding profile: ${error.message}`);
+    }
+  };
+  
   // Format day names from values
   const formatDays = (daysString) => {
     if (!daysString) return 'None';
@@ -180,7 +554,7 @@ function Settings({ onRefresh }) {
       return day ? day.label : '';
     }).join(', ');
   };
-
+  
   // Show loading state
   if (isLoading) {
     return (
@@ -189,7 +563,7 @@ function Settings({ onRefresh }) {
       </div>
     );
   }
-
+  
   return (
     <div className="settings-page">
       <h2>Settings</h2>
@@ -342,31 +716,1099 @@ function Settings({ onRefresh }) {
         </div>
       </div>
       
-      {/* Encoding Settings */}
+      {/* Encoding Profiles */}
       <div className="card">
         <div className="card-header">
-          <h3 className="card-title">Encoding Settings</h3>
+          <h3 className="card-title">Encoding Profiles</h3>
+          <button className="btn btn-sm btn-primary" onClick={handleNewProfile}>
+            New Profile
+          </button>
         </div>
         <div className="card-body">
-          <p>These settings control how files are encoded.</p>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Codec</th>
+                <th>Preset</th>
+                <th>Quality / Rate</th>
+                <th>Pixel Format</th>
+                <th>Extra Args</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map(profile => (
+                <tr key={profile.id}>
+                  <td>
+                    {profile.name}
+                    {profile.is_default ? (
+                      <span className="status status-completed" style={{ marginLeft: '8px' }}>Default</span>
+                    ) : null}
+                  </td>
+                  <td>{profile.codec}</td>
+                  <td>{profile.preset || 'Encoder default'}</td>
+                  <td>{describeRateControl(profile)}</td>
+                  <td>{profile.pixel_format}</td>
+                  <td><code>{profile.extra_args || '-'}</code></td>
+                  <td>
+                    <button 
+                      className="btn btn-sm btn-primary"
+                      onClick={() => handleEditProfile(profile)}
+                      style={{ marginRight: '8px' }}
+                    >
+                      Edit
+                    </button>
+                    {!profile.is_default && (
+                      <button 
+                        className="btn btn-sm btn-danger"
+                        onClick={() => deleteProfile(profile)}
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {profiles.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center">No encoding profiles configured</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
           
-          {/* In a real implementation, we would have more settings here */}
-          <div className="encoding-settings">
-            <div className="form-group">
-              <label>Target Format:</label>
-              <select className="form-control" disabled>
-                <option>HEVC (H.265) 10-bit</option>
-              </select>
-              <small>Currently, only HEVC 10-bit is supported</small>
+          {/* Edit Profile Form */}
+          {editingProfile !== null && (
+            <div className="schedule-form">
+              <h4>{editingProfile === 'new' ? 'New Profile' : 'Edit Profile'}</h4>
+              <form onSubmit={handleProfileSubmit}>
+                <div className="form-group">
+                  <label htmlFor="profile_name">Name:</label>
+                  <input 
+                    type="text"
+                    id="profile_name"
+                    name="name"
+                    className="form-control"
+                    value={profileForm.name}
+                    onChange={handleProfileInputChange}
+                    required
+                  />
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="profile_codec">Codec:</label>
+                    <select 
+                      id="profile_codec"
+                      name="codec"
+                      className="form-control"
+                      value={profileForm.codec}
+                      onChange={handleProfileInputChange}
+                    >
+                      <option value="hevc">HEVC (H.265)</option>
+                      <option value="av1">AV1</option>
+                    </select>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="profile_preset">Preset:</label>
+                    <select 
+                      id="profile_preset"
+                      name="preset"
+                      className="form-control"
+                      value={profileForm.preset}
+                      onChange={handleProfileInputChange}
+                    >
+                      <option value="">Encoder default</option>
+                      {encoderPresets.map(preset => (
+                        <option key={preset} value={preset}>{preset}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="profile_rate_control">Rate Control:</label>
+                    <select 
+                      id="profile_rate_control"
+                      name="rate_control"
+                      className="form-control"
+                      value={profileForm.rate_control}
+                      onChange={handleProfileInputChange}
+                    >
+                      {rateControlModes.map(mode => (
+                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                      ))}
+                    </select>
+                    <small>Bitrate modes run two passes on encoders that support it (x265, libaom)</small>
+                  </div>
+                  
+                  {selectedRateMode.unit && (
+                    <div className="form-group">
+                      <label htmlFor="profile_rate_value">{selectedRateMode.label} ({selectedRateMode.unit}):</label>
+                      <input 
+                        type="number"
+                        id="profile_rate_value"
+                        name="rate_value"
+                        className="form-control"
+                        min="0"
+                        step="any"
+                        placeholder={selectedRateMode.placeholder}
+                        value={profileForm.rate_value}
+                        onChange={handleProfileInputChange}
+                      />
+                      <small>{selectedRateMode.hint}</small>
+                    </div>
+                  )}
+                  
+                  {!selectedRateMode.unit && (
+                    <div className="form-group">
+                      <label htmlFor="profile_quality_value">Quality Value:</label>
+                      <input 
+                        type="number"
+                        id="profile_quality_value"
+                        name="quality_value"
+                        className="form-control"
+                        min="0"
+                        max="51"
+                        step="0.5"
+                        placeholder="Encoder default"
+                        value={profileForm.quality_value}
+                        onChange={handleProfileInputChange}
+                      />
+                      <small>On the x265 CRF scale; lower is better quality but larger files. Hardware encoders get an equivalent value.</small>
+                    </div>
+                  )}
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="profile_pixel_format">Pixel Format:</label>
+                  <select 
+                    id="profile_pixel_format"
+                    name="pixel_format"
+                    className="form-control"
+                    value={profileForm.pixel_format}
+                    onChange={handleProfileInputChange}
+                  >
+                    <option value="p010le">p010le (10-bit)</option>
+                    <option value="yuv420p10le">yuv420p10le (10-bit)</option>
+                    <option value="yuv420p">yuv420p (8-bit)</option>
+                    <option value="nv12">nv12 (8-bit)</option>
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="profile_extra_args">Extra FFmpeg Arguments:</label>
+                  <input 
+                    type="text"
+                    id="profile_extra_args"
+                    name="extra_args"
+                    className="form-control"
+                    placeholder="e.g. -x265-params aq-mode=3"
+                    value={profileForm.extra_args}
+                    onChange={handleProfileInputChange}
+                  />
+                  <small>Added to the output options, before the output file</small>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="is_default"
+                      checked={profileForm.is_default}
+                      onChange={handleProfileInputChange}
+                    />
+                    Default profile
+                  </label>
+                </div>
+                
+                <div className="form-actions">
+                  <button type="submit" className="btn btn-primary">
+                    Save Profile
+                  </button>
+                  <button 
+                    type="button" 
+                    className="btn btn-secondary"
+                    onClick={handleCancelProfileEdit}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
             </div>
+          )}
+        </div>
+      </div>
+      
+      {/* Quality Verification */}
+      {appSettings && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Quality Verification</h3>
+          </div>
+          <div className="card-body">
+            <p>Compare each encode with its source before the original is replaced. Encodes scoring below the threshold are discarded and the original is kept.</p>
             
-            <div className="form-group">
-              <label>Hardware Acceleration:</label>
-              <select className="form-control" disabled>
-                <option>Intel QSV (Arc GPU)</option>
-              </select>
-              <small>Hardware acceleration is automatically detected</small>
-            </div>
+            <form onSubmit={saveAppSettings}>
+              <div className="form-group">
+                <label>
+                  <input 
+                    type="checkbox"
+                    name="verify_quality"
+                    checked={appSettings.verify_quality}
+                    onChange={handleSettingChange}
+                  />
+                  Verify quality before replacing originals
+                </label>
+              </div>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="verify_metric">Metric:</label>
+                  <select 
+                    id="verify_metric"
+                    name="verify_metric"
+                    className="form-control"
+                    value={appSettings.verify_metric}
+                    onChange={handleSettingChange}
+                  >
+                    <option value="vmaf">VMAF (needs ffmpeg with libvmaf)</option>
+                    <option value="ssim">SSIM</option>
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="verify_scope">Scope:</label>
+                  <select 
+                    id="verify_scope"
+                    name="verify_scope"
+                    className="form-control"
+                    value={appSettings.verify_scope}
+                    onChange={handleSettingChange}
+                  >
+                    <option value="sampled">Sampled segments</option>
+                    <option value="full">Whole file</option>
+                  </select>
+                </div>
+              </div>
+              
+              {appSettings.verify_scope === 'sampled' && (
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="verify_sample_count">Segments:</label>
+                    <input 
+                      type="number"
+                      id="verify_sample_count"
+                      name="verify_sample_count"
+                      className="form-control"
+                      min="1"
+                      max="20"
+                      value={appSettings.verify_sample_count}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="verify_sample_seconds">Segment Length (seconds):</label>
+                    <input 
+                      type="number"
+                      id="verify_sample_seconds"
+                      name="verify_sample_seconds"
+                      className="form-control"
+                      min="1"
+                      max="300"
+                      value={appSettings.verify_sample_seconds}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                </div>
+              )}
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="vmaf_threshold">Minimum VMAF:</label>
+                  <input 
+                    type="number"
+                    id="vmaf_threshold"
+                    name="vmaf_threshold"
+                    className="form-control"
+                    min="0"
+                    max="100"
+                    step="0.5"
+                    value={appSettings.vmaf_threshold}
+                    onChange={handleSettingChange}
+                  />
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="ssim_threshold">Minimum SSIM:</label>
+                  <input 
+                    type="number"
+                    id="ssim_threshold"
+                    name="ssim_threshold"
+                    className="form-control"
+                    min="0"
+                    max="1"
+                    step="0.001"
+                    value={appSettings.ssim_threshold}
+                    onChange={handleSettingChange}
+                  />
+                </div>
+              </div>
+              
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary" disabled={isSavingSettings}>
+                  {isSavingSettings ? 'Saving...' : 'Save Settings'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      
+      {/* Recycle Bin */}
+      {appSettings && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Recycle Bin</h3>
+          </div>
+          <div className="card-body">
+            <p>Move originals to a holding directory instead of overwriting them, so they can be restored from the Jobs page.</p>
+            
+            <form onSubmit={saveAppSettings}>
+              <div className="form-group">
+                <label>
+                  <input 
+                    type="checkbox"
+                    name="quarantine_originals"
+                    checked={appSettings.quarantine_originals}
+                    onChange={handleSettingChange}
+                  />
+                  Keep replaced originals in the recycle bin
+                </label>
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="quarantine_dir">Recycle Bin Directory:</label>
+                <input 
+                  type="text"
+                  id="quarantine_dir"
+                  name="quarantine_dir"
+                  className="form-control"
+                  placeholder={quarantineSummary ? quarantineSummary.directory : ''}
+                  value={appSettings.quarantine_dir}
+                  onChange={handleSettingChange}
+                />
+                <small>A directory on the same drive as the library avoids copying large files</small>
+              </div>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="quarantine_max_age_days">Keep For (days):</label>
+                  <input 
+                    type="number"
+                    id="quarantine_max_age_days"
+                    name="quarantine_max_age_days"
+                    className="form-control"
+                    min="0"
+                    value={appSettings.quarantine_max_age_days}
+                    onChange={handleSettingChange}
+                  />
+                  <small>0 keeps originals regardless of age</small>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="quarantine_max_size_gb">Maximum Size (GB):</label>
+                  <input 
+                    type="number"
+                    id="quarantine_max_size_gb"
+                    name="quarantine_max_size_gb"
+                    className="form-control"
+                    min="0"
+                    value={appSettings.quarantine_max_size_gb}
+                    onChange={handleSettingChange}
+                  />
+                  <small>0 keeps originals regardless of total size</small>
+                </div>
+              </div>
+              
+              {quarantineSummary && (
+                <p>
+                  <strong>Currently held:</strong> {quarantineSummary.files.length} files, {formatBytes(quarantineSummary.totalBytes)}
+                </p>
+              )}
+              
+              <div className="form-actions">
+                <button type="submit" className="btn btn-primary" disabled={isSavingSettings}>
+                  {isSavingSettings ? 'Saving...' : 'Save Settings'}
+                </button>
+                <button 
+                  type="button" 
+                  className="btn btn-secondary"
+                  onClick={() => purgeQuarantine(false)}
+                >
+                  Apply Retention Now
+                </button>
+                <button 
+                  type="button" 
+                  className="btn btn-danger"
+                  onClick={() => purgeQuarantine(true)}
+                >
+                  Empty Recycle Bin
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+      
+      {/* Track Selection */}
+      {appSettings && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Track Selection</h3>
+          </div>
+          <div className="card-body">
+            <p>Drop audio dubs and subtitle tracks you don't want when files are encoded. Tracks without a language tag are always kept, and a file never loses all of its audio. Libraries can override these rules below.</p>
+            
+            <form onSubmit={saveAppSettings}>
+              <StreamRulesFields 
+                idPrefix="stream_rules"
+                rules={appSettings.stream_rules}
+                onChange={(rules) => setAppSettings(prev => ({ ...prev, stream_rules: rules }))}
+              />
+              
+              <button type="submit" className="btn btn-primary" disabled={isSavingSettings}>
+                {isSavingSettings ? 'Saving...' : 'Save Settings'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+      
+      {/* Audio */}
+      {appSettings && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Audio</h3>
+          </div>
+          <div className="card-body">
+            <p>Audio is copied unless a rule below applies. Tracks the output container can't hold are always transcoded.</p>
+            
+            <form onSubmit={saveAppSettings}>
+              <div className="form-group">
+                <label>
+                  <input 
+                    type="checkbox"
+                    name="transcode_lossless"
+                    checked={appSettings.audio_policy.transcode_lossless}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  />
+                  Transcode lossless and PCM audio (TrueHD, DTS-HD MA, FLAC, PCM)
+                </label>
+              </div>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="audio_transcode_codec">Transcode To:</label>
+                  <select 
+                    id="audio_transcode_codec"
+                    name="transcode_codec"
+                    className="form-control"
+                    value={appSettings.audio_policy.transcode_codec}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  >
+                    <option value="eac3">E-AC-3 (up to 5.1)</option>
+                    <option value="opus">Opus</option>
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="audio_surround_bitrate">Surround Bitrate (kbps):</label>
+                  <input 
+                    type="number"
+                    id="audio_surround_bitrate"
+                    name="surround_bitrate_kbps"
+                    className="form-control"
+                    min="64"
+                    value={appSettings.audio_policy.surround_bitrate_kbps}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  />
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="audio_stereo_bitrate">Stereo Bitrate (kbps):</label>
+                  <input 
+                    type="number"
+                    id="audio_stereo_bitrate"
+                    name="stereo_bitrate_kbps"
+                    className="form-control"
+                    min="32"
+                    value={appSettings.audio_policy.stereo_bitrate_kbps}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  />
+                </div>
+              </div>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="add_stereo_track"
+                      checked={appSettings.audio_policy.add_stereo_track}
+                      onChange={handleGroupSettingChange('audio_policy')}
+                    />
+                    Add an AAC stereo track when there is none
+                  </label>
+                  <small>Lets clients without surround support direct play</small>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="audio_stereo_track_bitrate">Stereo Track Bitrate (kbps):</label>
+                  <input 
+                    type="number"
+                    id="audio_stereo_track_bitrate"
+                    name="stereo_track_bitrate_kbps"
+                    className="form-control"
+                    min="32"
+                    value={appSettings.audio_policy.stereo_track_bitrate_kbps}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  />
+                </div>
+              </div>
+              
+              <div className="form-row">
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="normalize_loudness"
+                      checked={appSettings.audio_policy.normalize_loudness}
+                      onChange={handleGroupSettingChange('audio_policy')}
+                    />
+                    Normalize loudness of transcoded tracks
+                  </label>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="audio_loudness_target">Target Loudness (LUFS):</label>
+                  <input 
+                    type="number"
+                    id="audio_loudness_target"
+                    name="loudness_target_lufs"
+                    className="form-control"
+                    min="-70"
+                    max="-5"
+                    value={appSettings.audio_policy.loudness_target_lufs}
+                    onChange={handleGroupSettingChange('audio_policy')}
+                  />
+                </div>
+              </div>
+              
+              <button type="submit" className="btn btn-primary" disabled={isSavingSettings}>
+                {isSavingSettings ? 'Saving...' : 'Save Settings'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+      
+      {/* Libraries */}
+      {appSettings && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Libraries</h3>
+          </div>
+          <div className="card-body">
+            {libraries.length === 0 ? (
+              <p>Libraries appear here once they have been scanned from the Dashboard.</p>
+            ) : (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Path</th>
+                    <th>Last Scanned</th>
+                    <th>Track Rules</th>
+                    <th>Downscale</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {libraries.map(library => (
+                    <tr key={library.id}>
+                      <td>{library.path}</td>
+                      <td>{library.last_scanned_at ? new Date(`${library.last_scanned_at.replace(' ', 'T')}Z`).toLocaleString() : '-'}</td>
+                      <td>{library.stream_rules ? 'Custom' : 'Global'}</td>
+                      <td>{formatDownscalePolicy(library.downscale_policy)}</td>
+                      <td>
+                        <button 
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => handleEditLibraryRules(library)}
+                        >
+                          {library.stream_rules ? 'Edit Rules' : 'Customize'}
+                        </button>
+                        {library.stream_rules && (
+                          <button 
+                            className="btn btn-sm btn-secondary"
+                            onClick={() => saveLibraryRules(library.id, null)}
+                          >
+                            Use Global
+                          </button>
+                        )}
+                        <button 
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => handleEditLibraryDownscale(library)}
+                        >
+                          Downscale
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            
+            {editingLibrary && libraryRules && (
+              <form 
+                className="library-rules-form"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  saveLibraryRules(editingLibrary, libraryRules);
+                }}
+              >
+                <h4>Track rules for {libraries.find(library => library.id === editingLibrary)?.path}</h4>
+                
+                <StreamRulesFields 
+                  idPrefix={`library_${editingLibrary}`}
+                  rules={libraryRules}
+                  onChange={setLibraryRules}
+                />
+                
+                <div className="form-actions">
+                  <button type="submit" className="btn btn-primary">Save Library Rules</button>
+                  <button 
+                    type="button" 
+                    className="btn btn-secondary"
+                    onClick={() => {
+                      setEditingLibrary(null);
+                      setLibraryRules(null);
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+            
+            {downscaleLibrary && (
+              <form 
+                className="library-rules-form"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  saveLibraryDownscale(downscaleLibrary, downscaleForm);
+                }}
+              >
+                <h4>Downscale policy for {libraries.find(library => library.id === downscaleLibrary)?.path}</h4>
+                <p>Files over these limits are queued and encoded down to them. The aspect ratio is kept and nothing is scaled up.</p>
+                
+                <div className="form-group">
+                  <label htmlFor="library_max_resolution">Maximum Resolution</label>
+                  <select
+                    id="library_max_resolution"
+                    className="form-control"
+                    value={downscaleForm.max_resolution}
+                    onChange={(e) => setDownscaleForm(prev => ({ ...prev, max_resolution: e.target.value }))}
+                  >
+                    <option value="">No limit</option>
+                    {maxResolutionOptions.map(resolution => (
+                      <option key={resolution} value={resolution}>{resolution}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="library_max_bitrate">Maximum Video Bitrate (kbps)</label>
+                  <input
+                    type="number"
+                    id="library_max_bitrate"
+                    className="form-control"
+                    min="1"
+                    placeholder="No limit"
+                    value={downscaleForm.max_bitrate_kbps}
+                    onChange={(e) => setDownscaleForm(prev => ({ ...prev, max_bitrate_kbps: e.target.value }))}
+                  />
+                </div>
+                
+                <div className="form-actions">
+                  <button type="submit" className="btn btn-primary">Save Downscale Policy</button>
+                  <button 
+                    type="button" 
+                    className="btn btn-secondary"
+                    onClick={() => setDownscaleLibrary(null)}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {/* Encoding Settings */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="card-title">Encoding Settings</h3>
+        </div>
+        <div className="card-body">
+          <p>These settings control how files are encoded.</p>
+          
+          {/* In a real implementation, we would have more settings here */}
+          <div className="encoding-settings">
+            <p>The output codec (HEVC or AV1) is chosen per encoding profile.</p>
+            
+            {appSettings && (
+              <form onSubmit={saveAppSettings}>
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="reencode_hevc_to_av1"
+                      checked={appSettings.reencode_hevc_to_av1}
+                      onChange={handleSettingChange}
+                    />
+                    Re-encode HEVC files to AV1
+                  </label>
+                  <small>HEVC files are queued only when scanning with an AV1 profile. Applies from the next scan.</small>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="output_container">Output Container:</label>
+                    <select 
+                      id="output_container"
+                      name="output_container"
+                      className="form-control"
+                      value={appSettings.output_container}
+                      onChange={handleSettingChange}
+                    >
+                      <option value="keep">Same as the source</option>
+                      <option value="mkv">MKV</option>
+                      <option value="mp4">MP4</option>
+                    </select>
+                    <small>MKV is used instead when a file has tracks MP4 can't hold, such as PGS subtitles or fonts</small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="legacy_container">AVI, WMV, FLV and MPEG Sources:</label>
+                    <select 
+                      id="legacy_container"
+                      name="legacy_container"
+                      className="form-control"
+                      value={appSettings.legacy_container}
+                      onChange={handleSettingChange}
+                    >
+                      <option value="mkv">Convert to MKV</option>
+                      <option value="mp4">Convert to MP4</option>
+                    </select>
+                    <small>These containers can't reliably hold HEVC or AV1. The old file is deleted, or moved to the recycle bin.</small>
+                  </div>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="min_savings_value">Minimum Savings:</label>
+                    <input
+                      type="number"
+                      id="min_savings_value"
+                      name="min_savings_value"
+                      className="form-control"
+                      min="0"
+                      step="any"
+                      value={appSettings.min_savings_value}
+                      onChange={handleSettingChange}
+                    />
+                    <small>Encodes that save less are discarded and the original kept. Encodes larger than the original are always discarded.</small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="min_savings_mode">Measured In:</label>
+                    <select
+                      id="min_savings_mode"
+                      name="min_savings_mode"
+                      className="form-control"
+                      value={appSettings.min_savings_mode}
+                      onChange={handleSettingChange}
+                    >
+                      <option value="percent">Percent of the original size</option>
+                      <option value="mb">MB</option>
+                    </select>
+                  </div>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="encoder_accelerator">Hardware Acceleration:</label>
+                  <select 
+                    id="encoder_accelerator"
+                    name="encoder_accelerator"
+                    className="form-control"
+                    value={appSettings.encoder_accelerator}
+                    onChange={handleSettingChange}
+                  >
+                    {encoderAccelerators.map(accelerator => (
+                      <option key={accelerator.value} value={accelerator.value}>{accelerator.label}</option>
+                    ))}
+                  </select>
+                  <small>Falls back to the first working encoder if the preferred one fails detection</small>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="ffmpeg_path">FFmpeg Path:</label>
+                    <input
+                      type="text"
+                      id="ffmpeg_path"
+                      name="ffmpeg_path"
+                      className="form-control"
+                      placeholder="Bundled copy, or ffmpeg on the PATH"
+                      value={appSettings.ffmpeg_path}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="ffprobe_path">FFprobe Path:</label>
+                    <input
+                      type="text"
+                      id="ffprobe_path"
+                      name="ffprobe_path"
+                      className="form-control"
+                      placeholder="Bundled copy, or ffprobe on the PATH"
+                      value={appSettings.ffprobe_path}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor="dolby_vision_policy">Dolby Vision Sources:</label>
+                  <select
+                    id="dolby_vision_policy"
+                    name="dolby_vision_policy"
+                    className="form-control"
+                    value={appSettings.dolby_vision_policy}
+                    onChange={handleSettingChange}
+                  >
+                    <option value="skip">Skip</option>
+                    <option value="base_layer">Keep only the HDR10 or HLG base layer</option>
+                  </select>
+                  <small>Dolby Vision is lost when re-encoding. Profile 5 files have no base layer and are always skipped. HDR10 and HLG metadata is kept.</small>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="auto_crop"
+                      checked={appSettings.auto_crop}
+                      onChange={handleSettingChange}
+                    />
+                    Crop black bars automatically
+                  </label>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="auto_deinterlace"
+                      checked={appSettings.auto_deinterlace}
+                      onChange={handleSettingChange}
+                    />
+                    Deinterlace or detelecine automatically
+                  </label>
+                  <small>Each file is analyzed before its first encode. The detected values can be changed per file on the Queue page.</small>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="segmented_encoding"
+                      checked={appSettings.segmented_encoding}
+                      onChange={handleSettingChange}
+                    />
+                    Encode large files in segments
+                  </label>
+                  <small>Splits the video at keyframes and encodes the pieces in parallel using free queue slots. Segments are encoded in a single pass.</small>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="preview_sample_count">Preview Samples:</label>
+                    <input
+                      type="number"
+                      id="preview_sample_count"
+                      name="preview_sample_count"
+                      className="form-control"
+                      min="1"
+                      value={appSettings.preview_sample_count}
+                      onChange={handleSettingChange}
+                    />
+                    <small>Short encodes spread through the file, used to project the size and time of the full encode</small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="preview_sample_seconds">Sample Length (seconds):</label>
+                    <input
+                      type="number"
+                      id="preview_sample_seconds"
+                      name="preview_sample_seconds"
+                      className="form-control"
+                      min="1"
+                      value={appSettings.preview_sample_seconds}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input 
+                      type="checkbox"
+                      name="preview_measure_quality"
+                      checked={appSettings.preview_measure_quality}
+                      onChange={handleSettingChange}
+                    />
+                    Score preview samples with the quality check metric
+                  </label>
+                </div>
+                
+                {appSettings.segmented_encoding && (
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="segment_min_size_gb">Minimum File Size (GB):</label>
+                      <input
+                        type="number"
+                        id="segment_min_size_gb"
+                        name="segment_min_size_gb"
+                        className="form-control"
+                        min="0"
+                        step="any"
+                        value={appSettings.segment_min_size_gb}
+                        onChange={handleSettingChange}
+                      />
+                    </div>
+                    
+                    <div className="form-group">
+                      <label htmlFor="segment_seconds">Segment Length (seconds):</label>
+                      <input
+                        type="number"
+                        id="segment_seconds"
+                        name="segment_seconds"
+                        className="form-control"
+                        min="30"
+                        value={appSettings.segment_seconds}
+                        onChange={handleSettingChange}
+                      />
+                    </div>
+                    
+                    <div className="form-group">
+                      <label htmlFor="segment_retries">Retries per Segment:</label>
+                      <input
+                        type="number"
+                        id="segment_retries"
+                        name="segment_retries"
+                        className="form-control"
+                        min="0"
+                        value={appSettings.segment_retries}
+                        onChange={handleSettingChange}
+                      />
+                    </div>
+                  </div>
+                )}
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="retry_max_attempts">Attempts per Job:</label>
+                    <input
+                      type="number"
+                      id="retry_max_attempts"
+                      name="retry_max_attempts"
+                      className="form-control"
+                      min="1"
+                      value={appSettings.retry_max_attempts}
+                      onChange={handleSettingChange}
+                    />
+                    <small>Failed jobs are queued again, in software after a hardware encoder error or with audio transcoded after a copy error. 1 turns this off.</small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="retry_base_delay_minutes">First Retry After (minutes):</label>
+                    <input
+                      type="number"
+                      id="retry_base_delay_minutes"
+                      name="retry_base_delay_minutes"
+                      className="form-control"
+                      min="0"
+                      value={appSettings.retry_base_delay_minutes}
+                      onChange={handleSettingChange}
+                    />
+                    <small>Doubles with each attempt</small>
+                  </div>
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="job_log_max_files">Job Logs Kept:</label>
+                    <input
+                      type="number"
+                      id="job_log_max_files"
+                      name="job_log_max_files"
+                      className="form-control"
+                      min="0"
+                      value={appSettings.job_log_max_files}
+                      onChange={handleSettingChange}
+                    />
+                    <small>The ffmpeg output of each attempt, shown from the Jobs page. 0 keeps any number.</small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label htmlFor="job_log_max_age_days">Delete Job Logs After (days):</label>
+                    <input
+                      type="number"
+                      id="job_log_max_age_days"
+                      name="job_log_max_age_days"
+                      className="form-control"
+                      min="0"
+                      value={appSettings.job_log_max_age_days}
+                      onChange={handleSettingChange}
+                    />
+                  </div>
+                </div>
+                
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="preserve_creation_time"
+                      checked={appSettings.preserve_creation_time}
+                      onChange={handleSettingChange}
+                    />
+                    Keep the original's creation time on the encoded file
+                  </label>
+                  <small>Times, permissions and owner are always carried over. Creation time can be set on Windows and macOS only.</small>
+                </div>
+                
+                <button type="submit" className="btn btn-primary" disabled={isSavingSettings}>
+                  {isSavingSettings ? 'Saving...' : 'Save Settings'}
+                </button>
+              </form>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,52 @@
+const { 
+  mapQualityToRange, 
+  buildBitrateArgs, 
+  buildQsvInputArgs, 
+  buildQsvScaleFilters 
+} = require('./common');
+
+/**
+ * Intel Quick Sync AV1 encoder (Arc and newer)
+ */
+module.exports = {
+  name: 'av1_qsv',
+  label: 'Intel Quick Sync (AV1)',
+  codec: 'av1',
+  accelerator: 'qsv',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'nv12', tenBit: 'p010le' },
+    hdrMetadata: true,
+    twoPass: false,
+    hardwareDeinterlace: false,
+    hardwareScale: true,
+    cappedQuality: false
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  // Same ICQ scale as hevc_qsv
+  mapQuality(quality) {
+    return mapQualityToRange(quality, -5, 1, 51);
+  },
+  
+  buildInputArgs({ scale }) {
+    return buildQsvInputArgs(scale);
+  },
+  
+  buildFilters({ pixelFormat, scale }) {
+    return buildQsvScaleFilters(pixelFormat, scale);
+  },
+  
+  buildOutputArgs({ preset, quality, pixelFormat, rateControl, scale }) {
+    return [
+      '-c:v', 'av1_qsv',
+      '-preset', preset,
+      ...(rateControl ? buildBitrateArgs(rateControl) : ['-global_quality', this.mapQuality(quality)]),
+      '-profile:v', 'main',           // AV1 main covers 8 and 10-bit 4:2:0
+      ...(scale ? [] : ['-pix_fmt', pixelFormat])
+    ];
+  }
+};
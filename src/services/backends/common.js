@@ -0,0 +1,107 @@
+// Presets an encoding profile may pick, slowest first. Backends map these
+// onto their own speed controls.
+const commonPresets = ['veryslow', 'slower', 'slow', 'medium', 'fast', 'faster', 'veryfast'];
+
+// Profiles store quality on the x265 CRF scale: 0-51, lower is better
+const DEFAULT_QUALITY = 28;
+
+/**
+ * Check whether a pixel format carries 10-bit samples
+ */
+function isTenBit(pixelFormat) {
+  return /10/.test(pixelFormat || '');
+}
+
+/**
+ * Pick the HEVC profile that matches the bit depth
+ */
+function hevcProfileFor(tenBit) {
+  return tenBit ? 'main10' : 'main';
+}
+
+/**
+ * Shift a common quality value onto an encoder's own scale and keep it in range
+ */
+function mapQualityToRange(quality, offset, min, max) {
+  return String(Math.round(Math.min(max, Math.max(min, quality + offset))));
+}
+
+/**
+ * Bitrate arguments for a rate control target from getRateControl
+ */
+function buildBitrateArgs({ bitrateKbps, maxrateKbps, bufsizeKbps }) {
+  return [
+    '-b:v', `${bitrateKbps}k`,
+    '-maxrate', `${maxrateKbps}k`,
+    '-bufsize', `${bufsizeKbps}k`
+  ];
+}
+
+/**
+ * Peak bitrate arguments that cap a constant quality encode
+ */
+function buildMaxrateArgs(maxBitrateKbps) {
+  return [
+    '-maxrate', `${maxBitrateKbps}k`,
+    '-bufsize', `${maxBitrateKbps * 2}k`
+  ];
+}
+
+/**
+ * Input arguments for the Quick Sync backends. Scaling on the GPU needs a
+ * named device the decoder and the filters share.
+ */
+function buildQsvInputArgs(scale) {
+  if (scale) {
+    return [
+      '-init_hw_device', 'qsv=qsv:hw',
+      '-filter_hw_device', 'qsv',
+      '-hwaccel', 'qsv',
+      '-hwaccel_device', 'qsv'
+    ];
+  }
+  
+  return [
+    '-hwaccel', 'qsv',
+    // Windows numbers adapters; elsewhere the default device is used
+    ...(process.platform === 'win32' ? ['-hwaccel_device', '0'] : [])
+  ];
+}
+
+/**
+ * Filters that upload the software-filtered frames and scale them with
+ * scale_qsv. The pixel format is set before the upload, so the encoder
+ * must not be given -pix_fmt as well.
+ */
+function buildQsvScaleFilters(pixelFormat, scale) {
+  if (!scale) {
+    return [];
+  }
+  
+  return [
+    `format=${pixelFormat}`,
+    'hwupload=extra_hw_frames=64',
+    `scale_qsv=w=${scale.width}:h=${scale.height}`
+  ];
+}
+
+/**
+ * Position of a preset from 0 (slowest) to 1 (fastest), or null if unknown
+ */
+function presetSpeed(preset) {
+  const index = commonPresets.indexOf(preset);
+  return index === -1 ? null : index / (commonPresets.length - 1);
+}
+
+module.exports = {
+  commonPresets,
+  DEFAULT_QUALITY,
+  isTenBit,
+  hevcProfileFor,
+  mapQualityToRange,
+  buildBitrateArgs,
+  buildMaxrateArgs,
+  buildQsvInputArgs,
+  buildQsvScaleFilters,
+  presetSpeed
+};
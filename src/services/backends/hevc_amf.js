@@ -0,0 +1,54 @@
+const { hevcProfileFor, mapQualityToRange, buildBitrateArgs, presetSpeed } = require('./common');
+
+/**
+ * AMD AMF HEVC encoder (Windows)
+ */
+module.exports = {
+  name: 'hevc_amf',
+  label: 'AMD AMF (HEVC)',
+  codec: 'hevc',
+  accelerator: 'amf',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'nv12', tenBit: 'p010le' },
+    hdrMetadata: false,
+    twoPass: false,
+    hardwareDeinterlace: false,
+    hardwareScale: false,
+    cappedQuality: false
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  mapQuality(quality) {
+    return mapQualityToRange(quality, -5, 0, 51);
+  },
+  
+  // AMF only has three speed levels
+  mapPreset(preset) {
+    const speed = presetSpeed(preset);
+    if (speed === null) return 'balanced';
+    if (speed < 0.4) return 'quality';
+    return speed > 0.6 ? 'speed' : 'balanced';
+  },
+  
+  buildInputArgs() {
+    return [];
+  },
+  
+  buildOutputArgs({ preset, quality, tenBit, pixelFormat, rateControl }) {
+    const qp = this.mapQuality(quality);
+    
+    return [
+      '-c:v', 'hevc_amf',
+      '-quality', this.mapPreset(preset),
+      ...(rateControl ? 
+        ['-rc', 'vbr_peak', ...buildBitrateArgs(rateControl)] : 
+        ['-rc', 'cqp', '-qp_i', qp, '-qp_p', qp]),
+      '-profile:v', hevcProfileFor(tenBit),
+      '-pix_fmt', pixelFormat
+    ];
+  }
+};
@@ -0,0 +1,54 @@
+const { hevcProfileFor, mapQualityToRange, buildBitrateArgs, buildMaxrateArgs, presetSpeed } = require('./common');
+
+/**
+ * NVIDIA NVENC HEVC encoder
+ */
+module.exports = {
+  name: 'hevc_nvenc',
+  label: 'NVIDIA NVENC (HEVC)',
+  codec: 'hevc',
+  accelerator: 'nvenc',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'yuv420p', tenBit: 'p010le' },
+    hdrMetadata: false,
+    twoPass: false,
+    hardwareDeinterlace: false,
+    hardwareScale: false,
+    cappedQuality: true
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  // cq 0 means "let the driver decide", so the range starts at 1
+  mapQuality(quality) {
+    return mapQualityToRange(quality, -5, 1, 51);
+  },
+  
+  // NVENC presets run from p7 (slowest) to p1 (fastest)
+  mapPreset(preset) {
+    const speed = presetSpeed(preset);
+    return `p${speed === null ? 4 : Math.round(7 - speed * 6)}`;
+  },
+  
+  buildInputArgs() {
+    return ['-hwaccel', 'cuda'];
+  },
+  
+  // NVENC can't run ffmpeg-level passes, but analyses each frame twice itself
+  buildOutputArgs({ preset, quality, tenBit, pixelFormat, rateControl, maxBitrateKbps }) {
+    return [
+      '-c:v', 'hevc_nvenc',
+      '-preset', this.mapPreset(preset),
+      '-rc', 'vbr',
+      ...(rateControl ? 
+        [...buildBitrateArgs(rateControl), '-multipass', 'fullres'] : 
+        ['-cq', this.mapQuality(quality), '-b:v', '0',  // No bitrate target, cq alone decides
+          ...(maxBitrateKbps ? buildMaxrateArgs(maxBitrateKbps) : [])]),
+      '-profile:v', hevcProfileFor(tenBit),
+      '-pix_fmt', pixelFormat
+    ];
+  }
+};
@@ -0,0 +1,54 @@
+const { 
+  hevcProfileFor, 
+  mapQualityToRange, 
+  buildBitrateArgs, 
+  buildQsvInputArgs, 
+  buildQsvScaleFilters 
+} = require('./common');
+
+/**
+ * Intel Quick Sync HEVC encoder
+ */
+module.exports = {
+  name: 'hevc_qsv',
+  label: 'Intel Quick Sync (HEVC)',
+  codec: 'hevc',
+  accelerator: 'qsv',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'nv12', tenBit: 'p010le' },
+    hdrMetadata: true,
+    twoPass: false,
+    hardwareDeinterlace: false,
+    hardwareScale: true,
+    cappedQuality: false
+  },
+  defaults: {
+    preset: 'veryfast'
+  },
+  
+  // ICQ needs a lower value than x265 CRF for the same visual quality
+  mapQuality(quality) {
+    return mapQualityToRange(quality, -5, 1, 51);
+  },
+  
+  buildInputArgs({ scale }) {
+    return buildQsvInputArgs(scale);
+  },
+  
+  buildFilters({ pixelFormat, scale }) {
+    return buildQsvScaleFilters(pixelFormat, scale);
+  },
+  
+  // With a bitrate target, maxrate above the bitrate selects VBR
+  buildOutputArgs({ preset, quality, tenBit, pixelFormat, rateControl, scale }) {
+    return [
+      '-c:v', 'hevc_qsv',
+      '-preset', preset,
+      ...(rateControl ? buildBitrateArgs(rateControl) : ['-global_quality', this.mapQuality(quality)]),
+      '-profile:v', hevcProfileFor(tenBit),
+      ...(scale ? [] : ['-pix_fmt', pixelFormat])
+    ];
+  }
+};
@@ -0,0 +1,56 @@
+const { hevcProfileFor, mapQualityToRange, buildBitrateArgs } = require('./common');
+const { VAAPI_DEVICE } = require('../hardware');
+
+/**
+ * VAAPI HEVC encoder (Intel and AMD on Linux). Frames are decoded in software
+ * and uploaded, which works for every source codec.
+ */
+module.exports = {
+  name: 'hevc_vaapi',
+  label: 'VAAPI (HEVC)',
+  codec: 'hevc',
+  accelerator: 'vaapi',
+  capabilities: {
+    tenBit: true,
+    presets: false,
+    pixelFormats: { eightBit: 'nv12', tenBit: 'p010le' },
+    hdrMetadata: true,
+    twoPass: false,
+    hardwareDeinterlace: true,
+    hardwareScale: true,
+    cappedQuality: false
+  },
+  defaults: {
+    preset: null
+  },
+  
+  // Constant QP needs a lower value than x265 CRF for the same visual quality
+  mapQuality(quality) {
+    return mapQualityToRange(quality, -5, 0, 51);
+  },
+  
+  buildInputArgs() {
+    return ['-vaapi_device', VAAPI_DEVICE];
+  },
+  
+  // Upload has to come after any software filters. Interlaced sources are
+  // deinterlaced and downscaled on the GPU once uploaded.
+  buildFilters({ pixelFormat, picture, scale }) {
+    return [
+      `format=${pixelFormat}`,
+      'hwupload',
+      ...(picture && picture.scanType === 'interlaced' ? ['deinterlace_vaapi=rate=frame'] : []),
+      ...(scale ? [`scale_vaapi=w=${scale.width}:h=${scale.height}`] : [])
+    ];
+  },
+  
+  buildOutputArgs({ quality, tenBit, rateControl }) {
+    return [
+      '-c:v', 'hevc_vaapi',
+      ...(rateControl ? 
+        ['-rc_mode', 'VBR', ...buildBitrateArgs(rateControl)] : 
+        ['-rc_mode', 'CQP', '-qp', this.mapQuality(quality)]),
+      '-profile:v', hevcProfileFor(tenBit)
+    ];
+  }
+};
@@ -0,0 +1,202 @@
+const { isEncoderAvailable } = require('../hardware');
+const { DEFAULT_QUALITY, isTenBit } = require('./common');
+const { isHdr } = require('../hdr');
+const { buildPictureFilters } = require('../picture');
+const { buildScaleFilter } = require('../downscale');
+
+// A backend describes one ffmpeg encoder:
+//   name          ffmpeg encoder name, also what hardware detection reports
+//   codec         output codec ('hevc', 'av1')
+//   accelerator   'qsv', 'vaapi', 'nvenc', 'amf' or 'software'
+//   capabilities  { tenBit, presets, pixelFormats: { eightBit, tenBit }, hdrMetadata, twoPass,
+//                   hardwareDeinterlace, hardwareScale, cappedQuality }
+//                 hdrMetadata: writes mastering display and content light metadata
+//                 twoPass: supports ffmpeg-level two-pass with options.pass and passLogFile
+//                 hardwareDeinterlace: buildFilters deinterlaces options.picture itself,
+//                 so the software deinterlacer is left out
+//                 hardwareScale: buildFilters scales to options.scale itself, instead of zscale
+//                 cappedQuality: quality encodes honour options.maxBitrateKbps as a peak rate
+//   defaults      { preset } used when the profile leaves it empty
+//   mapQuality(quality)         common quality value -> the encoder's own scale
+//   buildInputArgs(options)     arguments before -i (hwaccel, devices)
+//   buildFilters(options)       optional, filters that must run last (e.g. hwupload)
+//   buildOutputArgs(options)    video codec arguments; options.rateControl, when set,
+//                               is a bitrate target to use instead of the quality value
+//
+// Registration order is the order of preference when choosing automatically.
+const backends = [];
+
+// Containers each output codec can be written to, best first. Codecs not
+// listed can go in any container the container policy picks.
+const outputContainers = {
+  av1: ['.mkv', '.mp4', '.m4v']
+};
+
+/**
+ * Add a backend to the registry
+ */
+function registerBackend(backend) {
+  if (backends.some(existing => existing.name === backend.name)) {
+    throw new Error(`Encoder backend ${backend.name} is already registered`);
+  }
+  
+  backends.push(backend);
+}
+
+registerBackend(require('./hevc_qsv'));
+registerBackend(require('./hevc_vaapi'));
+registerBackend(require('./hevc_nvenc'));
+registerBackend(require('./hevc_amf'));
+registerBackend(require('./libx265'));
+registerBackend(require('./av1_qsv'));
+registerBackend(require('./libsvtav1'));
+registerBackend(require('./libaom'));
+
+/**
+ * Get a backend by its encoder name
+ */
+function getBackend(name) {
+  return backends.find(backend => backend.name === name) || null;
+}
+
+/**
+ * Get all registered backends
+ */
+function getBackends() {
+  return [...backends];
+}
+
+/**
+ * Choose the backend for a codec. The preferred accelerator is used when its
+ * encoder passed detection, otherwise the first working backend is. HDR
+ * sources prefer backends that keep the HDR metadata.
+ */
+async function selectBackend(codec, preferredAccelerator = 'auto', { hdr = false } = {}) {
+  const candidates = backends.filter(backend => backend.codec === codec);
+  
+  if (candidates.length === 0) {
+    throw new Error(`No encoder backend supports ${codec}`);
+  }
+  
+  const suitable = (backend) => !hdr || backend.capabilities.hdrMetadata;
+  
+  if (preferredAccelerator && preferredAccelerator !== 'auto') {
+    const preferred = candidates.find(backend => backend.accelerator === preferredAccelerator);
+    
+    if (preferred && suitable(preferred) && await isEncoderAvailable(preferred.name)) {
+      return preferred;
+    }
+    
+    console.log(`Preferred ${preferredAccelerator} encoder for ${codec} is not available${hdr ? ' for HDR' : ''}, choosing automatically`);
+  }
+  
+  for (const backend of candidates.filter(suitable)) {
+    if (await isEncoderAvailable(backend.name)) {
+      return backend;
+    }
+  }
+  
+  // The color tags are still written, only the mastering metadata is lost
+  for (const backend of candidates) {
+    if (await isEncoderAvailable(backend.name)) {
+      console.log(`No working ${codec} encoder keeps HDR metadata, using ${backend.name}`);
+      return backend;
+    }
+  }
+  
+  throw new Error(`No working ${codec} encoder found. Check the Hardware card on the Dashboard.`);
+}
+
+/**
+ * Resolve a profile into the shared options every backend builds from.
+ * HDR sources are always encoded in 10-bit.
+ */
+function getEncodeOptions(backend, profile, color = null) {
+  const tenBit = (isTenBit(profile.pixel_format || 'p010le') || isHdr(color)) && backend.capabilities.tenBit;
+  const pixelFormats = backend.capabilities.pixelFormats;
+  
+  return {
+    tenBit,
+    pixelFormat: tenBit ? pixelFormats.tenBit : pixelFormats.eightBit,
+    preset: (backend.capabilities.presets && profile.preset) || backend.defaults.preset,
+    quality: profile.quality_value ?? DEFAULT_QUALITY,
+    filters: [],
+    color
+  };
+}
+
+/**
+ * Build the video part of an ffmpeg command for a job
+ * @param {Object} backend - Backend from the registry
+ * @param {Object} profile - Encoding profile the job uses
+ * @param {Object} [overrides] - Values to use instead of the profile's, e.g. extra filters
+ * @param {Object} [overrides.color] - Source color info from probeColorInfo, passed through
+ * @param {Object} [overrides.rateControl] - Bitrate target from getRateControl
+ * @param {number} [overrides.pass] - 1 or 2 for a two-pass encode, with overrides.passLogFile
+ * @param {Object} [overrides.picture] - Crop and scan type from resolvePicture
+ * @param {Object} [overrides.scale] - { width, height } to downscale to, from getScaleTarget
+ * @param {number} [overrides.maxBitrateKbps] - Peak rate for a capped quality encode
+ * @returns {{inputArgs: string[], outputArgs: string[]}}
+ */
+function buildVideoArgs(backend, profile, overrides = {}) {
+  const options = { ...getEncodeOptions(backend, profile, overrides.color), ...overrides };
+  const filters = [
+    ...buildPictureFilters(options.picture, { softwareDeinterlace: !backend.capabilities.hardwareDeinterlace }),
+    ...(options.scale && !backend.capabilities.hardwareScale ? [buildScaleFilter(options.scale)] : []),
+    ...options.filters,
+    ...(backend.buildFilters ? backend.buildFilters(options) : [])
+  ];
+  
+  // Scoped to the first output video stream; cover art is copied, and a
+  // filter on a copied stream is an error
+  const outputArgs = [
+    ...(filters.length > 0 ? ['-filter:v:0', filters.join(',')] : []),
+    ...backend.buildOutputArgs(options)
+  ];
+  
+  if (options.color) {
+    outputArgs.push(...buildColorArgs(options.color));
+  }
+  
+  // Makes HEVC videos compatible with Apple devices
+  if (backend.codec === 'hevc') {
+    outputArgs.push('-tag:v:0', 'hvc1');
+  }
+  
+  return {
+    inputArgs: backend.buildInputArgs(options),
+    outputArgs
+  };
+}
+
+/**
+ * Tag the output with the source's color description. Without these an
+ * HDR encode plays back as washed-out SDR.
+ */
+function buildColorArgs(color) {
+  const args = [];
+  
+  if (color.primaries) args.push('-color_primaries:v:0', color.primaries);
+  if (color.transfer) args.push('-color_trc:v:0', color.transfer);
+  if (color.matrix) args.push('-colorspace:v:0', color.matrix);
+  if (color.range) args.push('-color_range:v:0', color.range);
+  
+  return args;
+}
+
+/**
+ * Get the containers an output codec can be written to, or null for any
+ */
+function getCodecContainers(codec) {
+  return outputContainers[codec] || null;
+}
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  getBackends,
+  selectBackend,
+  getEncodeOptions,
+  buildVideoArgs,
+  getCodecContainers
+};
@@ -0,0 +1,52 @@
+const { mapQualityToRange, buildBitrateArgs, presetSpeed } = require('./common');
+
+/**
+ * libaom AV1 software encoder, for ffmpeg builds without SVT-AV1
+ */
+module.exports = {
+  name: 'libaom-av1',
+  label: 'Software (libaom AV1)',
+  codec: 'av1',
+  accelerator: 'software',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'yuv420p', tenBit: 'yuv420p10le' },
+    hdrMetadata: false,
+    twoPass: true,
+    hardwareDeinterlace: false,
+    hardwareScale: false,
+    cappedQuality: false
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  // Same 0-63 CRF scale as SVT-AV1
+  mapQuality(quality) {
+    return mapQualityToRange(quality * 1.25, 0, 1, 63);
+  },
+  
+  // cpu-used runs from 0 (slowest) to 8; below 2 is impractically slow
+  mapPreset(preset) {
+    const speed = presetSpeed(preset);
+    return String(speed === null ? 5 : Math.round(2 + speed * 6));
+  },
+  
+  buildInputArgs() {
+    return [];
+  },
+  
+  buildOutputArgs({ preset, quality, pixelFormat, rateControl, pass, passLogFile }) {
+    return [
+      '-c:v', 'libaom-av1',
+      '-cpu-used', this.mapPreset(preset),
+      ...(rateControl ? 
+        buildBitrateArgs(rateControl) : 
+        ['-crf', this.mapQuality(quality), '-b:v', '0']),  // Constant quality; libaom otherwise treats crf as a cap
+      ...(pass ? ['-pass', String(pass), '-passlogfile', passLogFile] : []),
+      '-row-mt', '1',
+      '-pix_fmt', pixelFormat
+    ];
+  }
+};
@@ -0,0 +1,66 @@
+const { mapQualityToRange, presetSpeed } = require('./common');
+const { formatSvtMasteringDisplay } = require('../hdr');
+
+/**
+ * SVT-AV1 software encoder
+ */
+module.exports = {
+  name: 'libsvtav1',
+  label: 'Software (SVT-AV1)',
+  codec: 'av1',
+  accelerator: 'software',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'yuv420p', tenBit: 'yuv420p10le' },
+    hdrMetadata: true,
+    twoPass: false,
+    hardwareDeinterlace: false,
+    hardwareScale: false,
+    cappedQuality: true
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  // AV1 CRF runs 0-63; x265 CRF 28 lands around 35
+  mapQuality(quality) {
+    return mapQualityToRange(quality * 1.25, 0, 1, 63);
+  },
+  
+  // SVT-AV1 presets run from 0 (slowest) to 13; below 3 is impractically slow
+  mapPreset(preset) {
+    const speed = presetSpeed(preset);
+    return String(speed === null ? 6 : Math.round(3 + speed * 7));
+  },
+  
+  buildInputArgs() {
+    return [];
+  },
+  
+  // SVT-AV1's VBR takes the target bitrate alone; a maxrate only applies to capped CRF
+  buildOutputArgs({ preset, quality, pixelFormat, color, rateControl, maxBitrateKbps }) {
+    const args = [
+      '-c:v', 'libsvtav1',
+      '-preset', this.mapPreset(preset),
+      ...(rateControl ? ['-b:v', `${rateControl.bitrateKbps}k`] : ['-crf', this.mapQuality(quality)]),
+      // Capped CRF; SVT-AV1 takes only the peak rate
+      ...(!rateControl && maxBitrateKbps ? ['-maxrate', `${maxBitrateKbps}k`] : []),
+      '-pix_fmt', pixelFormat
+    ];
+    
+    // Static HDR metadata isn't taken from the frames, it has to be passed in
+    const params = [];
+    if (color && color.masteringDisplay) {
+      params.push(`mastering-display=${formatSvtMasteringDisplay(color.masteringDisplay)}`);
+    }
+    if (color && color.contentLight) {
+      params.push(`content-light=${color.contentLight.maxContent},${color.contentLight.maxAverage}`);
+    }
+    if (params.length > 0) {
+      args.push('-svtav1-params', params.join(':'));
+    }
+    
+    return args;
+  }
+};
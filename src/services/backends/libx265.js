@@ -0,0 +1,75 @@
+const { buildBitrateArgs, buildMaxrateArgs } = require('./common');
+const { formatX265MasteringDisplay } = require('../hdr');
+
+/**
+ * libx265 software HEVC encoder, used when no hardware encoder works
+ */
+module.exports = {
+  name: 'libx265',
+  label: 'Software (x265)',
+  codec: 'hevc',
+  accelerator: 'software',
+  capabilities: {
+    tenBit: true,
+    presets: true,
+    pixelFormats: { eightBit: 'yuv420p', tenBit: 'yuv420p10le' },
+    hdrMetadata: true,
+    twoPass: true,
+    hardwareDeinterlace: false,
+    hardwareScale: false,
+    cappedQuality: true
+  },
+  defaults: {
+    preset: 'medium'
+  },
+  
+  // The common scale is x265's CRF, so only the range needs enforcing.
+  // Fractional CRF values are valid here.
+  mapQuality(quality) {
+    return String(Math.min(51, Math.max(0, quality)));
+  },
+  
+  buildInputArgs() {
+    return [];
+  },
+  
+  // x265 writes the color tags from -color_* itself, but static HDR
+  // metadata has to go through its own parameters
+  buildHdrParams(color) {
+    const params = ['hdr10=1', 'hdr10-opt=1', 'repeat-headers=1'];
+    
+    if (color.masteringDisplay) {
+      params.push(`master-display=${formatX265MasteringDisplay(color.masteringDisplay)}`);
+    }
+    if (color.contentLight) {
+      params.push(`max-cll=${color.contentLight.maxContent},${color.contentLight.maxAverage}`);
+    }
+    
+    return params;
+  },
+  
+  buildOutputArgs({ preset, quality, pixelFormat, color, rateControl, maxBitrateKbps, pass, passLogFile }) {
+    const args = [
+      '-c:v', 'libx265',
+      '-preset', preset,
+      ...(rateControl ? buildBitrateArgs(rateControl) : ['-crf', this.mapQuality(quality)]),
+      ...(!rateControl && maxBitrateKbps ? buildMaxrateArgs(maxBitrateKbps) : []),
+      '-pix_fmt', pixelFormat
+    ];
+    
+    // Only the last -x265-params counts, so everything goes in one list
+    const params = [];
+    if (color && color.transfer === 'smpte2084') {
+      params.push(...this.buildHdrParams(color));
+    }
+    if (pass) {
+      // Quoted, as Windows paths contain the ':' that separates parameters
+      params.push(`pass=${pass}`, `stats='${passLogFile}'`);
+    }
+    if (params.length > 0) {
+      args.push('-x265-params', params.join(':'));
+    }
+    
+    return args;
+  }
+};
@@ -0,0 +1,243 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { app } = require('electron');
+
+// Oldest release with the libvmaf, scale_qsv and bwdif options the encoder uses
+const MIN_VERSION = { major: 5, minor: 0 };
+
+const VERSION_TIMEOUT_MS = 10000;
+
+// Build features the encoder relies on, how to spot them in ffmpeg's lists,
+// and what's lost without them
+const features = [
+  { name: 'libvmaf', list: 'filters', missing: 'VMAF quality checks and target VMAF profiles will fail' },
+  { name: 'zscale', list: 'filters', missing: 'Downscaling with a software encoder will fail' },
+  { name: 'libx265', list: 'encoders', missing: 'No software HEVC encoding, so no fallback after hardware errors' },
+  { name: 'qsv', list: 'hwaccels', missing: null },
+  { name: 'vaapi', list: 'hwaccels', missing: null }
+];
+
+// Resolved paths, and the result of the last check
+let binaryPaths = null;
+let binaryStatus = null;
+let checkPromise = null;
+
+/**
+ * Where a bundled binary would be: resources/ffmpeg in the packaged app,
+ * or the repository's resources/ffmpeg in development
+ */
+function getBundledPath(name) {
+  const fileName = process.platform === 'win32' ? `${name}.exe` : name;
+  const resourcesDir = app && app.isPackaged ?
+    process.resourcesPath :
+    path.join(__dirname, '..', '..', 'resources');
+  
+  return path.join(resourcesDir, 'ffmpeg', fileName);
+}
+
+/**
+ * Pick a binary: the configured path, else a bundled copy, else the PATH
+ */
+function resolveBinary(name, configuredPath) {
+  if (configuredPath) {
+    return { path: configuredPath, source: 'settings' };
+  }
+  
+  const bundledPath = getBundledPath(name);
+  if (fs.existsSync(bundledPath)) {
+    return { path: bundledPath, source: 'bundled' };
+  }
+  
+  return { path: name, source: 'path' };
+}
+
+/**
+ * Resolve both binaries from the settings and point fluent-ffmpeg at them
+ */
+function resolveBinaries() {
+  // Required here: the database loads hdr.js, which loads this module
+  const { getSettings } = require('./database');
+  const settings = getSettings();
+  
+  binaryPaths = {
+    ffmpeg: resolveBinary('ffmpeg', settings.ffmpeg_path),
+    ffprobe: resolveBinary('ffprobe', settings.ffprobe_path)
+  };
+  
+  ffmpeg.setFfmpegPath(binaryPaths.ffmpeg.path);
+  ffmpeg.setFfprobePath(binaryPaths.ffprobe.path);
+  
+  return binaryPaths;
+}
+
+/**
+ * The ffmpeg to spawn
+ */
+function getFfmpegPath() {
+  return (binaryPaths || resolveBinaries()).ffmpeg.path;
+}
+
+/**
+ * The ffprobe to spawn
+ */
+function getFfprobePath() {
+  return (binaryPaths || resolveBinaries()).ffprobe.path;
+}
+
+/**
+ * Run a binary with a short timeout and collect its output
+ */
+function runBinary(binaryPath, args) {
+  return new Promise((resolve) => {
+    execFile(binaryPath, args, { timeout: VERSION_TIMEOUT_MS, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      resolve({ error, stdout: stdout || '' });
+    });
+  });
+}
+
+/**
+ * Read the release from the first line of `-version`. Git builds report a
+ * revision or a date instead and are taken to be recent.
+ * @returns {{version: string, major: number|null, minor: number|null}}
+ */
+function parseVersion(output) {
+  const firstLine = output.split('\n')[0] || '';
+  const match = firstLine.match(/version\s+n?(\d+)\.(\d+)(\S*)/);
+  
+  if (match) {
+    return { version: `${match[1]}.${match[2]}${match[3]}`, major: Number(match[1]), minor: Number(match[2]) };
+  }
+  
+  const build = firstLine.match(/version\s+(\S+)/);
+  return { version: build ? build[1] : 'unknown', major: null, minor: null };
+}
+
+/**
+ * Check one binary runs and is new enough
+ */
+async function checkBinary(name, binary) {
+  const result = { ...binary, version: null, error: null };
+  const { error, stdout } = await runBinary(binary.path, ['-hide_banner', '-version']);
+  
+  if (error) {
+    result.error = error.code === 'ENOENT' ?
+      `${name} was not found at ${binary.path}` :
+      `${name} at ${binary.path} could not be run: ${error.message}`;
+    return result;
+  }
+  
+  const { version, major, minor } = parseVersion(stdout);
+  result.version = version;
+  
+  if (major !== null && (major < MIN_VERSION.major || (major === MIN_VERSION.major && minor < MIN_VERSION.minor))) {
+    result.error = `${name} ${version} is too old, ${MIN_VERSION.major}.${MIN_VERSION.minor} or newer is needed`;
+  }
+  
+  return result;
+}
+
+/**
+ * Look up which of the features this ffmpeg build has
+ */
+async function detectFeatures(ffmpegPath) {
+  const lists = {};
+  for (const list of ['filters', 'encoders', 'hwaccels']) {
+    const { stdout } = await runBinary(ffmpegPath, ['-hide_banner', `-${list}`]);
+    lists[list] = stdout;
+  }
+  
+  const found = {};
+  for (const feature of features) {
+    // Filter and encoder lines have the name as a word; hwaccels are one per line
+    const pattern = new RegExp(`(^|\\s)${feature.name}(\\s|$)`, 'm');
+    found[feature.name] = pattern.test(lists[feature.list]);
+  }
+  
+  return found;
+}
+
+/**
+ * Check the configured or bundled ffmpeg and ffprobe: that they run, their
+ * versions and the features the encoder uses
+ */
+async function runBinaryCheck() {
+  const paths = resolveBinaries();
+  const [ffmpegResult, ffprobeResult] = await Promise.all([
+    checkBinary('ffmpeg', paths.ffmpeg),
+    checkBinary('ffprobe', paths.ffprobe)
+  ]);
+  
+  const found = ffmpegResult.error ? {} : await detectFeatures(ffmpegResult.path);
+  const errors = [ffmpegResult.error, ffprobeResult.error].filter(Boolean);
+  const warnings = ffmpegResult.error ? [] : features
+    .filter(feature => feature.missing && !found[feature.name])
+    .map(feature => `No ${feature.name} in this ffmpeg build: ${feature.missing}`);
+  
+  return {
+    checkedAt: new Date().toISOString(),
+    ok: errors.length === 0,
+    error: errors.length > 0 ? errors.join('. ') : null,
+    warnings,
+    minVersion: `${MIN_VERSION.major}.${MIN_VERSION.minor}`,
+    ffmpeg: ffmpegResult,
+    ffprobe: ffprobeResult,
+    features: found
+  };
+}
+
+/**
+ * Get the result of the binary check, running it on first use or when asked
+ * to refresh. A refresh after the ffmpeg path changed also redoes encoder
+ * detection, since the new build may have different encoders.
+ */
+async function checkBinaries({ refresh = false } = {}) {
+  if (binaryStatus && !refresh) {
+    return binaryStatus;
+  }
+  
+  // Share one check between callers that arrive while it's running
+  if (!checkPromise) {
+    const previousFfmpeg = binaryStatus && binaryStatus.ffmpeg.path;
+    
+    checkPromise = runBinaryCheck()
+      .then(status => {
+        binaryStatus = status;
+        
+        if (status.ok) {
+          console.log(`ffmpeg ${status.ffmpeg.version} (${status.ffmpeg.source}), ffprobe ${status.ffprobe.version}`);
+        } else {
+          console.error(`ffmpeg check failed: ${status.error}`);
+        }
+        status.warnings.forEach(warning => console.log(warning));
+        
+        if (previousFfmpeg && previousFfmpeg !== status.ffmpeg.path) {
+          const { getEncoderCapabilities } = require('./hardware');
+          getEncoderCapabilities({ refresh: true }).catch(() => {});
+        }
+        
+        return status;
+      })
+      .finally(() => {
+        checkPromise = null;
+      });
+  }
+  
+  return checkPromise;
+}
+
+/**
+ * The last check's result without running one, or null before the first
+ */
+function getBinaryStatus() {
+  return binaryStatus;
+}
+
+module.exports = {
+  getFfmpegPath,
+  getFfprobePath,
+  checkBinaries,
+  getBinaryStatus,
+  parseVersion
+};
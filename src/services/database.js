@@ -1,9 +1,108 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs-extra');
+const { getDolbyVisionSkipReason } = require('./hdr');
+const { 
+  resolveDownscalePolicy, 
+  validateDownscalePolicy, 
+  exceedsDownscalePolicy 
+} = require('./downscale');
 
 let db;
 
+// Default values for application settings, overridden by rows in the settings table
+const defaultSettings = {
+  // Encoder selection
+  encoder_accelerator: 'auto',    // auto, qsv, vaapi, nvenc, amf or software
+  ffmpeg_path: '',                // Empty uses the bundled copy, then the PATH
+  ffprobe_path: '',
+  reencode_hevc_to_av1: false,    // Queue HEVC files for profiles that output AV1
+  output_container: 'keep',       // keep, mkv or mp4
+  legacy_container: 'mkv',        // mkv or mp4, for AVI, WMV, FLV and MPEG sources
+  dolby_vision_policy: 'skip',    // skip, or base_layer to encode the HDR10/HLG base layer alone
+  
+  // Encodes that save less than this are discarded and the original kept
+  min_savings_mode: 'percent',    // percent or mb
+  min_savings_value: 5,
+  
+  // Large files can be split at keyframes and the pieces encoded side by side
+  segmented_encoding: false,
+  segment_min_size_gb: 20,        // Smaller files are encoded in one piece
+  segment_seconds: 300,
+  segment_retries: 2,             // Extra attempts for a segment that fails
+  
+  // Failed jobs are queued again, waiting twice as long after each attempt
+  retry_max_attempts: 3,          // Including the first; 1 turns retries off
+  retry_base_delay_minutes: 5,
+  
+  // Per-attempt ffmpeg logs in the logs directory
+  job_log_max_files: 500,         // 0 keeps any number
+  job_log_max_age_days: 30,       // 0 keeps logs regardless of age
+  
+  // Sample encodes for previewing a file before it's encoded
+  preview_sample_count: 3,
+  preview_sample_seconds: 30,
+  preview_measure_quality: false, // Scores the samples with verify_metric
+  
+  // Picture analysis before encoding, overridable per media item
+  auto_crop: true,                // Crops letterbox and pillarbox bars
+  auto_deinterlace: true,         // Deinterlaces or detelecines as detected
+  
+  // Audio and subtitle track selection, overridable per library
+  stream_rules: {
+    enabled: false,
+    original_language: '',        // Empty takes the language of the first audio track
+    keep_original_audio: true,
+    audio_languages: ['eng'],     // ISO 639-2 codes, as in the files' language tags
+    keep_commentary: true,
+    subtitle_languages: ['eng'],
+    keep_forced_subtitles: true
+  },
+  
+  // Audio transcoding; copied tracks are left untouched
+  audio_policy: {
+    transcode_lossless: false,    // TrueHD, DTS-HD MA, FLAC and PCM
+    transcode_codec: 'eac3',      // eac3 or opus, also used for audio the container can't hold
+    surround_bitrate_kbps: 640,
+    stereo_bitrate_kbps: 224,
+    add_stereo_track: false,      // AAC downmix when there's no stereo track
+    stereo_track_bitrate_kbps: 192,
+    normalize_loudness: false,    // Applies to transcoded tracks only
+    loudness_target_lufs: -23
+  },
+  
+  // Quality verification before the original is replaced
+  verify_quality: false,
+  verify_metric: 'vmaf',          // vmaf or ssim
+  verify_scope: 'sampled',        // sampled or full
+  verify_sample_count: 3,
+  verify_sample_seconds: 10,
+  vmaf_threshold: 93,
+  ssim_threshold: 0.97,
+  
+  // The encode takes the original's times, mode and owner when it replaces it
+  preserve_creation_time: true,   // Off gives the encode its own creation time
+  
+  // Recycle bin for replaced originals
+  quarantine_originals: false,
+  quarantine_dir: '',             // Empty uses the recycle-bin directory next to the database
+  quarantine_max_age_days: 30,    // 0 keeps files regardless of age
+  quarantine_max_size_gb: 0       // 0 keeps files regardless of total size
+};
+
+// Library columns stored as JSON
+const libraryJsonColumns = ['stream_rules', 'downscale_policy'];
+
+// Columns returned for every encoding job query
+const jobSelect = `
+  SELECT j.*, m.title, m.episode_name, m.file_path, m.encoding_type, m.preview_result,
+    m.picture_info, m.picture_override, p.name AS profile_name,
+    (SELECT q.id FROM quarantined_files q WHERE q.job_id = j.id AND q.status = 'held') AS quarantine_id
+  FROM encoding_jobs j
+  JOIN media m ON j.media_id = m.id
+  LEFT JOIN encoding_profiles p ON j.profile_id = p.id
+`;
+
 /**
  * Initialize the database connection and create tables if they don't exist
  */
@@ -19,8 +118,12 @@ async function initializeDatabase() {
   
   // Create tables
   createMediaTable();
+  createEncodingProfilesTable();
   createEncodingJobsTable();
   createScheduleTable();
+  createSettingsTable();
+  createQuarantinedFilesTable();
+  createLibrariesTable();
   
   return db;
 }
@@ -42,9 +145,33 @@ function createMediaTable() {
       last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       needs_encoding BOOLEAN DEFAULT FALSE,
       encoded_previously BOOLEAN DEFAULT FALSE,
+      hdr_format TEXT,
+      dv_profile INTEGER,
+      color_info TEXT,
+      not_beneficial_profiles TEXT,
+      preview_result TEXT,
+      picture_info TEXT,
+      picture_override TEXT,
+      video_width INTEGER,
+      video_height INTEGER,
+      video_kbps INTEGER,
+      downscale_result TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )
   `);
+  
+  // Columns added after the first release
+  ensureColumn('media', 'hdr_format', 'TEXT');
+  ensureColumn('media', 'dv_profile', 'INTEGER');
+  ensureColumn('media', 'color_info', 'TEXT');
+  ensureColumn('media', 'not_beneficial_profiles', 'TEXT');
+  ensureColumn('media', 'preview_result', 'TEXT');
+  ensureColumn('media', 'picture_info', 'TEXT');
+  ensureColumn('media', 'picture_override', 'TEXT');
+  ensureColumn('media', 'video_width', 'INTEGER');
+  ensureColumn('media', 'video_height', 'INTEGER');
+  ensureColumn('media', 'video_kbps', 'INTEGER');
+  ensureColumn('media', 'downscale_result', 'TEXT');
 }
 
 /**
@@ -65,10 +192,98 @@ function createEncodingJobsTable() {
       completed_at TIMESTAMP,
       error_message TEXT,
       retries INTEGER DEFAULT 0,
+      profile_id INTEGER,
+      last_progress TEXT,
+      quality_metric TEXT,
+      quality_score REAL,
+      quality_min_score REAL,
+      quality_samples TEXT,
+      encoder TEXT,
+      target_bitrate_kbps INTEGER,
+      target_quality_value REAL,
+      target_quality_score REAL,
+      target_quality_steps TEXT,
+      downscale_override TEXT,
+      downscale_policy TEXT,
+      output_resolution TEXT,
+      retry_after TIMESTAMP,
+      retry_strategy TEXT,
+      failure_kind TEXT,
+      log_path TEXT,
+      original_attributes TEXT,
+      attribute_restore TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (media_id) REFERENCES media (id) ON DELETE CASCADE
+      FOREIGN KEY (media_id) REFERENCES media (id) ON DELETE CASCADE,
+      FOREIGN KEY (profile_id) REFERENCES encoding_profiles (id) ON DELETE SET NULL
     )
   `);
+  
+  // Columns added after the first release
+  ensureColumn('encoding_jobs', 'profile_id', 'INTEGER REFERENCES encoding_profiles (id) ON DELETE SET NULL');
+  ensureColumn('encoding_jobs', 'last_progress', 'TEXT');
+  ensureColumn('encoding_jobs', 'quality_metric', 'TEXT');
+  ensureColumn('encoding_jobs', 'quality_score', 'REAL');
+  ensureColumn('encoding_jobs', 'quality_min_score', 'REAL');
+  ensureColumn('encoding_jobs', 'quality_samples', 'TEXT');
+  ensureColumn('encoding_jobs', 'encoder', 'TEXT');
+  ensureColumn('encoding_jobs', 'target_bitrate_kbps', 'INTEGER');
+  ensureColumn('encoding_jobs', 'target_quality_value', 'REAL');
+  ensureColumn('encoding_jobs', 'target_quality_score', 'REAL');
+  ensureColumn('encoding_jobs', 'target_quality_steps', 'TEXT');
+  ensureColumn('encoding_jobs', 'downscale_override', 'TEXT');
+  ensureColumn('encoding_jobs', 'downscale_policy', 'TEXT');
+  ensureColumn('encoding_jobs', 'output_resolution', 'TEXT');
+  ensureColumn('encoding_jobs', 'retry_after', 'TIMESTAMP');
+  ensureColumn('encoding_jobs', 'retry_strategy', 'TEXT');
+  ensureColumn('encoding_jobs', 'failure_kind', 'TEXT');
+  ensureColumn('encoding_jobs', 'log_path', 'TEXT');
+  ensureColumn('encoding_jobs', 'original_attributes', 'TEXT');
+  ensureColumn('encoding_jobs', 'attribute_restore', 'TEXT');
+}
+
+/**
+ * Create the encoding profiles table to store named encoder settings
+ */
+function createEncodingProfilesTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS encoding_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      codec TEXT NOT NULL DEFAULT 'hevc',
+      preset TEXT,
+      rate_control TEXT NOT NULL DEFAULT 'constant_quality',
+      quality_value REAL,
+      rate_value REAL,
+      pixel_format TEXT NOT NULL DEFAULT 'p010le',
+      extra_args TEXT,
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  // Columns added after the first release
+  ensureColumn('encoding_profiles', 'rate_value', 'REAL');
+  
+  // Insert default profile if none exists. Preset and quality are left empty
+  // so the encoder falls back to its built-in defaults for the active path.
+  const count = db.prepare('SELECT COUNT(*) as count FROM encoding_profiles').get();
+  if (count.count === 0) {
+    db.prepare(`
+      INSERT INTO encoding_profiles (name, codec, rate_control, pixel_format, is_default)
+      VALUES (?, ?, ?, ?, ?)
+    `).run('Default', 'hevc', 'constant_quality', 'p010le', 1);
+  }
+}
+
+/**
+ * Add a column to an existing table if it is missing
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
 }
 
 /**
@@ -98,11 +313,66 @@ function createScheduleTable() {
 }
 
 /**
- * Add a media file to the database
+ * Create the settings table to store application settings as JSON values
+ */
+function createSettingsTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Create the quarantined files table to track originals moved to the recycle bin
+ */
+function createQuarantinedFilesTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quarantined_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER,
+      media_id INTEGER,
+      original_path TEXT NOT NULL,
+      quarantine_path TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'held',
+      quarantined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      restored_at TIMESTAMP,
+      purged_at TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES encoding_jobs (id) ON DELETE SET NULL,
+      FOREIGN KEY (media_id) REFERENCES media (id) ON DELETE SET NULL
+    )
+  `);
+}
+
+/**
+ * Create the libraries table for scanned library folders and their overrides
+ */
+function createLibrariesTable() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS libraries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      path TEXT NOT NULL UNIQUE,
+      stream_rules TEXT,
+      downscale_policy TEXT,
+      last_scanned_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  
+  // Columns added after the first release
+  ensureColumn('libraries', 'downscale_policy', 'TEXT');
+}
+
+/**
+ * Add a media file to the database, or refresh it if the path is already known.
+ * Updating in place keeps the row's ID, so its jobs survive a rescan.
  */
 function addMedia(mediaInfo) {
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO media (
+    INSERT INTO media (
       title, 
       episode_name, 
       directory, 
@@ -111,13 +381,52 @@ function addMedia(mediaInfo) {
       encoding_type, 
       media_type,
       needs_encoding,
+      hdr_format,
+      dv_profile,
+      color_info,
+      video_width,
+      video_height,
+      video_kbps,
       last_updated
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (file_path) DO UPDATE SET
+      title = excluded.title,
+      episode_name = excluded.episode_name,
+      directory = excluded.directory,
+      file_size_bytes = excluded.file_size_bytes,
+      encoding_type = excluded.encoding_type,
+      media_type = excluded.media_type,
+      needs_encoding = excluded.needs_encoding,
+      hdr_format = excluded.hdr_format,
+      dv_profile = excluded.dv_profile,
+      color_info = excluded.color_info,
+      video_width = excluded.video_width,
+      video_height = excluded.video_height,
+      video_kbps = excluded.video_kbps,
+      -- A file that changed on disk gets another chance with every profile
+      not_beneficial_profiles = CASE 
+        WHEN media.file_size_bytes = excluded.file_size_bytes THEN media.not_beneficial_profiles 
+        ELSE NULL 
+      END,
+      preview_result = CASE 
+        WHEN media.file_size_bytes = excluded.file_size_bytes THEN media.preview_result 
+        ELSE NULL 
+      END,
+      picture_info = CASE 
+        WHEN media.file_size_bytes = excluded.file_size_bytes THEN media.picture_info 
+        ELSE NULL 
+      END,
+      downscale_result = CASE 
+        WHEN media.file_size_bytes = excluded.file_size_bytes THEN media.downscale_result 
+        ELSE NULL 
+      END,
+      last_updated = CURRENT_TIMESTAMP
   `);
   
-  const needsEncoding = !['hevc', 'h265', 'av1'].includes(mediaInfo.encoding_type.toLowerCase());
+  const colorInfo = mediaInfo.color_info || null;
+  const needsEncoding = mediaNeedsEncoding(mediaInfo);
   
-  const info = stmt.run(
+  stmt.run(
     mediaInfo.title,
     mediaInfo.episode_name || null,
     mediaInfo.directory,
@@ -125,28 +434,98 @@ function addMedia(mediaInfo) {
     mediaInfo.file_size_bytes,
     mediaInfo.encoding_type,
     mediaInfo.media_type,
-    needsEncoding ? 1 : 0
+    needsEncoding ? 1 : 0,
+    colorInfo ? colorInfo.hdrFormat : null,
+    colorInfo ? colorInfo.dvProfile : null,
+    colorInfo ? JSON.stringify(colorInfo) : null,
+    mediaInfo.video_width || null,
+    mediaInfo.video_height || null,
+    mediaInfo.video_kbps || null
   );
   
-  return info.lastInsertRowid;
+  // lastInsertRowid isn't set when an existing row was updated
+  return db.prepare('SELECT id FROM media WHERE file_path = ?').get(mediaInfo.file_path).id;
+}
+
+/**
+ * Check whether a file in the given video codec should be encoded. AV1 is
+ * always left alone; HEVC only when it may be re-encoded to AV1.
+ */
+function codecNeedsEncoding(codec) {
+  const normalized = codec.toLowerCase();
+  
+  if (normalized === 'av1') {
+    return false;
+  }
+  
+  if (['hevc', 'h265'].includes(normalized)) {
+    return getSetting('reencode_hevc_to_av1');
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether a scanned file should be encoded, from its codec or its
+ * library's downscale policy and, for Dolby Vision, the Dolby Vision rule
+ * @param {Object} mediaInfo - encoding_type, file_path, file_size_bytes, the
+ *   video_* size and bitrate and, when probed, color_info
+ */
+function mediaNeedsEncoding(mediaInfo) {
+  if (!codecNeedsEncoding(mediaInfo.encoding_type) && !mediaExceedsDownscalePolicy(mediaInfo)) {
+    return false;
+  }
+  
+  return !getDolbyVisionSkipReason(mediaInfo.color_info, getSetting('dolby_vision_policy'));
+}
+
+/**
+ * Check whether a file is over its library's maximum resolution or bitrate.
+ * What an earlier encode brought it down to is kept until the file changes,
+ * so the encode isn't flagged again.
+ */
+function mediaExceedsDownscalePolicy(mediaInfo) {
+  const library = getLibraryForPath(mediaInfo.file_path);
+  const policy = resolveDownscalePolicy(library && library.downscale_policy, null);
+  if (!policy.max_resolution && !policy.max_bitrate_kbps) {
+    return false;
+  }
+  
+  const stored = db.prepare('SELECT file_size_bytes, downscale_result FROM media WHERE file_path = ?')
+    .get(mediaInfo.file_path);
+  const result = stored && stored.downscale_result && stored.file_size_bytes === mediaInfo.file_size_bytes ? 
+    JSON.parse(stored.downscale_result) : 
+    null;
+  
+  return exceedsDownscalePolicy({
+    width: mediaInfo.video_width,
+    height: mediaInfo.video_height,
+    kbps: mediaInfo.video_kbps
+  }, policy, result);
 }
 
 /**
  * Get all media that needs encoding
+ * @param {number|null} profileId - Leave out media an earlier encode with this
+ *   profile didn't shrink enough
  */
-function getMediaNeedingEncoding(limit = 100, offset = 0) {
+function getMediaNeedingEncoding(limit = 100, offset = 0, profileId = null) {
   return db.prepare(`
     SELECT * FROM media 
     WHERE needs_encoding = 1
+      AND NOT EXISTS (
+        SELECT 1 FROM json_each(COALESCE(media.not_beneficial_profiles, '[]')) 
+        WHERE json_each.value = ?
+      )
     ORDER BY file_size_bytes DESC
     LIMIT ? OFFSET ?
-  `).all(limit, offset);
+  `).all(profileId, limit, offset);
 }
 
 /**
  * Create an encoding job for media
  */
-function createEncodingJob(mediaId, priority = 0) {
+function createEncodingJob(mediaId, priority = 0, profileId = null) {
   const media = db.prepare('SELECT * FROM media WHERE id = ?').get(mediaId);
   if (!media) {
     throw new Error(`Media with id ${mediaId} not found`);
@@ -157,15 +536,17 @@ function createEncodingJob(mediaId, priority = 0) {
       media_id, 
       status, 
       priority,
-      original_size_bytes
-    ) VALUES (?, ?, ?, ?)
+      original_size_bytes,
+      profile_id
+    ) VALUES (?, ?, ?, ?, ?)
   `);
   
   const info = stmt.run(
     mediaId,
     'queued',
     priority,
-    media.file_size_bytes
+    media.file_size_bytes,
+    profileId
   );
   
   return info.lastInsertRowid;
@@ -175,14 +556,18 @@ function createEncodingJob(mediaId, priority = 0) {
  * Update encoding job status
  */
 function updateJobStatus(jobId, status, data = {}) {
-  const updates = Object.entries(data).map(([key, value]) => `${key} = ?`).join(', ');
+  const assignments = ['status = ?', ...Object.keys(data).map(key => `${key} = ?`)];
   const values = Object.values(data);
   
+  if (status === 'completed' || status === 'not_beneficial') {
+    assignments.push('completed_at = CURRENT_TIMESTAMP');
+  } else if (status === 'processing') {
+    assignments.push('started_at = CURRENT_TIMESTAMP');
+  }
+  
   const sql = `
     UPDATE encoding_jobs 
-    SET status = ?, ${updates ? updates + ', ' : ''} 
-    ${status === 'completed' ? 'completed_at = CURRENT_TIMESTAMP' : 
-      status === 'processing' ? 'started_at = CURRENT_TIMESTAMP' : ''}
+    SET ${assignments.join(', ')}
     WHERE id = ?
   `;
   
@@ -190,18 +575,142 @@ function updateJobStatus(jobId, status, data = {}) {
 }
 
 /**
- * Mark media as encoded
+ * Save the latest progress snapshot for a job without touching its status
  */
-function markMediaAsEncoded(mediaId, newEncodingType, newSizeBytes) {
+function updateJobProgress(jobId, progress) {
+  return db.prepare(`
+    UPDATE encoding_jobs 
+    SET last_progress = ?
+    WHERE id = ?
+  `).run(progress ? JSON.stringify(progress) : null, jobId);
+}
+
+/**
+ * Mark media as encoded. The crop and deinterlacing were applied, so the
+ * picture analysis and override no longer describe the file.
+ * @param {Object} [output] - { width, height } of the encode and the
+ *   downscale policy it met, if any, as downscaleResult
+ */
+function markMediaAsEncoded(mediaId, newEncodingType, newSizeBytes, output = {}) {
   return db.prepare(`
     UPDATE media 
     SET needs_encoding = 0, 
         encoded_previously = 1, 
         encoding_type = ?,
         file_size_bytes = ?,
+        picture_info = NULL,
+        picture_override = NULL,
+        video_width = COALESCE(?, video_width),
+        video_height = COALESCE(?, video_height),
+        video_kbps = NULL,
+        downscale_result = ?,
         last_updated = CURRENT_TIMESTAMP
     WHERE id = ?
-  `).run(newEncodingType, newSizeBytes, mediaId);
+  `).run(
+    newEncodingType, 
+    newSizeBytes, 
+    output.width || null,
+    output.height || null,
+    output.downscaleResult ? JSON.stringify(output.downscaleResult) : null,
+    mediaId
+  );
+}
+
+/**
+ * Point a media row at its file's new location, e.g. after the container changed
+ */
+function updateMediaFilePath(mediaId, filePath) {
+  return db.prepare(`
+    UPDATE media 
+    SET file_path = ?,
+        directory = ?,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(filePath, path.dirname(filePath), mediaId);
+}
+
+/**
+ * Flag media for re-encoding after its original has been restored. Its
+ * video size and bitrate are read again on the next scan.
+ */
+function markMediaForReencoding(mediaId, encodingType, sizeBytes) {
+  return db.prepare(`
+    UPDATE media 
+    SET needs_encoding = 1, 
+        encoding_type = ?,
+        file_size_bytes = ?,
+        video_width = NULL,
+        video_height = NULL,
+        video_kbps = NULL,
+        downscale_result = NULL,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(encodingType, sizeBytes, mediaId);
+}
+
+/**
+ * Remember that encoding media with a profile didn't save enough space, so
+ * it isn't queued with that profile again
+ */
+function markMediaNotBeneficial(mediaId, profileId) {
+  const media = db.prepare('SELECT not_beneficial_profiles FROM media WHERE id = ?').get(mediaId);
+  if (!media) return;
+  
+  const profileIds = JSON.parse(media.not_beneficial_profiles || '[]');
+  if (!profileIds.includes(profileId)) {
+    profileIds.push(profileId);
+  }
+  
+  return db.prepare(`
+    UPDATE media 
+    SET not_beneficial_profiles = ?,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(JSON.stringify(profileIds), mediaId);
+}
+
+/**
+ * Get a media item by ID
+ */
+function getMediaById(mediaId) {
+  return db.prepare('SELECT * FROM media WHERE id = ?').get(mediaId);
+}
+
+/**
+ * Save the result of a sample encode preview on a media item
+ */
+function saveMediaPreview(mediaId, preview) {
+  return db.prepare(`
+    UPDATE media 
+    SET preview_result = ?,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(preview ? JSON.stringify(preview) : null, mediaId);
+}
+
+/**
+ * Save the detected crop and scan type of a media item
+ */
+function saveMediaPictureInfo(mediaId, info) {
+  return db.prepare(`
+    UPDATE media 
+    SET picture_info = ?,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(info ? JSON.stringify(info) : null, mediaId);
+}
+
+/**
+ * Save the crop and scan type chosen for a media item, or null to use the
+ * detected ones
+ */
+function setMediaPictureOverride(mediaId, override) {
+  return db.prepare(`
+    UPDATE media 
+    SET picture_override = ?,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(override ? JSON.stringify(override) : null, mediaId);
 }
 
 /**
@@ -209,24 +718,33 @@ function markMediaAsEncoded(mediaId, newEncodingType, newSizeBytes) {
  */
 function getJobsByStatus(status, limit = 20) {
   return db.prepare(`
-    SELECT j.*, m.title, m.episode_name, m.file_path, m.encoding_type
-    FROM encoding_jobs j
-    JOIN media m ON j.media_id = m.id
+    ${jobSelect}
     WHERE j.status = ?
     ORDER BY j.priority DESC, j.created_at ASC
     LIMIT ?
   `).all(status, limit);
 }
 
+/**
+ * Get queued jobs that can start now; retries wait until their retry_after
+ */
+function getRunnableJobs(limit = 20) {
+  return db.prepare(`
+    ${jobSelect}
+    WHERE j.status = 'queued'
+      AND (j.retry_after IS NULL OR j.retry_after <= CURRENT_TIMESTAMP)
+    ORDER BY j.priority DESC, j.created_at ASC
+    LIMIT ?
+  `).all(limit);
+}
+
 /**
  * Search for encoding jobs
  */
 function searchJobs(query, limit = 50) {
   const searchTerm = `%${query}%`;
   return db.prepare(`
-    SELECT j.*, m.title, m.episode_name, m.file_path, m.encoding_type
-    FROM encoding_jobs j
-    JOIN media m ON j.media_id = m.id
+    ${jobSelect}
     WHERE m.title LIKE ? 
        OR m.episode_name LIKE ? 
        OR m.file_path LIKE ?
@@ -241,13 +759,337 @@ function searchJobs(query, limit = 50) {
  */
 function getJobById(jobId) {
   return db.prepare(`
-    SELECT j.*, m.title, m.episode_name, m.file_path, m.encoding_type
-    FROM encoding_jobs j
-    JOIN media m ON j.media_id = m.id
+    ${jobSelect}
     WHERE j.id = ?
   `).get(jobId);
 }
 
+/**
+ * Get all encoding profiles
+ */
+function getEncodingProfiles() {
+  return db.prepare(`
+    SELECT * FROM encoding_profiles
+    ORDER BY is_default DESC, name ASC
+  `).all();
+}
+
+/**
+ * Get encoding profile by ID
+ */
+function getEncodingProfileById(profileId) {
+  return db.prepare('SELECT * FROM encoding_profiles WHERE id = ?').get(profileId);
+}
+
+/**
+ * Get the profile used for jobs that don't specify one
+ */
+function getDefaultEncodingProfile() {
+  return db.prepare(`
+    SELECT * FROM encoding_profiles
+    ORDER BY is_default DESC, id ASC
+    LIMIT 1
+  `).get();
+}
+
+/**
+ * Create a new encoding profile
+ */
+function createEncodingProfile(profile) {
+  const create = db.transaction(() => {
+    if (profile.is_default) {
+      db.prepare('UPDATE encoding_profiles SET is_default = 0').run();
+    }
+    
+    return db.prepare(`
+      INSERT INTO encoding_profiles (
+        name,
+        codec,
+        preset,
+        rate_control,
+        quality_value,
+        rate_value,
+        pixel_format,
+        extra_args,
+        is_default
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      profile.name,
+      profile.codec || 'hevc',
+      profile.preset || null,
+      profile.rate_control || 'constant_quality',
+      profile.quality_value ?? null,
+      profile.rate_value ?? null,
+      profile.pixel_format || 'p010le',
+      profile.extra_args || null,
+      profile.is_default ? 1 : 0
+    );
+  });
+  
+  const info = create();
+  return getEncodingProfileById(info.lastInsertRowid);
+}
+
+/**
+ * Update an existing encoding profile
+ */
+function updateEncodingProfile(profileId, profile) {
+  const update = db.transaction(() => {
+    if (profile.is_default) {
+      db.prepare('UPDATE encoding_profiles SET is_default = 0').run();
+    }
+    
+    db.prepare(`
+      UPDATE encoding_profiles
+      SET name = ?,
+          codec = ?,
+          preset = ?,
+          rate_control = ?,
+          quality_value = ?,
+          rate_value = ?,
+          pixel_format = ?,
+          extra_args = ?,
+          is_default = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      profile.name,
+      profile.codec || 'hevc',
+      profile.preset || null,
+      profile.rate_control || 'constant_quality',
+      profile.quality_value ?? null,
+      profile.rate_value ?? null,
+      profile.pixel_format || 'p010le',
+      profile.extra_args || null,
+      profile.is_default ? 1 : 0,
+      profileId
+    );
+  });
+  
+  update();
+  return getEncodingProfileById(profileId);
+}
+
+/**
+ * Delete an encoding profile
+ */
+function deleteEncodingProfile(profileId) {
+  const profile = getEncodingProfileById(profileId);
+  if (!profile) {
+    throw new Error(`Encoding profile with id ${profileId} not found`);
+  }
+  
+  if (profile.is_default) {
+    throw new Error('The default encoding profile cannot be deleted');
+  }
+  
+  db.prepare('DELETE FROM encoding_profiles WHERE id = ?').run(profileId);
+  return { success: true, id: profileId };
+}
+
+/**
+ * Record an original that was moved to the recycle bin
+ */
+function addQuarantinedFile(entry) {
+  const info = db.prepare(`
+    INSERT INTO quarantined_files (
+      job_id,
+      media_id,
+      original_path,
+      quarantine_path,
+      size_bytes
+    ) VALUES (?, ?, ?, ?, ?)
+  `).run(
+    entry.job_id,
+    entry.media_id,
+    entry.original_path,
+    entry.quarantine_path,
+    entry.size_bytes
+  );
+  
+  return info.lastInsertRowid;
+}
+
+/**
+ * Get a quarantined file by ID
+ */
+function getQuarantinedFileById(quarantineId) {
+  return db.prepare('SELECT * FROM quarantined_files WHERE id = ?').get(quarantineId);
+}
+
+/**
+ * Get originals still held in the recycle bin, oldest first
+ */
+function getHeldQuarantinedFiles() {
+  return db.prepare(`
+    SELECT q.*, m.title, m.episode_name
+    FROM quarantined_files q
+    LEFT JOIN media m ON q.media_id = m.id
+    WHERE q.status = 'held'
+    ORDER BY q.quarantined_at ASC, q.id ASC
+  `).all();
+}
+
+/**
+ * Update the status of a quarantined file
+ */
+function updateQuarantinedFileStatus(quarantineId, status) {
+  return db.prepare(`
+    UPDATE quarantined_files 
+    SET status = ?
+    ${status === 'restored' ? ', restored_at = CURRENT_TIMESTAMP' : 
+      status === 'purged' ? ', purged_at = CURRENT_TIMESTAMP' : ''}
+    WHERE id = ?
+  `).run(status, quarantineId);
+}
+
+/**
+ * Record a scan of a library folder. Returns the library ID.
+ */
+function upsertLibrary(libraryPath) {
+  const resolvedPath = path.resolve(libraryPath);
+  
+  db.prepare(`
+    INSERT INTO libraries (path, last_scanned_at)
+    VALUES (?, CURRENT_TIMESTAMP)
+    ON CONFLICT (path) DO UPDATE SET last_scanned_at = CURRENT_TIMESTAMP
+  `).run(resolvedPath);
+  
+  return db.prepare('SELECT id FROM libraries WHERE path = ?').get(resolvedPath).id;
+}
+
+/**
+ * Parse a library row's JSON columns
+ */
+function parseLibrary(row) {
+  if (!row) return null;
+  
+  const library = { ...row };
+  for (const column of libraryJsonColumns) {
+    library[column] = row[column] ? JSON.parse(row[column]) : null;
+  }
+  return library;
+}
+
+/**
+ * Get all libraries that have been scanned
+ */
+function getLibraries() {
+  return db.prepare('SELECT * FROM libraries ORDER BY path').all().map(parseLibrary);
+}
+
+/**
+ * Get the library a file belongs to, the most specific one if libraries are nested
+ */
+function getLibraryForPath(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const library = db.prepare('SELECT * FROM libraries').all()
+    .filter(row => resolvedPath.startsWith(row.path + path.sep))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+  
+  return parseLibrary(library);
+}
+
+/**
+ * Update a library's overrides. A null value goes back to the global setting.
+ */
+function updateLibrary(libraryId, values) {
+  const unknownColumns = Object.keys(values).filter(column => !libraryJsonColumns.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new Error(`Unknown library settings: ${unknownColumns.join(', ')}`);
+  }
+  
+  if (values.downscale_policy) {
+    values = { ...values, downscale_policy: validateDownscalePolicy(values.downscale_policy) };
+  }
+  
+  const assignments = Object.keys(values).map(column => `${column} = ?`);
+  const params = Object.values(values).map(value => value == null ? null : JSON.stringify(value));
+  
+  if (assignments.length > 0) {
+    db.prepare(`UPDATE libraries SET ${assignments.join(', ')} WHERE id = ?`).run(...params, libraryId);
+  }
+  
+  return parseLibrary(db.prepare('SELECT * FROM libraries WHERE id = ?').get(libraryId));
+}
+
+/**
+ * Get all settings, with defaults for anything not saved yet
+ */
+function getSettings() {
+  const rows = db.prepare('SELECT key, value FROM settings').all();
+  const saved = {};
+  
+  for (const row of rows) {
+    if (row.key in defaultSettings) {
+      saved[row.key] = JSON.parse(row.value);
+    }
+  }
+  
+  return { ...defaultSettings, ...saved };
+}
+
+/**
+ * Get a single setting value
+ */
+function getSetting(key) {
+  return getSettings()[key];
+}
+
+/**
+ * Save one or more settings
+ */
+function updateSettings(values) {
+  const unknownKeys = Object.keys(values).filter(key => !(key in defaultSettings));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown settings: ${unknownKeys.join(', ')}`);
+  }
+  
+  const stmt = db.prepare(`
+    INSERT INTO settings (key, value, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `);
+  
+  const save = db.transaction(() => {
+    for (const [key, value] of Object.entries(values)) {
+      stmt.run(key, JSON.stringify(coerceSetting(key, value)));
+    }
+  });
+  
+  save();
+  return getSettings();
+}
+
+/**
+ * Convert a setting value to the type of its default
+ */
+function coerceSetting(key, value) {
+  const defaultValue = defaultSettings[key];
+  
+  if (typeof defaultValue === 'number') {
+    const number = Number(value);
+    if (value === '' || value === null || Number.isNaN(number)) {
+      throw new Error(`Setting ${key} must be a number`);
+    }
+    return number;
+  }
+  
+  if (typeof defaultValue === 'boolean') {
+    return !!value;
+  }
+  
+  // Grouped settings keep defaults for any fields left out
+  if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Setting ${key} must be an object`);
+    }
+    return { ...defaultValue, ...value };
+  }
+  
+  return value;
+}
+
 /**
  * Get pending jobs count
  */
@@ -261,12 +1103,41 @@ function getPendingJobsCount() {
 module.exports = {
   initializeDatabase,
   addMedia,
+  codecNeedsEncoding,
+  mediaNeedsEncoding,
+  mediaExceedsDownscalePolicy,
   getMediaNeedingEncoding,
   createEncodingJob,
   updateJobStatus,
+  updateJobProgress,
   markMediaAsEncoded,
+  updateMediaFilePath,
+  markMediaForReencoding,
+  markMediaNotBeneficial,
+  getMediaById,
+  saveMediaPreview,
+  saveMediaPictureInfo,
+  setMediaPictureOverride,
   getJobsByStatus,
+  getRunnableJobs,
   searchJobs,
   getJobById,
-  getPendingJobsCount
+  getPendingJobsCount,
+  getEncodingProfiles,
+  getEncodingProfileById,
+  getDefaultEncodingProfile,
+  createEncodingProfile,
+  updateEncodingProfile,
+  deleteEncodingProfile,
+  getSettings,
+  getSetting,
+  updateSettings,
+  upsertLibrary,
+  getLibraries,
+  getLibraryForPath,
+  updateLibrary,
+  addQuarantinedFile,
+  getQuarantinedFileById,
+  getHeldQuarantinedFiles,
+  updateQuarantinedFileStatus
 }; 
\ No newline at end of file
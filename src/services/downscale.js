@@ -0,0 +1,144 @@
+// Output resolutions a library can be limited to. Each is a box the picture
+// is fitted into, so 1920x800 scope video counts as 1080p.
+const maxResolutions = [
+  { value: '2160p', width: 3840, height: 2160 },
+  { value: '1440p', width: 2560, height: 1440 },
+  { value: '1080p', width: 1920, height: 1080 },
+  { value: '720p', width: 1280, height: 720 },
+  { value: '576p', width: 1024, height: 576 },
+  { value: '480p', width: 854, height: 480 }
+];
+
+// Measured bitrates include container overhead and vary between probes, so a
+// file is only flagged once it's clearly over the cap
+const BITRATE_TOLERANCE = 1.1;
+
+// A library's downscale_policy, or a job's override of it:
+//   max_resolution     one of maxResolutions, null for no limit
+//   max_bitrate_kbps   video bitrate cap, null for no limit
+// A job's override only holds the fields it changes.
+const policyFields = ['max_resolution', 'max_bitrate_kbps'];
+
+/**
+ * Get the box for a max_resolution value
+ */
+function getResolutionBox(value) {
+  return maxResolutions.find(resolution => resolution.value === value) || null;
+}
+
+/**
+ * Combine a library's policy with a job's override
+ * @param {Object|null} libraryPolicy - The library's downscale_policy
+ * @param {Object|null} override - Fields the job sets itself; null clears a limit
+ * @returns {{max_resolution: string|null, max_bitrate_kbps: number|null}}
+ */
+function resolveDownscalePolicy(libraryPolicy, override) {
+  const policy = { max_resolution: null, max_bitrate_kbps: null };
+  
+  for (const field of policyFields) {
+    if (override && field in override) {
+      policy[field] = override[field];
+    } else if (libraryPolicy && libraryPolicy[field] != null) {
+      policy[field] = libraryPolicy[field];
+    }
+  }
+  
+  return policy;
+}
+
+/**
+ * Check a policy or override before it's saved. Fields left out stay left out.
+ */
+function validateDownscalePolicy(policy) {
+  const unknownFields = Object.keys(policy).filter(field => !policyFields.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(`Unknown downscale settings: ${unknownFields.join(', ')}`);
+  }
+  
+  const validated = {};
+  
+  if ('max_resolution' in policy) {
+    if (policy.max_resolution != null && !getResolutionBox(policy.max_resolution)) {
+      throw new Error(`Maximum resolution must be one of ${maxResolutions.map(resolution => resolution.value).join(', ')}`);
+    }
+    validated.max_resolution = policy.max_resolution ?? null;
+  }
+  
+  if ('max_bitrate_kbps' in policy) {
+    const kbps = policy.max_bitrate_kbps;
+    if (kbps != null && kbps !== '' && !(Number(kbps) > 0)) {
+      throw new Error('Maximum bitrate must be a number of kbps');
+    }
+    validated.max_bitrate_kbps = kbps != null && kbps !== '' ? Math.round(Number(kbps)) : null;
+  }
+  
+  return validated;
+}
+
+/**
+ * Fit a picture into the maximum resolution, keeping its aspect ratio
+ * @returns {{width: number, height: number}|null} The output size, or null
+ *   when the picture already fits; it's never scaled up
+ */
+function getScaleTarget(width, height, maxResolution) {
+  const box = getResolutionBox(maxResolution);
+  if (!box || !width || !height || (width <= box.width && height <= box.height)) {
+    return null;
+  }
+  
+  const factor = Math.min(box.width / width, box.height / height);
+  
+  // Even sizes keep 4:2:0 chroma aligned
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return { width: even(width * factor), height: even(height * factor) };
+}
+
+/**
+ * Software scaling filter, for backends that don't scale on the GPU
+ */
+function buildScaleFilter(scale) {
+  return `zscale=w=${scale.width}:h=${scale.height}:filter=lanczos`;
+}
+
+/**
+ * Check whether a file is over its library's policy and should be encoded
+ * down to it. A file an earlier encode already brought down to the same or
+ * a stricter policy, or to one set on its job, isn't flagged again.
+ * @param {Object} video - { width, height, kbps } of the file's video
+ * @param {Object} policy - From resolveDownscalePolicy
+ * @param {Object|null} result - The downscale_result an earlier encode recorded
+ */
+function exceedsDownscalePolicy(video, policy, result = null) {
+  const box = getResolutionBox(policy.max_resolution);
+  const maxKbps = policy.max_bitrate_kbps;
+  
+  // A policy changed by hand on the job is what the user wanted for the file
+  if (result && result.overridden) {
+    return false;
+  }
+  
+  if (result) {
+    const resultBox = getResolutionBox(result.max_resolution);
+    const resolutionMet = !box || (resultBox && resultBox.width <= box.width && resultBox.height <= box.height);
+    const bitrateMet = !maxKbps || (result.max_bitrate_kbps && result.max_bitrate_kbps <= maxKbps);
+    
+    if (resolutionMet && bitrateMet) {
+      return false;
+    }
+  }
+  
+  if (box && video.width && video.height && getScaleTarget(video.width, video.height, policy.max_resolution)) {
+    return true;
+  }
+  
+  return !!(maxKbps && video.kbps && video.kbps > maxKbps * BITRATE_TOLERANCE);
+}
+
+module.exports = {
+  maxResolutions,
+  resolveDownscalePolicy,
+  validateDownscalePolicy,
+  getScaleTarget,
+  buildScaleFilter,
+  exceedsDownscalePolicy
+};
@@ -5,24 +5,114 @@ const { promisify } = require('util');
 const { spawn } = require('child_process');
 const ffmpeg = require('fluent-ffmpeg');
 const { BrowserWindow } = require('electron');
+const { getFfmpegPath, getBinaryStatus } = require('./binaries');
 const { 
   getJobsByStatus, 
+  getRunnableJobs,
   updateJobStatus, 
   markMediaAsEncoded, 
-  getJobById 
+  markMediaNotBeneficial,
+  getMediaById,
+  saveMediaPreview,
+  saveMediaPictureInfo,
+  setMediaPictureOverride,
+  updateMediaFilePath,
+  getJobById,
+  updateJobProgress,
+  getEncodingProfileById,
+  getDefaultEncodingProfile,
+  createEncodingProfile,
+  updateEncodingProfile,
+  getSettings,
+  getLibraryForPath
 } = require('./database');
+const { measureQuality } = require('./quality');
+const { 
+  probeMedia, 
+  getDuration, 
+  chooseContainer,
+  planStreams, 
+  applyStreamRules,
+  applyAudioPolicy,
+  buildStreamArgs, 
+  verifyStreams 
+} = require('./streams');
+const { getEncoderCapabilities } = require('./hardware');
+const { 
+  rateControlModes, 
+  getRateControl, 
+  applyBitrateCap, 
+  getSourceVideoKbps 
+} = require('./ratecontrol');
+const { 
+  resolveDownscalePolicy, 
+  validateDownscalePolicy, 
+  getScaleTarget 
+} = require('./downscale');
+const { planSegments, getSegmentPath, writeConcatList } = require('./segments');
+const { planRetry, getFailureLabel } = require('./retry');
+const { createJobLog, describeExit, getMeaningfulLines, readJobLog } = require('./joblog');
+const { runPreview } = require('./preview');
+const { findQualityForVmaf } = require('./targetquality');
+const { 
+  analyzePicture, 
+  resolvePicture, 
+  validatePictureOverride, 
+  buildPictureFilters 
+} = require('./picture');
+const { 
+  probeColorInfo, 
+  isHdr, 
+  getDolbyVisionSkipReason, 
+  getOutputHdrFormat,
+  getDolbyVisionFilters 
+} = require('./hdr');
+const { 
+  selectBackend, 
+  buildVideoArgs, 
+  getBackends, 
+  getCodecContainers 
+} = require('./backends');
+const { 
+  quarantineOriginal, 
+  releaseQuarantinedOriginal, 
+  purgeQuarantine 
+} = require('./quarantine');
+const { 
+  captureFileAttributes, 
+  restoreFileAttributes, 
+  hasRestoreProblems 
+} = require('./fileattrs');
 
 // Number of parallel encoding jobs
 let maxParallelJobs = 2; // Default, will be updated from schedule
 let activeJobs = 0;
 let isQueuePaused = false;
-let activeJobsMap = new Map(); // Map to track active encoding processes
+let activeJobsMap = new Map(); // Map of job ID to { process, processes, abortController, cancelled } for running jobs
 
-// Intel Arc hardware acceleration settings
-const qsvPresets = {
-  quality: 'veryfast', // Options: veryslow, slower, slow, medium, fast, faster, veryfast, superfast, ultrafast
-  profile: 'main10',   // Options: main, main10
-};
+// How often progress is pushed to the UI and saved on the job row
+const PROGRESS_NOTIFY_INTERVAL_MS = 1000;
+const PROGRESS_SAVE_INTERVAL_MS = 10000;
+
+// How often the recycle bin retention policy is applied
+const QUARANTINE_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Directory for in-progress encodes
+const tempDir = path.join(os.tmpdir(), 'plex-encoder');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Shorter segments cost more in keyframes at the joins than they gain
+const MIN_SEGMENT_SECONDS = 30;
+
+// Statuses a job can be left in if the app quits mid-encode
+const interruptedStatuses = ['processing', 'verifying', 'replacing_file'];
+
+// What the startup recovery pass did, for the UI
+let lastRecoveryReport = null;
+
+// Media IDs with a preview running
+const runningPreviews = new Set();
 
 // FFmpeg probe is callback based, let's promisify it
 const ffprobeAsync = promisify((filePath, callback) => {
@@ -35,9 +125,20 @@ const ffprobeAsync = promisify((filePath, callback) => {
 async function initializeEncoder() {
   console.log('Encoder service initialized');
   
+  // Sort out jobs a previous run left behind before picking up new ones
+  try {
+    await recoverInterruptedJobs();
+  } catch (error) {
+    console.error('Error recovering interrupted jobs:', error);
+  }
+  
   // Start processing queue
   setTimeout(() => processEncodingQueue(), 5000);
   
+  // Apply the recycle bin retention policy now and periodically
+  purgeQuarantine().catch(() => {});
+  setInterval(() => purgeQuarantine().catch(() => {}), QUARANTINE_PURGE_INTERVAL_MS);
+  
   return true;
 }
 
@@ -52,6 +153,13 @@ async function processEncodingQueue() {
       return;
     }
     
+    // Every job would fail without a working ffmpeg; the Dashboard says why
+    const binaries = getBinaryStatus();
+    if (binaries && !binaries.ok) {
+      setTimeout(() => processEncodingQueue(), 30000);
+      return;
+    }
+    
     // Check if we can process more jobs
     const availableSlots = maxParallelJobs - activeJobs;
     
@@ -61,8 +169,8 @@ async function processEncodingQueue() {
       return;
     }
     
-    // Get jobs that are queued
-    const queuedJobs = getJobsByStatus('queued', availableSlots);
+    // Get jobs that are queued, leaving retries that are still backing off
+    const queuedJobs = getRunnableJobs(availableSlots);
     
     if (queuedJobs.length === 0) {
       // No jobs in queue, check again later
@@ -85,279 +193,1746 @@ async function processEncodingQueue() {
 }
 
 /**
- * Start encoding a specific job
+ * Start encoding a specific job
+ */
+async function startEncodingJob(job) {
+  // Track the job before anything async happens so it can be cancelled at any point
+  const activeJob = { 
+    process: null, 
+    processes: new Set(), // Segment encodes running side by side
+    abortController: new AbortController(), 
+    cancelled: false,
+    log: null // ffmpeg output of this attempt
+  };
+  
+  try {
+    activeJobs++;
+    activeJobsMap.set(job.id, activeJob);
+    
+    // Every attempt gets its own log of the ffmpeg runs
+    activeJob.log = createJobLog(job.id, job.retries + 1);
+    
+    // Update job status to processing
+    updateJobStatus(job.id, 'processing', { log_path: activeJob.log.path });
+    
+    // Notify UI about job status change
+    notifyJobStatusChange(job.id, 'processing');
+    
+    // The original's times, mode and owner are put back on the encode once
+    // it replaces it. Captured after the status change, since a stat on a
+    // network share can take a while and the job must already show as running.
+    const originalAttributes = await captureFileAttributes(job.file_path);
+    updateJobStatus(job.id, 'processing', { original_attributes: JSON.stringify(originalAttributes) });
+    
+    if (activeJob.cancelled) {
+      await finishCancelledJob(job.id, null);
+      return;
+    }
+    
+    // Create temp directory if it doesn't exist
+    await fs.ensureDir(tempDir);
+    
+    // Resolve the profile this job is encoded with
+    const profile = (job.profile_id && getEncodingProfileById(job.profile_id)) || 
+      getDefaultEncodingProfile();
+    const codec = profile.codec || 'hevc';
+    
+    // A retry changes what made the last attempt fail
+    const strategy = job.retry_strategy ? JSON.parse(job.retry_strategy) : {};
+    if (job.retries > 0) {
+      console.log(`Job ${job.id} attempt ${job.retries + 1}${strategy.software ? ', in software' : ''}${strategy.transcodeAudio ? ', transcoding audio' : ''}`);
+    }
+    
+    const plan = await planEncode(job.file_path, profile, {
+      media: getMediaById(job.media_id),
+      downscaleOverride: job.downscale_override ? JSON.parse(job.downscale_override) : null,
+      strategy,
+      signal: activeJob.abortController.signal
+    });
+    const { 
+      sourceInfo, 
+      durationSeconds, 
+      colorInfo, 
+      backend, 
+      outputExt, 
+      streamPlan, 
+      rateControl, 
+      videoOptions,
+      downscalePolicy,
+      outputSize
+    } = plan;
+    const hasDownscalePolicy = !!(downscalePolicy.max_resolution || downscalePolicy.max_bitrate_kbps);
+    
+    // Update job with the profile and encoder actually used
+    updateJobStatus(job.id, 'processing', { 
+      profile_id: profile.id,
+      encoder: backend.name,
+      last_progress: null,
+      target_bitrate_kbps: rateControl ? rateControl.bitrateKbps : null,
+      target_quality_value: null,
+      target_quality_score: null,
+      target_quality_steps: null,
+      downscale_policy: hasDownscalePolicy || job.downscale_override ? JSON.stringify(downscalePolicy) : null,
+      output_resolution: outputSize ? `${outputSize.width}x${outputSize.height}` : null,
+      error_message: null,
+      failure_kind: null,
+      retry_after: null
+    });
+    
+    console.log(`Starting encoding job ${job.id} for ${job.title} with ${backend.name}`);
+    
+    if (isHdr(colorInfo)) {
+      console.log(`Job ${job.id} source is ${colorInfo.hdrFormat}, output will be ${getOutputHdrFormat(colorInfo)}`);
+    }
+    
+    const changedStreams = streamPlan.streams.filter(stream => stream.reason);
+    if (changedStreams.length > 0) {
+      console.log(`Job ${job.id} stream changes: ${changedStreams.map(stream => `${stream.index} ${stream.action} (${stream.reason})`).join(', ')}`);
+    }
+    
+    const pictureFilters = buildPictureFilters(videoOptions.picture);
+    if (pictureFilters.length > 0) {
+      console.log(`Job ${job.id} picture filters: ${pictureFilters.join(',')}`);
+    }
+    
+    if (videoOptions.scale) {
+      console.log(`Job ${job.id} is scaled down to ${videoOptions.scale.width}x${videoOptions.scale.height} (max ${downscalePolicy.max_resolution})`);
+    }
+    
+    if (rateControl) {
+      console.log(`Job ${job.id} targets ${rateControl.bitrateKbps} kbps${backend.capabilities.twoPass ? ' in two passes' : ''}`);
+    }
+    
+    // Generate a temp filename, in the container planEncode chose
+    const inputExt = path.extname(job.file_path);
+    const tempFileName = `${path.basename(job.file_path, inputExt)}_${codec}_temp${outputExt}`;
+    const tempFilePath = path.join(tempDir, tempFileName);
+    
+    updateJobStatus(job.id, 'processing', { temp_file_path: tempFilePath });
+    
+    // Target VMAF profiles encode at the quality value the samples settled
+    // on, unless the library's bitrate cap turned the job into a bitrate target
+    let encodeProfile = profile;
+    if (profile.rate_control === 'target_vmaf' && !rateControl) {
+      console.log(`Searching the quality value for job ${job.id}`);
+      
+      const search = await searchTargetQuality(job.file_path, profile, plan, {
+        outputDir: path.join(tempDir, `job-${job.id}-quality`),
+        signal: activeJob.abortController.signal,
+        onStep: (step) => {
+          console.log(`Job ${job.id} quality ${step.quality}: VMAF ${step.score.toFixed(2)}`);
+          notifyJobProgress(job.id, {
+            phase: `Quality search: ${step.quality} scored VMAF ${step.score.toFixed(2)}`,
+            updatedAt: new Date().toISOString()
+          });
+        }
+      });
+      
+      updateJobStatus(job.id, 'processing', {
+        target_quality_value: search.quality,
+        target_quality_score: search.score,
+        target_quality_steps: JSON.stringify(search.steps)
+      });
+      
+      console.log(`Job ${job.id} encodes at quality ${search.quality} (VMAF ${search.score.toFixed(2)} on samples, target ${search.targetVmaf})`);
+      
+      encodeProfile = { ...profile, quality_value: search.quality };
+    }
+    
+    // The job may have been cancelled while the source was being probed
+    if (activeJob.cancelled) {
+      await finishCancelledJob(job.id, tempFilePath);
+      return;
+    }
+    
+    // Start encoding process. Failures are recorded on the job, so the
+    // returned promise only needs to be kept from going unhandled.
+    if (shouldSegment(job, durationSeconds, getSettings())) {
+      startSegmentedEncoding(
+        job.file_path,
+        tempFilePath,
+        backend,
+        job,
+        encodeProfile,
+        durationSeconds,
+        streamPlan,
+        videoOptions,
+        sourceInfo
+      ).catch(() => {});
+    } else {
+      startFFmpegEncoding(
+        job.file_path, 
+        tempFilePath, 
+        backend,
+        job,
+        encodeProfile,
+        durationSeconds,
+        streamPlan,
+        videoOptions
+      ).catch(() => {});
+    }
+    
+  } catch (error) {
+    // Cancelling during the quality search aborts its ffmpeg runs
+    if (activeJob.cancelled) {
+      await finishCancelledJob(job.id, null);
+      return;
+    }
+    
+    console.error(`Error starting encoding job ${job.id}:`, error);
+    
+    // Fail the job, or queue it to try again
+    failJob(job, error.message || 'Unknown error');
+    
+    // Free the slot for the next job
+    releaseJobSlot(job.id);
+  }
+}
+
+/**
+ * Search the quality value that reaches a target VMAF profile's score on
+ * samples of a file, with the encoder settings from planEncode
+ * @param {Object} options - outputDir for the samples, plus optional signal and onStep
+ * @returns {Promise<Object>} From findQualityForVmaf
+ */
+function searchTargetQuality(filePath, profile, plan, options) {
+  const settings = getSettings();
+  
+  return findQualityForVmaf(filePath, {
+    targetVmaf: profile.rate_value,
+    backend: plan.backend,
+    profile,
+    videoOptions: plan.videoOptions,
+    extraArgs: parseExtraArgs(profile.extra_args),
+    streamPlan: plan.streamPlan,
+    durationSeconds: plan.durationSeconds,
+    sampleCount: settings.verify_sample_count,
+    sampleSeconds: settings.verify_sample_seconds,
+    ...options
+  });
+}
+
+/**
+ * Work out how a file would be encoded with a profile: the backend, output
+ * container, stream plan and video options. Shared by jobs and previews.
+ * Throws if the file may not be encoded.
+ * @param {Object} [options]
+ * @param {Object} [options.media] - The file's media row, for its crop and scan type
+ * @param {Object} [options.downscaleOverride] - A job's changes to its library's downscale policy
+ * @param {Object} [options.strategy] - What a retry changes: software to
+ *   skip hardware encoders, transcodeAudio to re-encode copied audio
+ * @param {AbortSignal} [options.signal] - Aborts the picture analysis
+ */
+async function planEncode(filePath, profile, { media = null, downscaleOverride = null, strategy = {}, signal } = {}) {
+  const settings = getSettings();
+  const codec = profile.codec || 'hevc';
+  
+  // Source duration is needed to turn ffmpeg's position into a percentage
+  const sourceInfo = await probeMedia(filePath);
+  const durationSeconds = getDuration(sourceInfo);
+  
+  // HDR metadata is carried over to the encode; Dolby Vision depends on the rule
+  const colorInfo = await probeColorInfo(filePath);
+  const skipReason = getDolbyVisionSkipReason(colorInfo, settings.dolby_vision_policy);
+  if (skipReason) {
+    throw new Error(skipReason);
+  }
+  
+  // Pick from the encoders that passed detection, honouring the preferred accelerator
+  const backend = await selectBackend(codec, strategy.software ? 'software' : settings.encoder_accelerator, { 
+    hdr: isHdr(colorInfo) 
+  });
+  
+  // A container the output codec and streams can go in
+  const outputExt = chooseContainer(sourceInfo, path.extname(filePath), getCodecContainers(codec), settings);
+  
+  // Keep every stream, converting what the output container can't hold,
+  // then drop tracks the library's (or the global) language rules exclude
+  const streamPlan = planStreams(sourceInfo, outputExt);
+  const library = getLibraryForPath(filePath);
+  applyStreamRules(streamPlan, (library && library.stream_rules) || settings.stream_rules);
+  applyAudioPolicy(streamPlan, strategy.transcodeAudio ? 
+    { ...settings.audio_policy, transcode_all: true } : 
+    settings.audio_policy);
+  
+  // Crop and deinterlacing, detected or set on the media item
+  const picture = media ? 
+    await planPicture(media, sourceInfo, streamPlan, durationSeconds, settings, signal) : 
+    null;
+  
+  // The library's maximum resolution, unless the job overrides it. Scaling
+  // applies to the picture left after cropping and never goes up.
+  const videoIndex = streamPlan.streams.find(stream => stream.action === 'encode').index;
+  const video = sourceInfo.streams.find(stream => stream.index === videoIndex);
+  const downscalePolicy = resolveDownscalePolicy(library && library.downscale_policy, downscaleOverride);
+  const picturedSize = picture && picture.crop ? picture.crop : video;
+  const scale = getScaleTarget(picturedSize.width, picturedSize.height, downscalePolicy.max_resolution);
+  const outputSize = scale || (picturedSize.width ? { width: picturedSize.width, height: picturedSize.height } : null);
+  
+  // Bitrate modes need the source, the output size and the audio that's
+  // kept to work out the target, which the library's maximum bitrate caps
+  const { rateControl, maxBitrateKbps } = applyBitrateCap(
+    getRateControl(profile, sourceInfo, streamPlan, durationSeconds, outputSize),
+    downscalePolicy.max_bitrate_kbps,
+    backend,
+    getSourceVideoKbps(sourceInfo, videoIndex, durationSeconds)
+  );
+  
+  return {
+    sourceInfo,
+    durationSeconds,
+    colorInfo,
+    backend,
+    outputExt,
+    streamPlan,
+    rateControl,
+    downscalePolicy,
+    outputSize,
+    videoOptions: {
+      color: colorInfo,
+      filters: getDolbyVisionFilters(colorInfo),
+      rateControl,
+      maxBitrateKbps,
+      picture,
+      scale
+    }
+  };
+}
+
+/**
+ * Resolve the crop and scan type a media item is encoded with. The picture
+ * is analyzed first if a setting needs it and it hasn't been yet.
+ */
+async function planPicture(media, sourceInfo, streamPlan, durationSeconds, settings, signal) {
+  const override = media.picture_override ? JSON.parse(media.picture_override) : null;
+  let info = media.picture_info ? JSON.parse(media.picture_info) : null;
+  
+  const needsAnalysis = 
+    (settings.auto_crop && (!override || override.crop === 'auto')) ||
+    (settings.auto_deinterlace && (!override || override.scan === 'auto'));
+  
+  if (!info && needsAnalysis) {
+    info = await runPictureAnalysis(media, sourceInfo, streamPlan, durationSeconds, signal);
+  }
+  
+  return resolvePicture(info, override, settings);
+}
+
+/**
+ * Run cropdetect and idet over a media item and save what they found
+ */
+async function runPictureAnalysis(media, sourceInfo, streamPlan, durationSeconds, signal) {
+  const videoIndex = streamPlan.streams.find(stream => stream.action === 'encode').index;
+  const video = sourceInfo.streams.find(stream => stream.index === videoIndex);
+  
+  console.log(`Analyzing the picture of ${media.file_path}`);
+  
+  const info = await analyzePicture(media.file_path, {
+    videoIndex,
+    width: video.width,
+    height: video.height,
+    durationSeconds,
+    signal
+  });
+  
+  saveMediaPictureInfo(media.id, info);
+  
+  const crop = info.crop ? `${info.crop.width}x${info.crop.height}+${info.crop.x}+${info.crop.y}` : 'none';
+  console.log(`Picture of media ${media.id}: ${info.scanType}, crop ${crop}`);
+  
+  return info;
+}
+
+/**
+ * Analyze a media item's picture again, e.g. after a detection that looked wrong
+ * @returns {Promise<Object>} The detected values, from analyzePicture
+ */
+async function analyzeMediaPicture(mediaId) {
+  const media = getMediaById(mediaId);
+  if (!media) {
+    throw new Error(`Media with id ${mediaId} not found`);
+  }
+  
+  const sourceInfo = await probeMedia(media.file_path);
+  const streamPlan = planStreams(sourceInfo, path.extname(media.file_path));
+  
+  return runPictureAnalysis(media, sourceInfo, streamPlan, getDuration(sourceInfo));
+}
+
+/**
+ * Change a queued job's downscale policy from its library's
+ * @param {Object|null} override - max_resolution and/or max_bitrate_kbps;
+ *   a null value removes that limit, a missing one keeps the library's.
+ *   null uses the library's policy as it is.
+ */
+function setJobDownscale(jobId, override) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw new Error(`Job with id ${jobId} not found`);
+  }
+  
+  if (job.status !== 'queued') {
+    throw new Error(`Job with id ${jobId} is not queued`);
+  }
+  
+  const value = override ? validateDownscalePolicy(override) : null;
+  const changed = value && Object.keys(value).length > 0;
+  
+  updateJobStatus(jobId, 'queued', { downscale_override: changed ? JSON.stringify(value) : null });
+  
+  return getJobById(jobId);
+}
+
+/**
+ * Set the crop and scan type a media item is encoded with
+ * @param {Object|null} override - { crop: 'auto' | 'none' | 'W:H:X:Y', scan: 'auto' |
+ *   'progressive' | 'interlaced' | 'telecine' }; null goes back to automatic
+ */
+function setPictureOverride(mediaId, override) {
+  const media = getMediaById(mediaId);
+  if (!media) {
+    throw new Error(`Media with id ${mediaId} not found`);
+  }
+  
+  // Older scans didn't store the picture size; the crop is still checked for shape
+  const frame = media.video_width && media.video_height ? 
+    { width: media.video_width, height: media.video_height } : 
+    null;
+  const value = override ? validatePictureOverride(override, frame) : null;
+  const automatic = !value || (value.crop === 'auto' && value.scan === 'auto');
+  
+  setMediaPictureOverride(mediaId, automatic ? null : value);
+  
+  return getMediaById(mediaId);
+}
+
+/**
+ * Start FFmpeg encoding process
+ * @param {Object} videoOptions - Per-job overrides for buildVideoArgs (color, filters, rateControl)
+ */
+function startFFmpegEncoding(inputPath, outputPath, backend, job, profile, durationSeconds, streamPlan, videoOptions) {
+  return new Promise(async (resolve, reject) => {
+    try {
+      const activeJob = activeJobsMap.get(job.id);
+      
+      // Bitrate targets are met more closely when the encoder has seen the whole file first
+      const twoPass = !!videoOptions.rateControl && backend.capabilities.twoPass;
+      const passOptions = twoPass ? { pass: 2, passLogFile: getPassLogFile(job.id) } : {};
+      
+      // The backend turns the profile into encoder-specific arguments
+      const { inputArgs, outputArgs } = buildVideoArgs(backend, profile, { ...videoOptions, ...passOptions });
+      const extraArgs = parseExtraArgs(profile.extra_args);
+      
+      if (twoPass) {
+        try {
+          await runFirstPass(inputPath, backend, job, profile, durationSeconds, streamPlan, videoOptions);
+        } catch (error) {
+          await removePassLogs(job.id);
+          
+          if (activeJob && activeJob.cancelled) {
+            await finishCancelledJob(job.id, outputPath);
+            resolve(false);
+            return;
+          }
+          
+          console.error(error.message);
+          failJob(job, error.message);
+          releaseJobSlot(job.id);
+          reject(error);
+          return;
+        }
+        
+        // Cancelled after the first pass finished but before the second started
+        if (activeJob && activeJob.cancelled) {
+          await removePassLogs(job.id);
+          await finishCancelledJob(job.id, outputPath);
+          resolve(false);
+          return;
+        }
+      }
+      
+      // Build FFmpeg command
+      const ffmpegArgs = [
+        // Machine-readable progress on stdout instead of the stderr stats line
+        '-progress', 'pipe:1',
+        '-nostats',
+        
+        // Hardware acceleration setup
+        ...inputArgs,
+        
+        // Input file
+        '-i', inputPath,
+        
+        // Video codec settings
+        ...outputArgs,
+        
+        // Stream mapping; audio, subtitles and attachments are copied or converted
+        ...buildStreamArgs(streamPlan),
+        
+        // Profile-specific arguments
+        ...extraArgs,
+        
+        // Output file
+        outputPath
+      ];
+      
+      // Log the command for debugging
+      console.log('FFmpeg command:', 'ffmpeg', ffmpegArgs.join(' '));
+      
+      const jobLog = getAttemptLog(job.id);
+      jobLog.command(ffmpegArgs);
+      
+      // Start FFmpeg process. On POSIX it gets its own process group so
+      // cancelling can signal the whole tree.
+      const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { 
+        detached: process.platform !== 'win32' 
+      });
+      
+      // Keep the process so the job can be cancelled
+      if (activeJob) {
+        activeJob.process = ffmpegProcess;
+      }
+      
+      const progressTracker = createProgressTracker(job.id, durationSeconds, twoPass ? { pass: 2, passes: 2 } : null);
+      
+      ffmpegProcess.stdout.on('data', (data) => {
+        progressTracker.handleOutput(data.toString());
+      });
+      
+      ffmpegProcess.stderr.on('data', (data) => {
+        jobLog.write(data.toString());
+      });
+      
+      ffmpegProcess.on('close', async (code, signal) => {
+        // Keep the last snapshot on the job row whatever the outcome
+        progressTracker.flush();
+        
+        if (twoPass) {
+          await removePassLogs(job.id);
+        }
+        
+        if (activeJob && activeJob.cancelled) {
+          await finishCancelledJob(job.id, outputPath);
+          resolve(false);
+          return;
+        }
+        
+        if (code === 0) {
+          // Encoding completed successfully
+          completeEncode(job, inputPath, outputPath, profile, durationSeconds, streamPlan, videoOptions).then(resolve, reject);
+        } else {
+          // Encoding failed; the whole output is in the job's log
+          const errorMsg = describeExit('FFmpeg encoding', code, signal, jobLog.tail());
+          console.error(errorMsg);
+          
+          failJob(job, errorMsg);
+          
+          releaseJobSlot(job.id);
+          reject(new Error(errorMsg));
+        }
+      });
+      
+      ffmpegProcess.on('error', (error) => {
+        console.error(`FFmpeg process error for job ${job.id}:`, error);
+        
+        failJob(job, `Process error: ${error.message}`);
+        
+        releaseJobSlot(job.id);
+        reject(error);
+      });
+      
+      return ffmpegProcess;
+    } catch (error) {
+      console.error(`Error in FFmpeg encoding for job ${job.id}:`, error);
+      releaseJobSlot(job.id);
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Check whether a job is big and long enough to be encoded in segments
+ */
+function shouldSegment(job, durationSeconds, settings) {
+  if (!settings.segmented_encoding || settings.segment_seconds < MIN_SEGMENT_SECONDS) {
+    return false;
+  }
+  
+  return job.original_size_bytes >= settings.segment_min_size_gb * BYTES_PER_GB &&
+    durationSeconds >= settings.segment_seconds * 2;
+}
+
+/**
+ * Encode the video in keyframe-aligned segments spread over the free queue
+ * slots, then join them and copy the audio, subtitles and chapters back in
+ * from the source. Segments are encoded in a single pass. Falls back to a
+ * normal encode when the source can't be split.
+ */
+async function startSegmentedEncoding(inputPath, outputPath, backend, job, profile, durationSeconds, streamPlan, videoOptions, sourceInfo) {
+  const activeJob = activeJobsMap.get(job.id);
+  const videoIndex = streamPlan.streams.find(stream => stream.action === 'encode').index;
+  const segmentDir = getSegmentDir(job.id);
+  
+  let segments = [];
+  try {
+    const startTime = Number(sourceInfo.format.start_time) || 0;
+    segments = await planSegments(inputPath, videoIndex, durationSeconds, getSettings().segment_seconds, startTime);
+  } catch (error) {
+    console.error(`Could not find split points for job ${job.id}:`, error.message);
+  }
+  
+  if (segments.length < 2) {
+    console.log(`Job ${job.id} can't be split, encoding it in one piece`);
+    return startFFmpegEncoding(inputPath, outputPath, backend, job, profile, durationSeconds, streamPlan, videoOptions);
+  }
+  
+  console.log(`Job ${job.id} is encoded in ${segments.length} segments`);
+  
+  try {
+    await fs.ensureDir(segmentDir);
+    await encodeSegments(job, inputPath, backend, profile, durationSeconds, videoIndex, videoOptions, segments, segmentDir);
+    await joinSegments(job, inputPath, outputPath, backend, streamPlan, segments, segmentDir);
+  } catch (error) {
+    await fs.remove(segmentDir);
+    
+    if (activeJob.cancelled) {
+      await finishCancelledJob(job.id, outputPath);
+      return false;
+    }
+    
+    console.error(`Segmented encoding failed for job ${job.id}:`, error.message);
+    failJob(job, error.message);
+    releaseJobSlot(job.id);
+    throw error;
+  }
+  
+  await fs.remove(segmentDir);
+  
+  if (activeJob.cancelled) {
+    await finishCancelledJob(job.id, outputPath);
+    return false;
+  }
+  
+  return completeEncode(job, inputPath, outputPath, profile, durationSeconds, streamPlan, videoOptions);
+}
+
+/**
+ * Encode a job's segments. The job's own slot always runs one; each slot
+ * the queue has free runs another. A failed segment is retried on its own.
+ */
+function encodeSegments(job, inputPath, backend, profile, durationSeconds, videoIndex, videoOptions, segments, segmentDir) {
+  const activeJob = activeJobsMap.get(job.id);
+  const retries = getSettings().segment_retries;
+  const { inputArgs, outputArgs } = buildVideoArgs(backend, profile, videoOptions);
+  const extraArgs = parseExtraArgs(profile.extra_args);
+  const progress = createSegmentProgress(job.id, durationSeconds, segments);
+  const pending = [...segments];
+  const attempts = new Map();
+  let running = 0;
+  let ownSlotBusy = false;
+  let failure = null;
+  
+  return new Promise((resolve, reject) => {
+    const runSegment = (segment) => {
+      // Segments beyond the first take a slot other jobs could have used
+      const borrowed = ownSlotBusy;
+      if (borrowed) {
+        activeJobs++;
+      } else {
+        ownSlotBusy = true;
+      }
+      running++;
+      attempts.set(segment.number, (attempts.get(segment.number) || 0) + 1);
+      
+      const ffmpegArgs = [
+        '-progress', 'pipe:1',
+        '-nostats',
+        ...inputArgs,
+        '-ss', segment.start.toFixed(6),
+        '-i', inputPath,
+        ...(segment.duration !== null ? ['-t', segment.duration.toFixed(6)] : []),
+        '-map', `0:${videoIndex}`,
+        ...outputArgs,
+        ...extraArgs,
+        '-an', '-sn', '-dn',
+        '-y',
+        getSegmentPath(segmentDir, segment)
+      ];
+      
+      progress.start(segment);
+      
+      runJobProcess(job, ffmpegArgs, (chunk) => progress.handleOutput(segment, chunk))
+        .then(() => progress.complete(segment))
+        .catch((error) => {
+          progress.reset(segment);
+          if (activeJob.cancelled || failure) return;
+          
+          const attempt = attempts.get(segment.number);
+          if (attempt <= retries) {
+            console.log(`Segment ${segment.number} of job ${job.id} failed, retrying (attempt ${attempt + 1})`);
+            pending.unshift(segment);
+            return;
+          }
+          
+          failure = new Error(`Segment ${segment.number} of ${segments.length} failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${error.message}`);
+          for (const segmentProcess of activeJob.processes) {
+            killProcessTree(segmentProcess);
+          }
+        })
+        .then(() => {
+          running--;
+          if (borrowed) {
+            activeJobs--;
+          } else {
+            ownSlotBusy = false;
+          }
+          dispatch();
+        });
+    };
+    
+    const dispatch = () => {
+      if (activeJob.cancelled && !failure) {
+        failure = new Error('Cancelled');
+      }
+      
+      if (failure || (pending.length === 0 && running === 0)) {
+        if (running > 0) return;
+        
+        progress.flush();
+        if (failure) {
+          reject(failure);
+        } else {
+          resolve();
+        }
+        return;
+      }
+      
+      while (pending.length > 0 && (!ownSlotBusy || (!isQueuePaused && activeJobs < maxParallelJobs))) {
+        runSegment(pending.shift());
+      }
+    };
+    
+    dispatch();
+  });
+}
+
+/**
+ * Join the encoded segments with the concat demuxer and take every other
+ * stream, the chapters and the metadata from the source
+ */
+async function joinSegments(job, inputPath, outputPath, backend, streamPlan, segments, segmentDir) {
+  const listPath = await writeConcatList(segmentDir, segments);
+  
+  const ffmpegArgs = [
+    '-nostats',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listPath,
+    '-i', inputPath,
+    ...buildStreamArgs(streamPlan, { sourceInput: 1, videoInput: '0:0' }),
+    ...(backend.codec === 'hevc' ? ['-tag:v:0', 'hvc1'] : []),
+    '-y',
+    outputPath
+  ];
+  
+  console.log(`Joining ${segments.length} segments for job ${job.id}`);
+  
+  await runJobProcess(job, ffmpegArgs);
+}
+
+/**
+ * Directory a job's segments are encoded into
+ */
+function getSegmentDir(jobId) {
+  return path.join(tempDir, `job-${jobId}-segments`);
+}
+
+/**
+ * Run an ffmpeg process for a job, registered so cancelling the job kills it
+ * @param {Function} [onOutput] - Called with each chunk of stdout
+ * @returns {Promise<void>} Rejects with the end of stderr if ffmpeg fails
+ */
+function runJobProcess(job, ffmpegArgs, onOutput) {
+  return new Promise((resolve, reject) => {
+    const activeJob = activeJobsMap.get(job.id);
+    
+    console.log('FFmpeg command:', 'ffmpeg', ffmpegArgs.join(' '));
+    
+    // Segments run side by side, so each keeps its own end of stderr for
+    // its error and the log gets the output as it comes
+    const jobLog = getAttemptLog(job.id);
+    jobLog.command(ffmpegArgs);
+    
+    const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { 
+      detached: process.platform !== 'win32' 
+    });
+    
+    if (activeJob) {
+      activeJob.processes.add(ffmpegProcess);
+    }
+    
+    let stderrData = '';
+    
+    ffmpegProcess.stdout.on('data', (data) => {
+      if (onOutput) {
+        onOutput(data.toString());
+      }
+    });
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      // Only the end is useful, and a long encode writes a lot
+      stderrData = (stderrData + data.toString()).slice(-4000);
+      jobLog.write(data.toString());
+    });
+    
+    ffmpegProcess.on('close', (code, signal) => {
+      if (activeJob) {
+        activeJob.processes.delete(ffmpegProcess);
+      }
+      
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(describeExit('FFmpeg', code, signal, getMeaningfulLines(stderrData))));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      if (activeJob) {
+        activeJob.processes.delete(ffmpegProcess);
+      }
+      reject(new Error(`Process error: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Check an encode's size against the minimum-savings setting
+ * @returns {string|null} Why the encode isn't worth keeping, or null if it is
+ */
+function checkSavings(sourceBytes, newBytes, settings) {
+  const savedBytes = sourceBytes - newBytes;
+  const savedPercent = (savedBytes / sourceBytes) * 100;
+  const savedMb = savedBytes / (1024 * 1024);
+  const minimum = Number(settings.min_savings_value) || 0;
+  
+  const saved = `Saved ${savedPercent.toFixed(1)}% (${savedMb.toFixed(1)} MB)`;
+  
+  // Never replace an original with something bigger, even with no minimum set
+  if (savedBytes <= 0) {
+    return `${saved}, the encode is not smaller than the original`;
+  }
+  
+  if (settings.min_savings_mode === 'mb') {
+    return savedMb < minimum ? `${saved}, below the ${minimum} MB minimum` : null;
+  }
+  
+  return savedPercent < minimum ? `${saved}, below the ${minimum}% minimum` : null;
+}
+
+/**
+ * Check a finished encode and swap it in for the original: stream check,
+ * minimum savings and the optional quality check come first. Returns false
+ * when the original was kept.
+ */
+async function finishEncodedFile(job, inputPath, outputPath, profile, durationSeconds, streamPlan, videoOptions) {
+  const activeJob = activeJobsMap.get(job.id);
+  const sourceFileSize = job.original_size_bytes;
+  
+  // Get the temporary file size
+  const tempStat = await fs.stat(outputPath);
+  const newSizeBytes = tempStat.size;
+  const sizeReductionPercent = ((sourceFileSize - newSizeBytes) / sourceFileSize) * 100;
+  
+  console.log(`Encoding job ${job.id} completed. Size reduction: ${sizeReductionPercent.toFixed(2)}%`);
+  
+  // Anything ffmpeg silently dropped fails the job rather than the original
+  const missingStreams = await verifyStreams(streamPlan, outputPath);
+  if (missingStreams) {
+    console.log(`Job ${job.id} failed the stream check: ${missingStreams}`);
+    await fs.remove(outputPath);
+    failJob(job, `Stream check failed: ${missingStreams}`, { 
+      new_size_bytes: newSizeBytes,
+      size_reduction_percent: sizeReductionPercent
+    });
+    releaseJobSlot(job.id);
+    return false;
+  }
+  
+  // Keep the original when the encode barely shrank it, or grew it
+  const settings = getSettings();
+  const shortfall = checkSavings(sourceFileSize, newSizeBytes, settings);
+  if (shortfall) {
+    console.log(`Job ${job.id} is not beneficial: ${shortfall}`);
+    updateJobStatus(job.id, 'not_beneficial', { 
+      new_size_bytes: newSizeBytes,
+      size_reduction_percent: sizeReductionPercent,
+      error_message: shortfall
+    });
+    markMediaNotBeneficial(job.media_id, profile.id);
+    await fs.remove(outputPath);
+    notifyJobStatusChange(job.id, 'not_beneficial');
+    releaseJobSlot(job.id);
+    return false;
+  }
+  
+  // Check the encode against the source before trusting it with the original
+  if (settings.verify_quality) {
+    updateJobStatus(job.id, 'verifying', { 
+      new_size_bytes: newSizeBytes,
+      size_reduction_percent: sizeReductionPercent
+    });
+    notifyJobStatusChange(job.id, 'verifying');
+    
+    const passed = await verifyEncodeQuality(
+      job, inputPath, outputPath, durationSeconds, settings, activeJob && activeJob.abortController.signal,
+      buildPictureFilters(videoOptions.picture)
+    );
+    if (!passed) {
+      releaseJobSlot(job.id);
+      return false;
+    }
+  }
+  
+  // Update job with new file size and reduction
+  updateJobStatus(job.id, 'replacing_file', { 
+    new_size_bytes: newSizeBytes,
+    size_reduction_percent: sizeReductionPercent
+  });
+  
+  // Replace the original file
+  await replaceOriginalFile(inputPath, outputPath, job.id);
+  return true;
+}
+
+/**
+ * Finish a job whose encode completed, recording a failure if finalizing
+ * goes wrong
+ */
+async function completeEncode(job, inputPath, outputPath, profile, durationSeconds, streamPlan, videoOptions) {
+  try {
+    return await finishEncodedFile(job, inputPath, outputPath, profile, durationSeconds, streamPlan, videoOptions);
+  } catch (error) {
+    // Cancelling during verification aborts the quality measurement
+    const activeJob = activeJobsMap.get(job.id);
+    if (activeJob && activeJob.cancelled) {
+      await finishCancelledJob(job.id, outputPath);
+      return false;
+    }
+    
+    // A failed replace has already been recorded and released the slot
+    if (!activeJob) {
+      throw error;
+    }
+    
+    console.error(`Error completing job ${job.id}:`, error);
+    
+    // The original hasn't been touched yet; the next attempt encodes again
+    await fs.remove(outputPath).catch(() => {});
+    
+    failJob(job, `Error finalizing: ${error.message}`);
+    releaseJobSlot(job.id);
+    throw error;
+  }
+}
+
+/**
+ * Prefix for a job's two-pass statistics files
+ */
+function getPassLogFile(jobId) {
+  return path.join(tempDir, `job-${jobId}-pass`);
+}
+
+/**
+ * Delete a job's two-pass statistics files. Encoders add their own suffixes
+ * (-0.log, .cutree), so everything with the prefix goes.
+ */
+async function removePassLogs(jobId) {
+  try {
+    const prefix = path.basename(getPassLogFile(jobId));
+    const files = await fs.readdir(tempDir);
+    
+    for (const file of files.filter(name => name.startsWith(prefix))) {
+      await fs.remove(path.join(tempDir, file));
+    }
+  } catch (error) {
+    console.error(`Error removing pass logs for job ${jobId}:`, error);
+  }
+}
+
+/**
+ * Run the analysis pass of a two-pass encode. Only the video is read and
+ * nothing is written but the statistics file.
+ */
+function runFirstPass(inputPath, backend, job, profile, durationSeconds, streamPlan, videoOptions) {
+  return new Promise((resolve, reject) => {
+    const { inputArgs, outputArgs } = buildVideoArgs(backend, profile, {
+      ...videoOptions,
+      pass: 1,
+      passLogFile: getPassLogFile(job.id)
+    });
+    const videoIndex = streamPlan.streams.find(stream => stream.action === 'encode').index;
+    
+    const ffmpegArgs = [
+      '-progress', 'pipe:1',
+      '-nostats',
+      ...inputArgs,
+      '-i', inputPath,
+      '-map', `0:${videoIndex}`,
+      ...outputArgs,
+      ...parseExtraArgs(profile.extra_args),
+      '-an', '-sn', '-dn',
+      '-f', 'null',
+      '-'
+    ];
+    
+    console.log('FFmpeg first pass:', 'ffmpeg', ffmpegArgs.join(' '));
+    
+    const jobLog = getAttemptLog(job.id);
+    jobLog.command(ffmpegArgs);
+    
+    const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { 
+      detached: process.platform !== 'win32' 
+    });
+    
+    const activeJob = activeJobsMap.get(job.id);
+    if (activeJob) {
+      activeJob.process = ffmpegProcess;
+    }
+    
+    const progressTracker = createProgressTracker(job.id, durationSeconds, { pass: 1, passes: 2 });
+    
+    ffmpegProcess.stdout.on('data', (data) => {
+      progressTracker.handleOutput(data.toString());
+    });
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      jobLog.write(data.toString());
+    });
+    
+    ffmpegProcess.on('close', (code, signal) => {
+      progressTracker.flush();
+      
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(describeExit('FFmpeg first pass', code, signal, jobLog.tail())));
+      }
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(new Error(`Process error: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Compare the encode with its source and keep the original if the score is
+ * below the configured threshold. Returns true when the encode may replace it.
+ * referenceFilters are the picture filters the encode applied.
+ */
+async function verifyEncodeQuality(job, inputPath, outputPath, durationSeconds, settings, signal, referenceFilters) {
+  const metric = settings.verify_metric;
+  const threshold = metric === 'ssim' ? settings.ssim_threshold : settings.vmaf_threshold;
+  
+  console.log(`Verifying ${metric} for job ${job.id} (threshold ${threshold})`);
+  
+  const result = await measureQuality(inputPath, outputPath, {
+    metric,
+    scope: settings.verify_scope,
+    sampleCount: settings.verify_sample_count,
+    sampleSeconds: settings.verify_sample_seconds,
+    durationSeconds,
+    referenceFilters,
+    signal
+  });
+  
+  const qualityData = {
+    quality_metric: result.metric,
+    quality_score: result.score,
+    quality_min_score: result.minScore,
+    quality_samples: JSON.stringify(result.samples)
+  };
+  
+  // The mean over all samples decides; the minimum is kept for reference
+  if (result.score >= threshold) {
+    console.log(`Job ${job.id} passed ${metric} verification with ${result.score.toFixed(3)}`);
+    updateJobStatus(job.id, 'verifying', qualityData);
+    return true;
+  }
+  
+  console.log(`Job ${job.id} failed ${metric} verification with ${result.score.toFixed(3)}, keeping original`);
+  
+  updateJobStatus(job.id, 'failed_quality', {
+    ...qualityData,
+    error_message: `${metric.toUpperCase()} score ${result.score.toFixed(3)} is below the threshold of ${threshold}`
+  });
+  
+  // The original stays in place, so the encode is no longer needed
+  await fs.remove(outputPath);
+  
+  notifyJobStatusChange(job.id, 'failed_quality');
+  
+  return false;
+}
+
+/**
+ * Track ffmpeg `-progress` output for a job, pushing throttled snapshots to
+ * the UI and saving the latest one on the job row
+ * @param {Object} [passInfo] - { pass, passes }, added to each snapshot of a two-pass encode
+ */
+function createProgressTracker(jobId, durationSeconds, passInfo = null) {
+  const publish = createProgressPublisher(jobId);
+  let snapshot = null;
+  
+  const parser = createProgressParser((fields) => {
+    snapshot = { ...buildProgressSnapshot(fields, durationSeconds), ...passInfo };
+    publish(snapshot, fields.progress === 'end');
+  });
+  
+  return {
+    handleOutput: parser.handleOutput,
+    
+    flush() {
+      if (snapshot) {
+        publish(snapshot, true);
+      }
+    }
+  };
+}
+
+/**
+ * Combine the `-progress` output of a job's segments into one snapshot for
+ * the job, with how many segments are done and running
+ */
+function createSegmentProgress(jobId, durationSeconds, segments) {
+  const publish = createProgressPublisher(jobId);
+  const states = new Map(); // Segment number -> { seconds, speed, fps, sizeBytes, done }
+  const parsers = new Map();
+  let snapshot = null;
+  
+  const update = (force) => {
+    const entries = [...states.values()];
+    const running = entries.filter(entry => !entry.done);
+    const sum = (items, key) => items.reduce((total, entry) => total + (entry[key] || 0), 0);
+    const encodedSeconds = sum(entries, 'seconds');
+    const speed = sum(running, 'speed');
+    
+    snapshot = {
+      percent: durationSeconds ? Math.min(100, (encodedSeconds / durationSeconds) * 100) : null,
+      fps: sum(running, 'fps') || null,
+      speed: speed ? Number(speed.toFixed(2)) : null,
+      bitrateKbps: null,
+      outputSizeBytes: sum(entries, 'sizeBytes') || null,
+      time: null,
+      durationSeconds,
+      etaSeconds: speed && durationSeconds ? Math.max(0, (durationSeconds - encodedSeconds) / speed) : null,
+      segments: {
+        done: entries.length - running.length,
+        running: running.length,
+        total: segments.length
+      },
+      updatedAt: new Date().toISOString()
+    };
+    
+    publish(snapshot, force);
+  };
+  
+  const segmentLength = (segment) => segment.duration ?? Math.max(0, durationSeconds - segment.start);
+  
+  return {
+    start(segment) {
+      states.set(segment.number, { seconds: 0, speed: 0, fps: 0, sizeBytes: 0, done: false });
+      parsers.set(segment.number, createProgressParser((fields) => {
+        const progress = buildProgressSnapshot(fields, segmentLength(segment));
+        const state = states.get(segment.number);
+        if (!state || state.done) return;
+        
+        state.seconds = ((progress.percent || 0) / 100) * segmentLength(segment);
+        state.speed = progress.speed || 0;
+        state.fps = progress.fps || 0;
+        state.sizeBytes = progress.outputSizeBytes || 0;
+        update(false);
+      }));
+      update(false);
+    },
+    
+    handleOutput(segment, chunk) {
+      const parser = parsers.get(segment.number);
+      if (parser) {
+        parser.handleOutput(chunk);
+      }
+    },
+    
+    complete(segment) {
+      const state = states.get(segment.number);
+      state.seconds = segmentLength(segment);
+      state.done = true;
+      update(true);
+    },
+    
+    // A failed segment starts again from nothing
+    reset(segment) {
+      states.delete(segment.number);
+      parsers.delete(segment.number);
+    },
+    
+    flush() {
+      if (snapshot) {
+        publish(snapshot, true);
+      }
+    }
+  };
+}
+
+/**
+ * Throttle progress snapshots for a job: pushed to the UI every second and
+ * saved on the job row every ten. `force` sends one straight away.
+ */
+function createProgressPublisher(jobId) {
+  let lastNotifiedAt = 0;
+  let lastSavedAt = 0;
+  
+  return (snapshot, force) => {
+    const now = Date.now();
+    
+    if (force || now - lastNotifiedAt >= PROGRESS_NOTIFY_INTERVAL_MS) {
+      lastNotifiedAt = now;
+      notifyJobProgress(jobId, snapshot);
+    }
+    
+    if (force || now - lastSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+      lastSavedAt = now;
+      updateJobProgress(jobId, snapshot);
+    }
+  };
+}
+
+/**
+ * Split ffmpeg `-progress` output into blocks of key=value fields
+ * @param {Function} onBlock - Called with the fields of each complete block
+ */
+function createProgressParser(onBlock) {
+  let buffer = '';
+  let fields = {};
+  
+  return {
+    handleOutput(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        const separator = line.indexOf('=');
+        if (separator === -1) continue;
+        
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        fields[key] = value;
+        
+        // Every block of key=value pairs ends with a progress line
+        if (key === 'progress') {
+          onBlock(fields);
+          fields = {};
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Turn one block of ffmpeg `-progress` fields into a progress snapshot
+ */
+function buildProgressSnapshot(fields, durationSeconds) {
+  const parseNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+  
+  // out_time_us is microseconds; older builds only report out_time_ms, which is also microseconds
+  const outTimeMicros = parseNumber(fields.out_time_us ?? fields.out_time_ms);
+  const outTimeSeconds = outTimeMicros !== null ? Math.max(0, outTimeMicros / 1000000) : null;
+  const speed = parseNumber(fields.speed);
+  
+  let percent = null;
+  let etaSeconds = null;
+  
+  if (durationSeconds && outTimeSeconds !== null) {
+    percent = Math.min(100, (outTimeSeconds / durationSeconds) * 100);
+    
+    if (speed) {
+      etaSeconds = Math.max(0, (durationSeconds - outTimeSeconds) / speed);
+    }
+  }
+  
+  if (fields.progress === 'end') {
+    percent = 100;
+    etaSeconds = 0;
+  }
+  
+  return {
+    percent,
+    fps: parseNumber(fields.fps),
+    speed,
+    bitrateKbps: parseNumber(fields.bitrate),
+    outputSizeBytes: parseNumber(fields.total_size),
+    time: fields.out_time ? fields.out_time.replace(/\.\d+$/, '') : null,
+    durationSeconds,
+    etaSeconds,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Split a profile's extra arguments string into ffmpeg arguments
+ */
+function parseExtraArgs(extraArgs) {
+  if (!extraArgs) return [];
+  
+  // Keep quoted values together, e.g. -metadata title="My Movie"
+  const matches = extraArgs.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+  return matches.map(arg => arg.replace(/"/g, ''));
+}
+
+/**
+ * Where an encode ends up: the original's path, with the encode's extension
+ * when the container changed
+ */
+function getReplacementPath(originalPath, tempPath) {
+  const originalExt = path.extname(originalPath);
+  const tempExt = path.extname(tempPath);
+  
+  if (originalExt.toLowerCase() === tempExt.toLowerCase()) {
+    return originalPath;
+  }
+  
+  return path.join(path.dirname(originalPath), `${path.basename(originalPath, originalExt)}${tempExt}`);
+}
+
+/**
+ * Replace the original file with the newly encoded one
+ */
+async function replaceOriginalFile(originalPath, tempPath, jobId) {
+  // Once the encode has been moved into place there's no original left to encode again
+  let moved = false;
+  
+  try {
+    // Ensure the directories exist
+    await fs.ensureDir(path.dirname(originalPath));
+    
+    // Check if output file exists and has content
+    const tempStat = await fs.stat(tempPath);
+    if (tempStat.size === 0) {
+      throw new Error('Encoded file is empty');
+    }
+    
+    // Get media info to determine the new encoding type
+    const metadata = await ffprobeAsync(tempPath);
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    const newEncodingType = videoStream ? videoStream.codec_name : 'unknown';
+    
+    // Get the job with media information
+    const job = getJobById(jobId);
+    
+    // The encode keeps the original's name, but may have a different container
+    const targetPath = getReplacementPath(originalPath, tempPath);
+    if (targetPath !== originalPath && await fs.pathExists(targetPath)) {
+      throw new Error(`A different file already exists at ${targetPath}`);
+    }
+    
+    // Jobs started before attributes were captured take them from the original now
+    const originalAttributes = job.original_attributes ? 
+      JSON.parse(job.original_attributes) : 
+      await captureFileAttributes(originalPath);
+    
+    // Keep the original in the recycle bin instead of overwriting it
+    const quarantineId = getSettings().quarantine_originals ? 
+      await quarantineOriginal(job, originalPath) : 
+      null;
+    
+    // Move the temporary file to replace the original
+    try {
+      await fs.move(tempPath, targetPath, { overwrite: true });
+    } catch (error) {
+      if (quarantineId) {
+        await releaseQuarantinedOriginal(quarantineId);
+      }
+      throw error;
+    }
+    moved = true;
+    
+    // With a new container the original is still there under its old name
+    if (targetPath !== originalPath) {
+      if (!quarantineId) {
+        await fs.remove(originalPath);
+      }
+      updateMediaFilePath(job.media_id, targetPath);
+    }
+    
+    const attributeRestore = await restoreOriginalAttributes(jobId, targetPath, originalAttributes);
+    
+    // Update media record to mark as encoded
+    markMediaAsEncoded(job.media_id, newEncodingType, tempStat.size, getEncodedOutput(job));
+    
+    // Update job status to completed
+    updateJobStatus(jobId, 'completed', { attribute_restore: attributeRestore });
+    
+    // Notify UI about job completion
+    notifyJobStatusChange(jobId, 'completed');
+    
+    console.log(`Successfully replaced original file for job ${jobId}`);
+    
+    // A new original may have pushed the recycle bin over its size limit
+    if (quarantineId) {
+      purgeQuarantine().catch(() => {});
+    }
+    
+    // Cleanup: Decrease active jobs counter and remove from map
+    releaseJobSlot(jobId);
+    
+    return true;
+  } catch (error) {
+    console.error(`Error replacing original file for job ${jobId}:`, error);
+    
+    if (moved) {
+      // The file at the original's path is the encode now; a retry would
+      // encode it again, so this needs looking at by hand
+      updateJobStatus(jobId, 'failed', { 
+        error_message: `Error after replacing original file: ${error.message}`,
+        retry_after: null
+      });
+      notifyJobStatusChange(jobId, 'failed');
+    } else {
+      // With the original back in place, free the space the encode holds; a
+      // retry encodes again. Otherwise the encode may be all that's left.
+      if (await fs.pathExists(originalPath)) {
+        await fs.remove(tempPath).catch(() => {});
+      }
+      
+      // Retried or marked failed by what went wrong, like any other failure
+      failJob(getJobById(jobId), `Error replacing original file: ${error.message}`);
+    }
+    
+    // Cleanup: Decrease active jobs counter and remove from map
+    releaseJobSlot(jobId);
+    
+    throw error;
+  }
+}
+
+/**
+ * Find jobs a previous run left in processing, verifying or replacing_file,
+ * requeue them or finish their replace, and clear out stale temp files
+ */
+async function recoverInterruptedJobs() {
+  const report = {
+    ranAt: new Date().toISOString(),
+    jobs: [],
+    tempFilesRemoved: 0
+  };
+  
+  const interruptedJobs = interruptedStatuses.flatMap(status => getJobsByStatus(status, -1));
+  
+  for (const job of interruptedJobs) {
+    try {
+      const action = await recoverJob(job);
+      report.jobs.push({ jobId: job.id, title: job.title, previousStatus: job.status, ...action });
+    } catch (error) {
+      console.error(`Error recovering job ${job.id}:`, error);
+      
+      // A failed replace has already been retried or failed by the retry policy
+      const current = getJobById(job.id);
+      if (current.status === job.status) {
+        updateJobStatus(job.id, 'failed', { 
+          error_message: `Recovery after restart failed: ${error.message}`,
+          retry_after: null
+        });
+      }
+      
+      report.jobs.push({ 
+        jobId: job.id, 
+        title: job.title, 
+        previousStatus: job.status, 
+        action: current.status === 'queued' ? 'requeued' : 'failed', 
+        detail: current.status === job.status ? error.message : current.error_message 
+      });
+    }
+  }
+  
+  // Nothing is running yet, so anything left in the temp directory is stale
+  if (await fs.pathExists(tempDir)) {
+    for (const file of await fs.readdir(tempDir)) {
+      try {
+        await fs.remove(path.join(tempDir, file));
+        report.tempFilesRemoved++;
+      } catch (error) {
+        console.error(`Error removing stale temp file ${file}:`, error);
+      }
+    }
+  }
+  
+  console.log(`Recovery: ${report.jobs.length} interrupted jobs, ${report.tempFilesRemoved} stale temp files removed`);
+  
+  lastRecoveryReport = report;
+  
+  const mainWindow = BrowserWindow.getAllWindows()[0];
+  if (mainWindow && (report.jobs.length > 0 || report.tempFilesRemoved > 0)) {
+    mainWindow.webContents.send('recovery-report', report);
+    mainWindow.webContents.send('queue-update');
+  }
+  
+  return report;
+}
+
+/**
+ * Work out how far an interrupted job got and put it back in a consistent state
+ */
+async function recoverJob(job) {
+  const originalPath = job.file_path;
+  const tempPath = job.temp_file_path;
+  const originalExists = await fs.pathExists(originalPath);
+  const tempExists = !!tempPath && await fs.pathExists(tempPath);
+  
+  // Still encoding or verifying: the original was never touched, start over
+  if (job.status !== 'replacing_file') {
+    if (!originalExists) {
+      throw new Error(`Original file is missing: ${originalPath}`);
+    }
+    
+    requeueInterruptedJob(job.id);
+    return { action: 'requeued', detail: `Interrupted while ${job.status}` };
+  }
+  
+  // With a container change the encode lands next to the original
+  const targetPath = tempPath ? getReplacementPath(originalPath, tempPath) : originalPath;
+  
+  if (targetPath !== originalPath && !tempExists && await fs.pathExists(targetPath)) {
+    // The encode was moved into place; only removing the original was left
+    if (originalExists) {
+      await fs.remove(originalPath);
+    }
+    updateMediaFilePath(job.media_id, targetPath);
+    await finishRecoveredReplace(job, targetPath);
+    return { action: 'finished_replace', detail: 'Encoded file was already in place' };
+  }
+  
+  // replacing_file is only set once the encode finished (and passed
+  // verification), so a temp file that still exists is complete
+  if (tempExists && originalExists) {
+    await replaceOriginalFile(originalPath, tempPath, job.id);
+    return { action: 'finished_replace', detail: 'Original was still in place' };
+  }
+  
+  if (tempExists && !originalExists) {
+    // The original was already moved aside (or half-copied over); put the encode in place
+    await fs.move(tempPath, targetPath, { overwrite: true });
+    if (targetPath !== originalPath) {
+      updateMediaFilePath(job.media_id, targetPath);
+    }
+    await finishRecoveredReplace(job, targetPath);
+    return { action: 'finished_replace', detail: 'Original had already been moved aside' };
+  }
+  
+  if (!tempExists && originalExists) {
+    // Either the move finished before the crash or the encode was lost
+    const codec = await getVideoCodec(originalPath);
+    
+    if (codec && codec !== job.encoding_type) {
+      await finishRecoveredReplace(job, originalPath);
+      return { action: 'finished_replace', detail: 'Encoded file was already in place' };
+    }
+    
+    requeueInterruptedJob(job.id);
+    return { action: 'requeued', detail: 'Encoded file was lost before the replace' };
+  }
+  
+  // Neither file is where it should be; the recycle bin is the last resort
+  if (job.quarantine_id) {
+    await releaseQuarantinedOriginal(job.quarantine_id);
+    requeueInterruptedJob(job.id);
+    return { action: 'restored_original', detail: 'Original restored from the recycle bin' };
+  }
+  
+  throw new Error(`Neither the original nor the encoded file exists: ${originalPath}`);
+}
+
+/**
+ * Put an interrupted job back in the queue
+ */
+function requeueInterruptedJob(jobId) {
+  updateJobStatus(jobId, 'queued', { 
+    temp_file_path: null,
+    last_progress: null 
+  });
+}
+
+/**
+ * Mark an interrupted job completed once its encode is in place
+ */
+async function finishRecoveredReplace(job, filePath) {
+  const stat = await fs.stat(filePath);
+  const codec = await getVideoCodec(filePath);
+  
+  // Setting them again is harmless if the replace got that far
+  const attributeRestore = job.original_attributes ? 
+    await restoreOriginalAttributes(job.id, filePath, JSON.parse(job.original_attributes)) : 
+    null;
+  
+  markMediaAsEncoded(job.media_id, codec || 'unknown', stat.size, getEncodedOutput(job));
+  updateJobStatus(job.id, 'completed', { 
+    attribute_restore: attributeRestore,
+    new_size_bytes: stat.size,
+    size_reduction_percent: ((job.original_size_bytes - stat.size) / job.original_size_bytes) * 100
+  });
+}
+
+/**
+ * Put the original's times, mode and owner on the file that replaced it
+ * @returns {Promise<string>} The result for each attribute, as JSON for the job
+ */
+async function restoreOriginalAttributes(jobId, filePath, attributes) {
+  const result = await restoreFileAttributes(filePath, attributes, { 
+    preserveCreationTime: getSettings().preserve_creation_time 
+  });
+  
+  if (hasRestoreProblems(result)) {
+    console.log(`Job ${jobId}: not all of the original's attributes could be restored`, result);
+  }
+  
+  return JSON.stringify(result);
+}
+
+/**
+ * Describe a finished job's output for its media row: the picture size and,
+ * when the job had a downscale policy, the policy it was brought down to.
+ * A policy set by hand on the job is marked so the scanner leaves it be.
+ */
+function getEncodedOutput(job) {
+  const [width, height] = (job.output_resolution || '').split('x').map(Number);
+  const policy = job.downscale_policy ? JSON.parse(job.downscale_policy) : null;
+  
+  return {
+    width: width || null,
+    height: height || null,
+    downscaleResult: policy ? 
+      { ...policy, width: width || null, height: height || null, overridden: !!job.downscale_override } : 
+      null
+  };
+}
+
+/**
+ * Get the codec of a file's first video stream, or null if it can't be read
+ */
+async function getVideoCodec(filePath) {
+  try {
+    const metadata = await ffprobeAsync(filePath);
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    return videoStream ? videoStream.codec_name : null;
+  } catch (error) {
+    console.error(`Error probing ${filePath}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Get the report from the last startup recovery pass
+ */
+function getRecoveryReport() {
+  return lastRecoveryReport;
+}
+
+/**
+ * Free a job's slot in the queue. Safe to call more than once per job.
+ */
+function releaseJobSlot(jobId) {
+  const activeJob = activeJobsMap.get(jobId);
+  if (activeJob && activeJob.log) {
+    activeJob.log.close();
+  }
+  
+  if (activeJobsMap.delete(jobId)) {
+    activeJobs--;
+  }
+}
+
+/**
+ * Kill a process and everything it started
  */
-async function startEncodingJob(job) {
+function killProcessTree(childProcess) {
+  if (!childProcess || childProcess.exitCode !== null || childProcess.signalCode !== null) {
+    return;
+  }
+  
   try {
-    activeJobs++;
-    
-    // Update job status to processing
-    updateJobStatus(job.id, 'processing');
-    
-    // Notify UI about job status change
-    notifyJobStatusChange(job.id, 'processing');
-    
-    // Create temp directory if it doesn't exist
-    const tempDir = path.join(os.tmpdir(), 'plex-encoder');
-    await fs.ensureDir(tempDir);
-    
-    // Generate a temp filename
-    const inputExt = path.extname(job.file_path);
-    const tempFileName = `${path.basename(job.file_path, inputExt)}_hevc_temp${inputExt}`;
-    const tempFilePath = path.join(tempDir, tempFileName);
-    
-    // Update job with temp path
-    updateJobStatus(job.id, 'processing', { temp_file_path: tempFilePath });
-    
-    console.log(`Starting encoding job ${job.id} for ${job.title}`);
-    
-    // Check for Intel Arc GPU
-    const gpuInfo = await getGpuInfo();
-    const useHardwareAcceleration = gpuInfo.hasIntelArc;
-    
-    // Start encoding process
-    const encodingProcess = startFFmpegEncoding(
-      job.file_path, 
-      tempFilePath, 
-      useHardwareAcceleration,
-      job
-    );
-    
-    // Store the encoding process in the map
-    activeJobsMap.set(job.id, encodingProcess);
-    
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(childProcess.pid), '/T', '/F']);
+    } else {
+      // Negative PID signals the process group created by the detached spawn
+      process.kill(-childProcess.pid, 'SIGKILL');
+    }
   } catch (error) {
-    console.error(`Error starting encoding job ${job.id}:`, error);
-    
-    // Update job status to failed
-    updateJobStatus(job.id, 'failed', { 
-      error_message: error.message || 'Unknown error' 
-    });
-    
-    // Notify UI about job status change
-    notifyJobStatusChange(job.id, 'failed');
-    
-    // Decrease active jobs counter
-    activeJobs--;
+    console.error(`Error killing process ${childProcess.pid}:`, error);
+    childProcess.kill('SIGKILL');
   }
 }
 
 /**
- * Start FFmpeg encoding process
+ * Record a cancelled job, delete its partial output and free its slot
  */
-function startFFmpegEncoding(inputPath, outputPath, useHardwareAcceleration, job) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      // Get source file info for comparison later
-      const sourceFileSize = job.original_size_bytes;
-      
-      // Build FFmpeg command
-      let ffmpegArgs = [];
-      
-      if (useHardwareAcceleration) {
-        // Intel Arc specific configuration for Windows
-        ffmpegArgs = [
-          // Hardware acceleration setup
-          '-hwaccel', 'qsv',              // Use Intel QuickSync hardware acceleration
-          '-hwaccel_device', '0',         // Specify GPU device (0 is usually the first/primary GPU)
-          
-          // Input file
-          '-i', inputPath,
-          
-          // Video codec settings - optimized for Intel Arc on Windows
-          '-c:v', 'hevc_qsv',             // Use Intel QSV HEVC encoder
-          '-preset', qsvPresets.quality,  // Quality preset
-          '-profile:v', qsvPresets.profile, // Use 10-bit profile
-          '-b:v', '0',                    // Use CRF for quality-based encoding
-          '-crf', '23',                   // Quality level (lower is better quality but larger file)
-          '-pix_fmt', 'p010le',           // 10-bit pixel format
-          '-load_plugin', 'hevc_hw',      // Load Intel HEVC hw plugin
-          '-tag:v', 'hvc1',               // Makes HEVC videos compatible with Apple devices
-          
-          // Audio and subtitle settings
-          '-c:a', 'copy',                 // Copy audio streams without re-encoding
-          '-c:s', 'copy',                 // Copy subtitle streams
-          
-          // Output file
-          outputPath
-        ];
-      } else {
-        // Software encoding fallback
-        ffmpegArgs = [
-          // Input file
-          '-i', inputPath,
-          
-          // Video codec settings for software encoding
-          '-c:v', 'libx265',              // Use software HEVC encoder
-          '-preset', 'medium',            // Reasonable balance of speed/quality
-          '-crf', '28',                   // Quality level for software encoding
-          '-pix_fmt', 'p010le',           // 10-bit pixel format
-          '-tag:v', 'hvc1',               // Makes HEVC videos compatible with Apple devices
-          
-          // Audio and subtitle settings
-          '-c:a', 'copy',                 // Copy audio streams without re-encoding
-          '-c:s', 'copy',                 // Copy subtitle streams
-          
-          // Output file
-          outputPath
-        ];
-      }
-      
-      // Log the command for debugging
-      console.log('FFmpeg command:', 'ffmpeg', ffmpegArgs.join(' '));
-      
-      // Start FFmpeg process
-      const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
-      
-      let stdoutData = '';
-      let stderrData = '';
-      let progress = {};
-      
-      ffmpegProcess.stdout.on('data', (data) => {
-        stdoutData += data.toString();
-      });
-      
-      ffmpegProcess.stderr.on('data', (data) => {
-        const dataStr = data.toString();
-        stderrData += dataStr;
-        
-        // Extract progress information
-        const timeMatch = dataStr.match(/time=(\d+:\d+:\d+.\d+)/);
-        if (timeMatch) {
-          progress.time = timeMatch[1];
-          
-          // Notify UI about progress
-          notifyJobProgress(job.id, progress);
-        }
-      });
-      
-      ffmpegProcess.on('close', async (code) => {
-        if (code === 0) {
-          // Encoding completed successfully
-          try {
-            // Get the temporary file size
-            const tempStat = await fs.stat(outputPath);
-            const newSizeBytes = tempStat.size;
-            const sizeReductionPercent = ((sourceFileSize - newSizeBytes) / sourceFileSize) * 100;
-            
-            console.log(`Encoding job ${job.id} completed. Size reduction: ${sizeReductionPercent.toFixed(2)}%`);
-            
-            // Update job with new file size and reduction
-            updateJobStatus(job.id, 'replacing_file', { 
-              new_size_bytes: newSizeBytes,
-              size_reduction_percent: sizeReductionPercent
-            });
-            
-            // Replace the original file
-            await replaceOriginalFile(inputPath, outputPath, job.id);
-            
-          } catch (error) {
-            console.error(`Error completing job ${job.id}:`, error);
-            updateJobStatus(job.id, 'failed', { 
-              error_message: `Error finalizing: ${error.message}` 
-            });
-            notifyJobStatusChange(job.id, 'failed');
-            activeJobs--;
-            activeJobsMap.delete(job.id);
-            reject(error);
-          }
-        } else {
-          // Encoding failed
-          const errorMsg = `FFmpeg encoding failed with code ${code}: ${stderrData}`;
-          console.error(errorMsg);
-          
-          updateJobStatus(job.id, 'failed', { 
-            error_message: errorMsg 
-          });
-          
-          notifyJobStatusChange(job.id, 'failed');
-          
-          activeJobs--;
-          activeJobsMap.delete(job.id);
-          reject(new Error(errorMsg));
-        }
-      });
-      
-      ffmpegProcess.on('error', (error) => {
-        console.error(`FFmpeg process error for job ${job.id}:`, error);
-        
-        updateJobStatus(job.id, 'failed', { 
-          error_message: `Process error: ${error.message}` 
-        });
-        
-        notifyJobStatusChange(job.id, 'failed');
-        
-        activeJobs--;
-        activeJobsMap.delete(job.id);
-        reject(error);
-      });
-      
-      return ffmpegProcess;
-    } catch (error) {
-      console.error(`Error in FFmpeg encoding for job ${job.id}:`, error);
-      activeJobs--;
-      activeJobsMap.delete(job.id);
-      reject(error);
+async function finishCancelledJob(jobId, tempPath) {
+  try {
+    if (tempPath) {
+      await fs.remove(tempPath);
     }
-  });
+  } catch (error) {
+    console.error(`Error removing temp file for cancelled job ${jobId}:`, error);
+  }
+  
+  updateJobStatus(jobId, 'cancelled', { error_message: null });
+  notifyJobStatusChange(jobId, 'cancelled');
+  releaseJobSlot(jobId);
+  
+  console.log(`Job ${jobId} cancelled`);
 }
 
 /**
- * Replace the original file with the newly encoded one
+ * Cancel a queued or running job
  */
-async function replaceOriginalFile(originalPath, tempPath, jobId) {
+async function cancelJob(jobId) {
   try {
-    // Ensure the directories exist
-    await fs.ensureDir(path.dirname(originalPath));
-    
-    // Check if output file exists and has content
-    const tempStat = await fs.stat(tempPath);
-    if (tempStat.size === 0) {
-      throw new Error('Encoded file is empty');
-    }
-    
-    // Get media info to determine the new encoding type
-    const metadata = await ffprobeAsync(tempPath);
-    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-    const newEncodingType = videoStream ? videoStream.codec_name : 'unknown';
-    
-    // Move the temporary file to replace the original
-    await fs.move(tempPath, originalPath, { overwrite: true });
-    
-    // Get the job with media information
     const job = getJobById(jobId);
     
-    // Update media record to mark as encoded
-    markMediaAsEncoded(job.media_id, newEncodingType, tempStat.size);
+    if (!job) {
+      throw new Error(`Job with id ${jobId} not found`);
+    }
     
-    // Update job status to completed
-    updateJobStatus(jobId, 'completed');
+    if (job.status === 'queued') {
+      updateJobStatus(jobId, 'cancelled');
+      notifyJobStatusChange(jobId, 'cancelled');
+      return true;
+    }
     
-    // Notify UI about job completion
-    notifyJobStatusChange(jobId, 'completed');
+    if (job.status === 'replacing_file') {
+      throw new Error(`Job with id ${jobId} is replacing the original file and can no longer be cancelled`);
+    }
     
-    console.log(`Successfully replaced original file for job ${jobId}`);
+    const activeJob = activeJobsMap.get(jobId);
+    if (!activeJob || !['processing', 'verifying'].includes(job.status)) {
+      throw new Error(`Job with id ${jobId} is not running`);
+    }
     
-    // Cleanup: Decrease active jobs counter and remove from map
-    activeJobs--;
-    activeJobsMap.delete(jobId);
+    // The process close handler (or startEncodingJob, if ffmpeg hasn't
+    // started yet) sees the flag and finishes the cancellation
+    activeJob.cancelled = true;
+    activeJob.abortController.abort();
+    killProcessTree(activeJob.process);
+    for (const segmentProcess of activeJob.processes) {
+      killProcessTree(segmentProcess);
+    }
     
     return true;
   } catch (error) {
-    console.error(`Error replacing original file for job ${jobId}:`, error);
-    
-    // Update job status to failed
-    updateJobStatus(jobId, 'failed', { 
-      error_message: `Error replacing original file: ${error.message}` 
-    });
-    
-    // Notify UI about job failure
-    notifyJobStatusChange(jobId, 'failed');
-    
-    // Cleanup: Decrease active jobs counter and remove from map
-    activeJobs--;
-    activeJobsMap.delete(jobId);
-    
+    console.error(`Error cancelling job ${jobId}:`, error);
     throw error;
   }
 }
@@ -389,6 +1964,71 @@ function notifyJobProgress(jobId, progress) {
   }
 }
 
+/**
+ * Record a job's failure. Unless nothing could help or the job is out of
+ * attempts, it's queued again after a backoff, changing what the failure
+ * calls for on the next attempt.
+ * @param {Object} [values] - Other columns to save with the failure
+ */
+function failJob(job, message, values = {}) {
+  const { kind, label, retry, retryAfter, strategy } = planRetry(job, message, getSettings());
+  const retryStrategy = Object.keys(strategy).length > 0 ? JSON.stringify(strategy) : null;
+  
+  // The kind leads, so the message reads at a glance in the job lists
+  const errorMessage = label ? `${label}: ${message}` : message;
+  
+  if (retry) {
+    console.log(`Job ${job.id} failed (${kind}), retrying after ${retryAfter} UTC`);
+    
+    updateJobStatus(job.id, 'queued', {
+      ...values,
+      error_message: errorMessage,
+      failure_kind: kind,
+      retries: job.retries + 1,
+      retry_after: retryAfter,
+      retry_strategy: retryStrategy
+    });
+    notifyJobStatusChange(job.id, 'queued');
+    return;
+  }
+  
+  updateJobStatus(job.id, 'failed', {
+    ...values,
+    error_message: errorMessage,
+    failure_kind: kind,
+    retry_after: null,
+    retry_strategy: retryStrategy
+  });
+  notifyJobStatusChange(job.id, 'failed');
+}
+
+/**
+ * The log of a job's current attempt, or one that keeps nothing when the
+ * job isn't running
+ */
+function getAttemptLog(jobId) {
+  const activeJob = activeJobsMap.get(jobId);
+  return (activeJob && activeJob.log) || discardedLog;
+}
+
+const discardedLog = { path: null, command() {}, write() {}, tail: () => [], close: async () => {} };
+
+/**
+ * Read the log of a job's latest attempt for the log viewer
+ */
+async function getJobLog(jobId) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw new Error(`Job with id ${jobId} not found`);
+  }
+  
+  if (!job.log_path) {
+    throw new Error(`Job ${jobId} has no log`);
+  }
+  
+  return readJobLog(job.log_path);
+}
+
 /**
  * Restart a failed job
  */
@@ -400,14 +2040,21 @@ async function restartJob(jobId) {
       throw new Error(`Job with id ${jobId} not found`);
     }
     
-    if (job.status !== 'failed') {
-      throw new Error(`Job with id ${jobId} is not in failed status`);
+    if (!['failed', 'failed_quality', 'cancelled'].includes(job.status)) {
+      throw new Error(`Job with id ${jobId} is not in failed or cancelled status`);
     }
     
-    // Increment retries counter
+    // Increment retries counter. The strategy an automatic retry would have
+    // used is kept, and the job runs without waiting out a backoff.
     updateJobStatus(jobId, 'queued', { 
       retries: job.retries + 1,
-      error_message: null 
+      retry_after: null,
+      failure_kind: null,
+      error_message: null,
+      quality_metric: null,
+      quality_score: null,
+      quality_min_score: null,
+      quality_samples: null
     });
     
     notifyJobStatusChange(jobId, 'queued');
@@ -422,58 +2069,30 @@ async function restartJob(jobId) {
 }
 
 /**
- * Get information about available GPUs
+ * Get information about available GPUs and which encoders actually work
  */
-async function getGpuInfo() {
+async function getGpuInfo(options = {}) {
   try {
-    // For Windows, we detect Intel Arc GPU through a combination of methods
-    // In a production implementation, we would use a more robust detection method
-    const isWindows = process.platform === 'win32';
-    let hasIntelArc = false;
-    let gpuDetails = {};
-    
-    if (isWindows) {
-      try {
-        // On Windows, attempt to detect Intel Arc GPU
-        // This is a simplified implementation - in a real app, use more robust detection
-        // Potentially using Windows Management Instrumentation (WMI) or another native module
-        
-        // Simulate GPU detection for demo purposes
-        // In a real implementation, we'd use actual GPU detection code:
-        // const { exec } = require('child_process');
-        // const wmic = await new Promise((resolve, reject) => {
-        //   exec('wmic path win32_VideoController get name', (error, stdout) => {
-        //     if (error) reject(error);
-        //     else resolve(stdout);
-        //   });
-        // });
-        // hasIntelArc = wmic.toLowerCase().includes('intel arc');
-        
-        // For demonstration, we'll assume it's present on Windows
-        hasIntelArc = true;
-        gpuDetails = {
-          name: 'Intel Arc GPU',
-          driver: 'Latest Intel Graphics Driver',
-          supportedEncoders: ['h264_qsv', 'hevc_qsv'],
-          maxEncodeResolution: '4K',
-          device: 0 // Device ID for Intel GPU
-        };
-      } catch (detectionError) {
-        console.error('Error detecting GPU:', detectionError);
-        hasIntelArc = false;
-      }
-    }
+    const capabilities = await getEncoderCapabilities(options);
+    const hardwareEncoders = capabilities.encoders.filter(encoder => encoder.type === 'hardware' && encoder.available);
+    const hasQsv = hardwareEncoders.some(encoder => encoder.name === 'hevc_qsv');
     
     return {
-      hasIntelArc,
-      platform: process.platform,
-      details: hasIntelArc ? gpuDetails : null,
-      fallbackToSoftware: !hasIntelArc
+      hasQsv,
+      platform: capabilities.platform,
+      adapters: capabilities.adapters,
+      hwaccels: capabilities.hwaccels,
+      encoders: capabilities.encoders,
+      detectedAt: capabilities.detectedAt,
+      error: capabilities.error,
+      fallbackToSoftware: hardwareEncoders.length === 0
     };
   } catch (error) {
     console.error('Error getting GPU info:', error);
     return {
-      hasIntelArc: false,
+      hasQsv: false,
+      platform: process.platform,
+      encoders: [],
       error: error.message,
       fallbackToSoftware: true
     };
@@ -526,22 +2145,103 @@ function setMaxParallelJobs(count) {
  * Get all encoding jobs for the UI
  */
 function getEncodingQueue() {
-  // Get jobs by different statuses
-  const processing = getJobsByStatus('processing');
-  const queued = getJobsByStatus('queued');
+  // Get jobs by different statuses, with the last saved progress for running ones
+  const processing = [
+    ...getJobsByStatus('processing'),
+    ...getJobsByStatus('verifying')
+  ].map(job => ({
+    ...job,
+    progress: job.last_progress ? JSON.parse(job.last_progress) : null
+  }));
+  // Queued jobs show the downscale policy they'd get from their library,
+  // whether their preview was made with it, and how a retried job's last
+  // attempt failed
+  const queued = getJobsByStatus('queued').map(job => {
+    const library = getLibraryForPath(job.file_path);
+    const preview = job.preview_result ? JSON.parse(job.preview_result) : null;
+    return { 
+      ...job, 
+      library_downscale_policy: (library && library.downscale_policy) || null,
+      preview_policy_changed: !!preview && !isSameDownscalePolicy(preview.downscalePolicy, getJobDownscalePolicy(job)),
+      failure_label: getFailureLabel(job.failure_kind)
+    };
+  });
   const completed = getJobsByStatus('completed', 10);
-  const failed = getJobsByStatus('failed');
+  const cancelled = getJobsByStatus('cancelled', 10);
+  const failed = [
+    ...getJobsByStatus('failed'),
+    ...getJobsByStatus('failed_quality')
+  ];
   
   return {
     processing,
     queued,
     completed,
     failed,
+    cancelled,
     paused: isQueuePaused,
     maxParallelJobs
   };
 }
 
+/**
+ * Create or update an encoding profile from the UI
+ */
+function setEncodingProfile(profileData) {
+  try {
+    if (!profileData.name || !profileData.name.trim()) {
+      throw new Error('Profile name is required');
+    }
+    
+    const codec = profileData.codec || 'hevc';
+    if (!getBackends().some(backend => backend.codec === codec)) {
+      throw new Error(`Unsupported codec: ${codec}`);
+    }
+    
+    const rateControl = profileData.rate_control || 'constant_quality';
+    if (!rateControlModes.includes(rateControl)) {
+      throw new Error(`Unsupported rate control mode: ${rateControl}`);
+    }
+    
+    const qualityValue = profileData.quality_value === '' || profileData.quality_value == null ? 
+      null : Number(profileData.quality_value);
+    if (qualityValue !== null && (Number.isNaN(qualityValue) || qualityValue < 0 || qualityValue > 51)) {
+      throw new Error('Quality value must be between 0 and 51');
+    }
+    
+    // VMAF score, kbps, percent of the source or MB, depending on the mode
+    const rateValue = rateControl === 'constant_quality' || profileData.rate_value === '' || profileData.rate_value == null ? 
+      null : Number(profileData.rate_value);
+    if (rateValue !== null && (Number.isNaN(rateValue) || rateValue <= 0)) {
+      throw new Error('Rate control value must be a positive number');
+    }
+    if (rateControl === 'target_size' && rateValue === null) {
+      throw new Error('Target size needs a size in MB');
+    }
+    if (rateControl === 'target_vmaf' && rateValue !== null && rateValue > 100) {
+      throw new Error('Target VMAF must be between 0 and 100');
+    }
+    
+    const profile = {
+      ...profileData,
+      name: profileData.name.trim(),
+      codec,
+      rate_control: rateControl,
+      quality_value: qualityValue,
+      rate_value: rateValue
+    };
+    
+    if (profileData.id) {
+      return updateEncodingProfile(profileData.id, profile);
+    } else {
+      return createEncodingProfile(profile);
+    }
+  } catch (error) {
+    console.error('Error saving encoding profile:', error);
+    throw error;
+  }
+}
+
 /**
  * Search for jobs matching a query
  */
@@ -550,13 +2250,190 @@ function searchJobs(query) {
   return dbSearchJobs(query);
 }
 
+/**
+ * Get jobs whose encode was discarded for not saving enough space
+ */
+function getNotBeneficialJobs() {
+  return getJobsByStatus('not_beneficial', 100);
+}
+
+/**
+ * Encode a few short samples of a media item and project the size, savings
+ * and encode time of the full encode. The result is saved on the media item.
+ * @param {Object} options - Preview options
+ * @param {number} [options.jobId] - Preview a job's media with the job's profile
+ * @param {number} [options.mediaId] - Preview a media item, when there's no job
+ * @param {number} [options.profileId] - Profile to use instead, default profile if neither is set
+ * @param {boolean} [options.measureQuality] - Score the samples, preview_measure_quality if omitted
+ */
+async function previewEncode(options = {}) {
+  let mediaId = options.mediaId;
+  let profileId = options.profileId || null;
+  let downscaleOverride = null;
+  
+  if (options.jobId) {
+    const job = getJobById(options.jobId);
+    if (!job) {
+      throw new Error(`Job with id ${options.jobId} not found`);
+    }
+    mediaId = job.media_id;
+    profileId = profileId || job.profile_id;
+    downscaleOverride = job.downscale_override ? JSON.parse(job.downscale_override) : null;
+  }
+  
+  const media = getMediaById(mediaId);
+  if (!media) {
+    throw new Error(`Media with id ${mediaId} not found`);
+  }
+  
+  if (runningPreviews.has(media.id)) {
+    throw new Error(`A preview of ${media.title} is already running`);
+  }
+  
+  const profile = (profileId && getEncodingProfileById(profileId)) || getDefaultEncodingProfile();
+  const settings = getSettings();
+  const measure = options.measureQuality ?? settings.preview_measure_quality;
+  
+  runningPreviews.add(media.id);
+  
+  try {
+    console.log(`Previewing ${media.file_path} with profile ${profile.name}`);
+    
+    const plan = await planEncode(media.file_path, profile, { media, downscaleOverride });
+    
+    // Target VMAF profiles are previewed at the quality value the search picks
+    const search = profile.rate_control === 'target_vmaf' && !plan.rateControl ?
+      await searchTargetQuality(media.file_path, profile, plan, { 
+        outputDir: path.join(tempDir, `preview-${media.id}-quality`) 
+      }) :
+      null;
+    
+    const preview = await runPreview(media.file_path, {
+      backend: plan.backend,
+      profile: search ? { ...profile, quality_value: search.quality } : profile,
+      videoOptions: plan.videoOptions,
+      extraArgs: parseExtraArgs(profile.extra_args),
+      sourceInfo: plan.sourceInfo,
+      streamPlan: plan.streamPlan,
+      durationSeconds: plan.durationSeconds,
+      sampleCount: settings.preview_sample_count,
+      sampleSeconds: settings.preview_sample_seconds,
+      metric: measure ? settings.verify_metric : null,
+      outputDir: path.join(tempDir, `preview-${media.id}`)
+    });
+    
+    const savedBytes = media.file_size_bytes - preview.projectedBytes;
+    const result = {
+      ...preview,
+      profileId: profile.id,
+      profileName: profile.name,
+      encoder: plan.backend.name,
+      // The size and bitrate limits the projection was made with
+      downscalePolicy: plan.downscalePolicy,
+      targetQuality: search ? { value: search.quality, score: search.score } : null,
+      originalBytes: media.file_size_bytes,
+      savedBytes,
+      savedPercent: (savedBytes / media.file_size_bytes) * 100,
+      // Why the full encode would be discarded, or null if it's worth doing
+      shortfall: checkSavings(media.file_size_bytes, preview.projectedBytes, settings),
+      createdAt: new Date().toISOString()
+    };
+    
+    saveMediaPreview(media.id, result);
+    
+    console.log(`Preview of ${media.title}: ${result.savedPercent.toFixed(1)}% smaller, about ${result.projectedEncodeSeconds}s to encode`);
+    
+    return result;
+  } catch (error) {
+    console.error(`Error previewing media ${media.id}:`, error);
+    throw error;
+  } finally {
+    runningPreviews.delete(media.id);
+  }
+}
+
+/**
+ * The downscale policy a job would be encoded with now: its library's,
+ * with the job's override on top
+ */
+function getJobDownscalePolicy(job) {
+  const library = getLibraryForPath(job.file_path);
+  return resolveDownscalePolicy(
+    library && library.downscale_policy,
+    job.downscale_override ? JSON.parse(job.downscale_override) : null
+  );
+}
+
+/**
+ * Whether two resolved downscale policies set the same limits. Previews
+ * saved before policies were recorded match nothing.
+ */
+function isSameDownscalePolicy(a, b) {
+  return !!a && !!b && 
+    a.max_resolution === b.max_resolution && 
+    a.max_bitrate_kbps === b.max_bitrate_kbps;
+}
+
+/**
+ * Use a queued job's preview: skip the job if the projected savings are
+ * below the minimum, otherwise set its priority from the projected savings
+ */
+function applyPreview(jobId) {
+  const job = getJobById(jobId);
+  if (!job) {
+    throw new Error(`Job with id ${jobId} not found`);
+  }
+  
+  if (job.status !== 'queued') {
+    throw new Error(`Job with id ${jobId} is not queued`);
+  }
+  
+  const profileId = job.profile_id || getDefaultEncodingProfile().id;
+  const preview = job.preview_result ? JSON.parse(job.preview_result) : null;
+  if (!preview || preview.profileId !== profileId) {
+    throw new Error(`Job with id ${jobId} has no preview with its profile`);
+  }
+  
+  // A changed library policy or job override changes the projection too
+  if (!isSameDownscalePolicy(preview.downscalePolicy, getJobDownscalePolicy(job))) {
+    throw new Error(`Job with id ${jobId} has no preview with its downscale policy`);
+  }
+  
+  // Re-check against the current minimum, which may have changed since
+  const shortfall = checkSavings(preview.originalBytes, preview.projectedBytes, getSettings());
+  
+  if (shortfall) {
+    updateJobStatus(jobId, 'not_beneficial', { error_message: `Preview: ${shortfall}` });
+    markMediaNotBeneficial(job.media_id, profileId);
+    notifyJobStatusChange(jobId, 'not_beneficial');
+    return { skipped: true, reason: shortfall };
+  }
+  
+  // Same scale as the scanner's size-based priority, but by what the encode saves
+  const priority = Math.max(0, Math.floor(preview.savedBytes / (1024 * 1024 * 100)));
+  updateJobStatus(jobId, 'queued', { priority });
+  notifyJobStatusChange(jobId, 'queued');
+  
+  return { skipped: false, priority };
+}
+
 module.exports = {
   initializeEncoder,
   restartJob,
+  cancelJob,
+  getRecoveryReport,
   getGpuInfo,
   pauseQueue,
   resumeQueue,
   setMaxParallelJobs,
   getEncodingQueue,
-  searchJobs
+  setEncodingProfile,
+  searchJobs,
+  getNotBeneficialJobs,
+  previewEncode,
+  applyPreview,
+  analyzeMediaPicture,
+  setPictureOverride,
+  setJobDownscale,
+  getJobLog
 }; 
\ No newline at end of file
@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+
+// Setting a file's creation time takes an external tool, which shouldn't hang a replace
+const CREATION_TIME_TIMEOUT_MS = 15000;
+
+/**
+ * Read the attributes of an original that should survive its replacement
+ * @returns {Promise<Object>} { atimeMs, mtimeMs, birthtimeMs, mode, uid, gid }
+ */
+async function captureFileAttributes(filePath) {
+  const stat = await fs.stat(filePath);
+  
+  return {
+    atimeMs: stat.atimeMs,
+    mtimeMs: stat.mtimeMs,
+    // Filesystems without creation times report 0 or the change time
+    birthtimeMs: stat.birthtimeMs > 0 ? stat.birthtimeMs : null,
+    mode: stat.mode & 0o7777,
+    uid: stat.uid,
+    gid: stat.gid
+  };
+}
+
+/**
+ * Run a command, resolving with its error or null
+ */
+function runCommand(command, args, env) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: CREATION_TIME_TIMEOUT_MS, windowsHide: true, env: { ...process.env, ...env } }, (error) => {
+      resolve(error);
+    });
+  });
+}
+
+/**
+ * Set a file's creation time where the platform allows it
+ * @returns {Promise<string>} What happened, for the job's restore results
+ */
+async function setCreationTime(filePath, attributes) {
+  if (!attributes.birthtimeMs) {
+    return 'not recorded';
+  }
+  
+  if (process.platform === 'win32') {
+    // Passed through the environment so the path needs no quoting
+    const error = await runCommand('powershell', [
+      '-NoProfile',
+      '-Command',
+      '(Get-Item -LiteralPath $env:TARGET_FILE).CreationTimeUtc = [DateTimeOffset]::FromUnixTimeMilliseconds([long]$env:CREATION_MS).UtcDateTime'
+    ], { TARGET_FILE: filePath, CREATION_MS: String(Math.round(attributes.birthtimeMs)) });
+    return error ? `failed: ${error.message.split('\n')[0]}` : 'preserved';
+  }
+  
+  if (process.platform === 'darwin') {
+    // Moving the modification time before the creation time drags the
+    // creation time back with it; the real times are set afterwards
+    const created = new Date(attributes.birthtimeMs);
+    await fs.utimes(filePath, created, created);
+    return 'preserved';
+  }
+  
+  // Linux has no call for setting a file's birth time
+  return 'unsupported';
+}
+
+/**
+ * Put an original's times, mode and owner back on the file that replaced it.
+ * Nothing here fails the replace; each attribute's result is reported instead.
+ * @param {Object} attributes - From captureFileAttributes
+ * @param {Object} options - { preserveCreationTime }
+ * @returns {Promise<Object>} { creationTime, times, mode, owner }, each
+ *   'preserved', 'unchanged', 'reset', 'unsupported', 'not recorded',
+ *   'not permitted' or a failure
+ */
+async function restoreFileAttributes(filePath, attributes, { preserveCreationTime = true } = {}) {
+  const result = {};
+  
+  // Before the other times, since setting it can move them
+  try {
+    result.creationTime = preserveCreationTime ? await setCreationTime(filePath, attributes) : 'reset';
+  } catch (error) {
+    result.creationTime = `failed: ${error.message}`;
+  }
+  
+  let current = null;
+  try {
+    current = await fs.stat(filePath);
+  } catch (error) {
+    result.mode = `failed: ${error.message}`;
+    result.owner = `failed: ${error.message}`;
+  }
+  
+  if (current && process.platform === 'win32') {
+    // Windows modes only carry the read-only flag, and there are no uids
+    result.mode = 'unsupported';
+    result.owner = 'unsupported';
+  } else if (current) {
+    try {
+      if ((current.mode & 0o7777) === attributes.mode) {
+        result.mode = 'unchanged';
+      } else {
+        await fs.chmod(filePath, attributes.mode);
+        result.mode = 'preserved';
+      }
+    } catch (error) {
+      result.mode = `failed: ${error.message}`;
+    }
+    
+    try {
+      if (current.uid === attributes.uid && current.gid === attributes.gid) {
+        result.owner = 'unchanged';
+      } else {
+        await fs.chown(filePath, attributes.uid, attributes.gid);
+        result.owner = 'preserved';
+      }
+    } catch (error) {
+      // Only root can give a file away; a group the user is in still works
+      if (error.code === 'EPERM' && current.gid !== attributes.gid) {
+        result.owner = await restoreGroup(filePath, current.uid, attributes.gid);
+      } else {
+        result.owner = error.code === 'EPERM' ? 'not permitted' : `failed: ${error.message}`;
+      }
+    }
+  }
+  
+  // Last, and even when the stat failed, as chown and chmod don't touch the times but the creation time may have
+  try {
+    await fs.utimes(filePath, new Date(attributes.atimeMs), new Date(attributes.mtimeMs));
+    result.times = 'preserved';
+  } catch (error) {
+    result.times = `failed: ${error.message}`;
+  }
+  
+  return result;
+}
+
+/**
+ * Keep the file's owner but give it the original's group
+ */
+async function restoreGroup(filePath, uid, gid) {
+  try {
+    await fs.chown(filePath, uid, gid);
+    return 'group only, owner not permitted';
+  } catch (error) {
+    return 'not permitted';
+  }
+}
+
+/**
+ * Whether any attribute couldn't be put back, for logging
+ */
+function hasRestoreProblems(result) {
+  return Object.values(result).some(value => value.startsWith('failed') || value.startsWith('not permitted'));
+}
+
+module.exports = {
+  captureFileAttributes,
+  restoreFileAttributes,
+  hasRestoreProblems
+};
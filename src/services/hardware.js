@@ -0,0 +1,279 @@
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { getFfmpegPath } = require('./binaries');
+
+// Encoders we know how to drive, in order of preference for each codec
+const candidateEncoders = [
+  { name: 'hevc_qsv', codec: 'hevc', type: 'hardware', hwaccel: 'qsv', vendor: 'Intel' },
+  { name: 'hevc_vaapi', codec: 'hevc', type: 'hardware', hwaccel: 'vaapi', vendor: 'VAAPI' },
+  { name: 'hevc_nvenc', codec: 'hevc', type: 'hardware', hwaccel: 'cuda', vendor: 'NVIDIA' },
+  { name: 'hevc_amf', codec: 'hevc', type: 'hardware', hwaccel: null, vendor: 'AMD' },
+  { name: 'libx265', codec: 'hevc', type: 'software', hwaccel: null, vendor: null },
+  { name: 'av1_qsv', codec: 'av1', type: 'hardware', hwaccel: 'qsv', vendor: 'Intel' },
+  { name: 'libsvtav1', codec: 'av1', type: 'software', hwaccel: null, vendor: null },
+  { name: 'libaom-av1', codec: 'av1', type: 'software', hwaccel: null, vendor: null }
+];
+
+// Default render node used for VAAPI on Linux
+const VAAPI_DEVICE = '/dev/dri/renderD128';
+
+// Test encodes should take well under a second; anything slower is a hung driver
+const TEST_ENCODE_TIMEOUT_MS = 20000;
+
+// ffmpeg's closing error lines that don't say what actually went wrong
+const genericErrorLines = [
+  /^Error initializing output stream/,
+  /^Error while opening encoder/,
+  /^Conversion failed/,
+  /^Error sending frames to consumers/,
+  /^Nothing was written into output file/
+];
+
+// Probe results are reused until the user asks for a refresh
+let cachedCapabilities = null;
+let probePromise = null;
+
+/**
+ * Run a command and collect its output. Resolves even when the command fails.
+ */
+function runCommand(command, args, timeoutMs = TEST_ENCODE_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    execFile(command, args, { timeout: timeoutMs, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({
+        ok: !error,
+        code: error ? error.code : 0,
+        timedOut: !!(error && error.killed),
+        stdout: stdout || '',
+        stderr: stderr || ''
+      });
+    });
+  });
+}
+
+/**
+ * Parse the encoder names out of `ffmpeg -encoders`
+ */
+function parseEncoderList(output) {
+  const encoders = new Set();
+  
+  for (const line of output.split('\n')) {
+    // Lines look like " V....D hevc_qsv             HEVC (Intel Quick Sync Video acceleration)"
+    const match = line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/);
+    if (match) {
+      encoders.add(match[1]);
+    }
+  }
+  
+  return encoders;
+}
+
+/**
+ * Parse the hwaccel names out of `ffmpeg -hwaccels`
+ */
+function parseHwaccelList(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('Hardware acceleration methods'));
+}
+
+/**
+ * Arguments for a short test encode with the given encoder
+ */
+function getTestEncodeArgs(encoder) {
+  const args = ['-hide_banner', '-nostats', '-loglevel', 'error'];
+  
+  if (encoder.name === 'hevc_vaapi') {
+    args.push('-vaapi_device', VAAPI_DEVICE);
+  }
+  
+  args.push('-f', 'lavfi', '-i', 'testsrc2=size=320x240:rate=25', '-frames:v', '10');
+  
+  switch (encoder.name) {
+    case 'hevc_vaapi':
+      args.push('-vf', 'format=nv12,hwupload');
+      break;
+    case 'hevc_qsv':
+    case 'av1_qsv':
+      args.push('-vf', 'format=nv12');
+      break;
+    case 'libx265':
+      args.push('-preset', 'ultrafast', '-x265-params', 'log-level=error');
+      break;
+    case 'libsvtav1':
+      args.push('-preset', '12');
+      break;
+    case 'libaom-av1':
+      args.push('-cpu-used', '8');
+      break;
+    default:
+      args.push('-vf', 'format=yuv420p');
+  }
+  
+  args.push('-c:v', encoder.name, '-f', 'null', '-');
+  return args;
+}
+
+/**
+ * Shorten ffmpeg's error output to the line most likely to explain a failure
+ */
+function summarizeFailure(result) {
+  if (result.timedOut) {
+    return 'Test encode timed out';
+  }
+  
+  const lines = result.stderr.trim().split('\n').map(line => line.trim()).filter(Boolean);
+  const specific = lines.filter(line => !genericErrorLines.some(pattern => pattern.test(line)));
+  const reason = specific[specific.length - 1] || lines[lines.length - 1];
+  
+  return reason || `Test encode exited with code ${result.code}`;
+}
+
+/**
+ * Check one encoder: it must be compiled in, have its hwaccel available and
+ * complete a short test encode
+ */
+async function probeEncoder(encoder, builtEncoders, hwaccels) {
+  const result = { ...encoder, available: false, reason: null };
+  
+  if (!builtEncoders.has(encoder.name)) {
+    result.reason = 'Not included in this ffmpeg build';
+    return result;
+  }
+  
+  if (encoder.hwaccel && !hwaccels.includes(encoder.hwaccel)) {
+    result.reason = `ffmpeg has no ${encoder.hwaccel} hwaccel`;
+    return result;
+  }
+  
+  if (encoder.name === 'hevc_vaapi' && !(await fs.pathExists(VAAPI_DEVICE))) {
+    result.reason = `No render device at ${VAAPI_DEVICE}`;
+    return result;
+  }
+  
+  const testResult = await runCommand(getFfmpegPath(), getTestEncodeArgs(encoder));
+  if (!testResult.ok) {
+    result.reason = summarizeFailure(testResult);
+    return result;
+  }
+  
+  result.available = true;
+  return result;
+}
+
+/**
+ * Get the names of the graphics adapters in this machine, best effort
+ */
+async function getGraphicsAdapters() {
+  if (process.platform === 'win32') {
+    const result = await runCommand('powershell', [
+      '-NoProfile',
+      '-Command',
+      'Get-CimInstance Win32_VideoController | Select-Object -ExpandProperty Name'
+    ]);
+    return result.ok ? result.stdout.split('\n').map(line => line.trim()).filter(Boolean) : [];
+  }
+  
+  if (process.platform === 'linux') {
+    const result = await runCommand('lspci', ['-mm']);
+    if (!result.ok) return [];
+    
+    return result.stdout
+      .split('\n')
+      .filter(line => /VGA|3D controller|Display controller/.test(line))
+      .map(line => {
+        // -mm quotes each field: slot "class" "vendor" "device" ...
+        const fields = line.match(/"([^"]*)"/g) || [];
+        return fields.slice(1, 3).map(field => field.replace(/"/g, '')).join(' ');
+      })
+      .filter(Boolean);
+  }
+  
+  return [];
+}
+
+/**
+ * Probe ffmpeg for working encoders
+ */
+async function detectCapabilities() {
+  const [encoderList, hwaccelList, adapters] = await Promise.all([
+    runCommand(getFfmpegPath(), ['-hide_banner', '-encoders']),
+    runCommand(getFfmpegPath(), ['-hide_banner', '-hwaccels']),
+    getGraphicsAdapters()
+  ]);
+  
+  if (!encoderList.ok) {
+    return {
+      platform: process.platform,
+      detectedAt: new Date().toISOString(),
+      error: `Could not run ffmpeg: ${summarizeFailure(encoderList)}`,
+      adapters,
+      hwaccels: [],
+      encoders: candidateEncoders.map(encoder => ({
+        ...encoder,
+        available: false,
+        reason: 'ffmpeg could not be run'
+      }))
+    };
+  }
+  
+  const builtEncoders = parseEncoderList(encoderList.stdout);
+  const hwaccels = parseHwaccelList(hwaccelList.stdout);
+  
+  // One at a time, so test encodes don't compete for the same GPU
+  const encoders = [];
+  for (const encoder of candidateEncoders) {
+    encoders.push(await probeEncoder(encoder, builtEncoders, hwaccels));
+  }
+  
+  return {
+    platform: process.platform,
+    detectedAt: new Date().toISOString(),
+    error: null,
+    adapters,
+    hwaccels,
+    encoders
+  };
+}
+
+/**
+ * Get the cached encoder capabilities, probing on first use or when asked to refresh
+ */
+async function getEncoderCapabilities({ refresh = false } = {}) {
+  if (cachedCapabilities && !refresh) {
+    return cachedCapabilities;
+  }
+  
+  // Share one probe between callers that arrive while it's running
+  if (!probePromise) {
+    probePromise = detectCapabilities()
+      .then(capabilities => {
+        cachedCapabilities = capabilities;
+        const available = capabilities.encoders.filter(encoder => encoder.available).map(encoder => encoder.name);
+        console.log(`Encoder detection: ${available.join(', ') || 'no working encoders'}`);
+        return capabilities;
+      })
+      .finally(() => {
+        probePromise = null;
+      });
+  }
+  
+  return probePromise;
+}
+
+/**
+ * Check whether a specific encoder passed detection
+ */
+async function isEncoderAvailable(name) {
+  const capabilities = await getEncoderCapabilities();
+  const encoder = capabilities.encoders.find(item => item.name === name);
+  return !!(encoder && encoder.available);
+}
+
+module.exports = {
+  VAAPI_DEVICE,
+  getEncoderCapabilities,
+  isEncoderAvailable,
+  parseEncoderList,
+  parseHwaccelList
+};
@@ -0,0 +1,206 @@
+const { execFile } = require('child_process');
+const { getFfprobePath } = require('./binaries');
+
+// Reading one frame is enough for the static HDR metadata
+const PROBE_TIMEOUT_MS = 30000;
+
+// Dolby Vision base layer compatibility IDs and what the base layer is without the RPU
+const dolbyVisionBaseLayers = {
+  1: 'hdr10',
+  2: 'sdr',
+  4: 'hlg',
+  6: 'hdr10'
+};
+
+/**
+ * Read a video file's color description and HDR metadata
+ * @param {string} filePath - File to probe
+ * @returns {Promise<Object>} hdrFormat ('sdr', 'hdr10', 'hdr10plus', 'hlg' or
+ *   'dolby_vision'), color tags, mastering display and content light levels,
+ *   and the Dolby Vision profile when present
+ */
+async function probeColorInfo(filePath) {
+  const output = await new Promise((resolve, reject) => {
+    execFile(getFfprobePath(), [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_streams',
+      '-show_frames',
+      '-read_intervals', '%+#1',
+      '-of', 'json',
+      filePath
+    ], { timeout: PROBE_TIMEOUT_MS, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+  
+  return parseColorInfo(JSON.parse(output));
+}
+
+/**
+ * Turn ffprobe's JSON stream and first-frame output into color info
+ */
+function parseColorInfo(probe) {
+  const stream = (probe.streams || [])[0] || {};
+  const frame = (probe.frames || [])[0] || {};
+  const sideData = [...(stream.side_data_list || []), ...(frame.side_data_list || [])];
+  const findSideData = (type) => sideData.find(item => item.side_data_type === type);
+  
+  const info = {
+    primaries: knownValue(stream.color_primaries),
+    transfer: knownValue(stream.color_transfer),
+    matrix: knownValue(stream.color_space),
+    range: knownValue(stream.color_range),
+    masteringDisplay: null,
+    contentLight: null,
+    dvProfile: null,
+    dvCompatibilityId: null,
+    hdrFormat: 'sdr'
+  };
+  
+  const mastering = findSideData('Mastering display metadata');
+  if (mastering && mastering.max_luminance) {
+    info.masteringDisplay = {
+      red: [parseRational(mastering.red_x), parseRational(mastering.red_y)],
+      green: [parseRational(mastering.green_x), parseRational(mastering.green_y)],
+      blue: [parseRational(mastering.blue_x), parseRational(mastering.blue_y)],
+      whitePoint: [parseRational(mastering.white_point_x), parseRational(mastering.white_point_y)],
+      maxLuminance: parseRational(mastering.max_luminance),
+      minLuminance: parseRational(mastering.min_luminance)
+    };
+  }
+  
+  const contentLight = findSideData('Content light level metadata');
+  if (contentLight) {
+    info.contentLight = {
+      maxContent: Number(contentLight.max_content) || 0,
+      maxAverage: Number(contentLight.max_average) || 0
+    };
+  }
+  
+  const dolbyVision = findSideData('DOVI configuration record');
+  if (dolbyVision) {
+    info.dvProfile = Number(dolbyVision.dv_profile);
+    info.dvCompatibilityId = Number(dolbyVision.dv_bl_signal_compatibility_id);
+  }
+  
+  if (info.dvProfile !== null) {
+    info.hdrFormat = 'dolby_vision';
+  } else if (info.transfer === 'arib-std-b67') {
+    info.hdrFormat = 'hlg';
+  } else if (info.transfer === 'smpte2084') {
+    info.hdrFormat = findSideData('HDR Dynamic Metadata SMPTE2094-40 (HDR10+)') ? 'hdr10plus' : 'hdr10';
+  }
+  
+  return info;
+}
+
+/**
+ * Treat ffprobe's "unknown" and "unspecified" as missing
+ */
+function knownValue(value) {
+  return value && !['unknown', 'unspecified', 'reserved'].includes(value) ? value : null;
+}
+
+/**
+ * Parse ffprobe's "num/den" values
+ */
+function parseRational(value) {
+  if (typeof value === 'number') return value;
+  const [numerator, denominator = 1] = String(value).split('/').map(Number);
+  return denominator ? numerator / denominator : 0;
+}
+
+/**
+ * Check whether the color info describes HDR video
+ */
+function isHdr(colorInfo) {
+  return !!colorInfo && colorInfo.hdrFormat !== 'sdr';
+}
+
+/**
+ * Decide whether a Dolby Vision source may be encoded. Re-encoding drops the
+ * RPU, so only the base layer survives; profile 5 has no usable base layer
+ * and comes out purple and green.
+ * @param {Object} colorInfo - From probeColorInfo
+ * @param {string} policy - 'skip' or 'base_layer'
+ * @returns {string|null} Why the file is skipped, or null if it can be encoded
+ */
+function getDolbyVisionSkipReason(colorInfo, policy) {
+  if (!colorInfo || colorInfo.dvProfile === null || colorInfo.dvProfile === undefined) {
+    return null;
+  }
+  
+  if (policy !== 'base_layer') {
+    return `Dolby Vision profile ${colorInfo.dvProfile} is skipped by the Dolby Vision rule`;
+  }
+  
+  if (!dolbyVisionBaseLayers[colorInfo.dvCompatibilityId]) {
+    return `Dolby Vision profile ${colorInfo.dvProfile} has no HDR10, HLG or SDR base layer to keep`;
+  }
+  
+  return null;
+}
+
+/**
+ * The HDR format of what's left of a source after encoding
+ */
+function getOutputHdrFormat(colorInfo) {
+  if (colorInfo.hdrFormat === 'dolby_vision') {
+    return dolbyVisionBaseLayers[colorInfo.dvCompatibilityId] || 'sdr';
+  }
+  
+  // Dynamic HDR10+ metadata isn't carried over; the static HDR10 metadata is
+  return colorInfo.hdrFormat === 'hdr10plus' ? 'hdr10' : colorInfo.hdrFormat;
+}
+
+/**
+ * Filters that drop the Dolby Vision metadata from decoded frames, so the
+ * encode is a plain base layer. Recent ffmpeg builds would otherwise have
+ * libx265 write a new RPU from it.
+ */
+function getDolbyVisionFilters(colorInfo) {
+  if (!colorInfo || colorInfo.hdrFormat !== 'dolby_vision') {
+    return [];
+  }
+  
+  return ['sidedata=mode=delete:type=DOVI_METADATA', 'sidedata=mode=delete:type=DOVI_RPU_BUFFER'];
+}
+
+/**
+ * Format mastering display metadata as x265 expects it: chromaticity in
+ * 0.00002 units, luminance in 0.0001 cd/m2
+ */
+function formatX265MasteringDisplay(display) {
+  const point = ([x, y]) => `(${Math.round(x * 50000)},${Math.round(y * 50000)})`;
+  
+  return `G${point(display.green)}B${point(display.blue)}R${point(display.red)}` +
+    `WP${point(display.whitePoint)}` +
+    `L(${Math.round(display.maxLuminance * 10000)},${Math.round(display.minLuminance * 10000)})`;
+}
+
+/**
+ * Format mastering display metadata as SVT-AV1 expects it, in plain values
+ */
+function formatSvtMasteringDisplay(display) {
+  const point = ([x, y]) => `(${x.toFixed(4)},${y.toFixed(4)})`;
+  
+  return `G${point(display.green)}B${point(display.blue)}R${point(display.red)}` +
+    `WP${point(display.whitePoint)}` +
+    `L(${display.maxLuminance},${display.minLuminance})`;
+}
+
+module.exports = {
+  probeColorInfo,
+  parseColorInfo,
+  isHdr,
+  getDolbyVisionSkipReason,
+  getOutputHdrFormat,
+  getDolbyVisionFilters,
+  formatX265MasteringDisplay,
+  formatSvtMasteringDisplay
+};
@@ -0,0 +1,163 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { getSettings } = require('./database');
+const { getFfmpegPath } = require('./binaries');
+
+// Lines that say nothing about why ffmpeg stopped: progress stats, blank
+// lines and the summary it prints on the way out
+const noiseLines = /^\s*$|^\s*(frame|size)=|^\s*video:\S+ audio:|^\s*Last message repeated|^\s*Conversion failed!?\s*$/;
+
+// Stderr kept in memory for the end of the log; the rest is only on disk
+const RECENT_BYTES = 16 * 1024;
+
+// The log viewer shows at most this much of the end of a log
+const MAX_VIEW_CHARS = 512 * 1024;
+
+/**
+ * Directory the job logs are written to, next to the database
+ */
+function getLogDir() {
+  return path.join(process.cwd(), 'logs');
+}
+
+/**
+ * Open the log for one attempt at a job. Every ffmpeg run of the attempt is
+ * written to it, each after the exact command line.
+ * @returns {Object} { path, command(args), write(text), tail(count), close() }
+ */
+function createJobLog(jobId, attempt) {
+  const logDir = getLogDir();
+  fs.ensureDirSync(logDir);
+  
+  const logPath = path.join(logDir, `job-${jobId}-attempt-${attempt}.log`);
+  const stream = fs.createWriteStream(logPath, { flags: 'w' });
+  let recent = '';
+  
+  // A log that can't be written must not fail the encode
+  stream.on('error', (error) => {
+    console.error(`Error writing log for job ${jobId}:`, error.message);
+  });
+  
+  rotateJobLogs().catch(error => console.error('Error rotating job logs:', error));
+  
+  return {
+    path: logPath,
+    
+    command(args) {
+      recent = '';
+      stream.write(`$ ${formatCommand(args)}\n`);
+    },
+    
+    write(text) {
+      recent = (recent + text).slice(-RECENT_BYTES);
+      stream.write(text);
+    },
+    
+    // The last lines of the latest command's stderr that explain a failure
+    tail(count = 5) {
+      return getMeaningfulLines(recent, count);
+    },
+    
+    close() {
+      return new Promise(resolve => stream.end(resolve));
+    }
+  };
+}
+
+/**
+ * Keep the last lines of ffmpeg's stderr that say why it stopped
+ */
+function getMeaningfulLines(stderrData, count = 5) {
+  return stderrData
+    .split(/\r?\n|\r/)
+    .filter(line => !noiseLines.test(line))
+    .slice(-count)
+    .map(line => line.trim());
+}
+
+/**
+ * Describe a failed ffmpeg run by how it ended and the last lines it wrote
+ * @param {string} what - What was running, e.g. "FFmpeg encoding"
+ */
+function describeExit(what, code, signal, lines) {
+  const ending = signal ? `was killed by ${signal}` : `failed with code ${code}`;
+  return lines.length > 0 ? `${what} ${ending}: ${lines.join(' | ')}` : `${what} ${ending}`;
+}
+
+/**
+ * Quote a command line so it can be pasted into a shell
+ */
+function formatCommand(args) {
+  return [getFfmpegPath(), ...args]
+    .map(arg => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, "'\\''")}'`))
+    .join(' ');
+}
+
+/**
+ * Remove logs past the age limit, then the oldest beyond the count limit
+ */
+async function rotateJobLogs(settings = getSettings()) {
+  const logDir = getLogDir();
+  if (!await fs.pathExists(logDir)) {
+    return 0;
+  }
+  
+  const files = [];
+  for (const name of await fs.readdir(logDir)) {
+    if (!name.endsWith('.log')) continue;
+    const stat = await fs.stat(path.join(logDir, name));
+    files.push({ name, mtime: stat.mtimeMs });
+  }
+  
+  // Newest first, so the count limit keeps the latest logs
+  files.sort((a, b) => b.mtime - a.mtime);
+  
+  const maxAgeMs = settings.job_log_max_age_days * 24 * 60 * 60 * 1000;
+  const expired = files.filter((file, index) =>
+    (settings.job_log_max_age_days > 0 && Date.now() - file.mtime > maxAgeMs) ||
+    (settings.job_log_max_files > 0 && index >= settings.job_log_max_files)
+  );
+  
+  for (const file of expired) {
+    await fs.remove(path.join(logDir, file.name));
+  }
+  
+  return expired.length;
+}
+
+/**
+ * Read a job log for the viewer: the command lines it ran and the end of
+ * the output
+ * @returns {Promise<{path: string, commands: string[], content: string, truncated: boolean}>}
+ */
+async function readJobLog(logPath) {
+  // Only files in the log directory can be read this way
+  if (path.dirname(path.resolve(logPath)) !== getLogDir()) {
+    throw new Error('Not a job log');
+  }
+  
+  if (!await fs.pathExists(logPath)) {
+    throw new Error('The log has been rotated out');
+  }
+  
+  // ffmpeg's stats go to the progress pipe, so logs stay small enough to read whole
+  const log = await fs.readFile(logPath, 'utf8');
+  const commands = log.split('\n').filter(line => line.startsWith('$ '));
+  const content = log.length > MAX_VIEW_CHARS ? log.slice(-MAX_VIEW_CHARS) : log;
+  
+  return {
+    path: logPath,
+    commands: commands.map(line => line.slice(2)),
+    content,
+    truncated: content.length < log.length
+  };
+}
+
+module.exports = {
+  getLogDir,
+  createJobLog,
+  describeExit,
+  getMeaningfulLines,
+  rotateJobLogs,
+  readJobLog
+};
@@ -0,0 +1,322 @@
+const { spawn } = require('child_process');
+const { getFfmpegPath } = require('./binaries');
+const { getSampleSegments } = require('./quality');
+
+// Clips the analysis decodes, spread through the file like the quality samples
+const ANALYSIS_SAMPLE_COUNT = 5;
+const ANALYSIS_SAMPLE_SECONDS = 10;
+
+// cropdetect's default black level of 24 in 8-bit, given as a fraction so it
+// scales with the bit depth
+const CROP_BLACK_LIMIT = 0.094;
+
+// Borders thinner than this are noise or overscan, not letterboxing
+const MIN_CROP_PIXELS = 8;
+
+// Share of combed frames below which a source counts as progressive, and the
+// share of repeated fields that marks 3:2 pulldown
+const INTERLACED_THRESHOLD = 0.1;
+const TELECINE_REPEAT_THRESHOLD = 0.15;
+
+const scanTypes = ['progressive', 'interlaced', 'telecine'];
+
+/**
+ * Find letterbox bars and interlacing by decoding a few clips of the video
+ * through cropdetect and idet
+ * @param {string} filePath - Source file
+ * @param {Object} options - Analysis options
+ * @param {number} options.videoIndex - Stream index of the video that is encoded
+ * @param {number} options.width - Source width
+ * @param {number} options.height - Source height
+ * @param {number} options.durationSeconds - Source duration
+ * @param {AbortSignal} [options.signal] - Aborts the analysis and kills ffmpeg
+ * @returns {Promise<Object>} { width, height, crop, scanType, fieldOrder, frames, analyzedAt };
+ *   crop is { width, height, x, y }, or null when there are no bars
+ */
+async function analyzePicture(filePath, options) {
+  const { videoIndex, width, height, durationSeconds, signal } = options;
+  
+  const clips = getSampleSegments(durationSeconds, ANALYSIS_SAMPLE_COUNT, ANALYSIS_SAMPLE_SECONDS) ||
+    [{ start: 0, duration: durationSeconds }];
+  
+  const crops = [];
+  const frames = { tff: 0, bff: 0, progressive: 0, undetermined: 0, repeatedNeither: 0, repeatedTop: 0, repeatedBottom: 0 };
+  
+  for (const clip of clips) {
+    const output = await runAnalysisClip(filePath, videoIndex, clip, signal);
+    
+    const crop = parseCropdetect(output);
+    if (crop) {
+      crops.push(crop);
+    }
+    
+    const counts = parseIdet(output);
+    for (const key of Object.keys(frames)) {
+      frames[key] += counts[key];
+    }
+  }
+  
+  const { scanType, fieldOrder } = classifyScan(frames);
+  
+  return {
+    width,
+    height,
+    crop: combineCrops(crops, width, height),
+    scanType,
+    fieldOrder,
+    frames,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Decode one clip through idet and cropdetect and return ffmpeg's stderr
+ */
+function runAnalysisClip(filePath, videoIndex, clip, signal) {
+  return new Promise((resolve, reject) => {
+    const ffmpegArgs = [
+      '-hide_banner',
+      '-nostats',
+      '-ss', String(clip.start),
+      '-t', String(clip.duration),
+      '-i', filePath,
+      '-map', `0:${videoIndex}`,
+      '-vf', `idet,cropdetect=limit=${CROP_BLACK_LIMIT}:round=2:reset=0`,
+      '-an', '-sn', '-dn',
+      '-f', 'null',
+      '-'
+    ];
+    
+    const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { signal });
+    let stderrData = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderrData += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code !== 0) {
+        const lastLines = stderrData.trim().split('\n').slice(-5).join('\n');
+        reject(new Error(`Picture analysis failed with code ${code}: ${lastLines}`));
+        return;
+      }
+      resolve(stderrData);
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Read the last crop cropdetect suggested. With reset=0 it covers every
+ * frame of the clip.
+ */
+function parseCropdetect(output) {
+  const matches = [...output.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+  if (matches.length === 0) {
+    return null;
+  }
+  
+  const [, width, height, x, y] = matches[matches.length - 1].map(Number);
+  return { width, height, x, y };
+}
+
+/**
+ * Read idet's multi-frame and repeated-field counts
+ */
+function parseIdet(output) {
+  const multi = output.match(/Multi frame detection:\s*TFF:\s*(\d+)\s*BFF:\s*(\d+)\s*Progressive:\s*(\d+)\s*Undetermined:\s*(\d+)/);
+  const repeated = output.match(/Repeated Fields:\s*Neither:\s*(\d+)\s*Top:\s*(\d+)\s*Bottom:\s*(\d+)/);
+  
+  return {
+    tff: multi ? Number(multi[1]) : 0,
+    bff: multi ? Number(multi[2]) : 0,
+    progressive: multi ? Number(multi[3]) : 0,
+    undetermined: multi ? Number(multi[4]) : 0,
+    repeatedNeither: repeated ? Number(repeated[1]) : 0,
+    repeatedTop: repeated ? Number(repeated[2]) : 0,
+    repeatedBottom: repeated ? Number(repeated[3]) : 0
+  };
+}
+
+/**
+ * Decide between progressive, interlaced and telecined from idet's counts.
+ * Hard telecine combs two frames in five and repeats a field in two.
+ */
+function classifyScan(frames) {
+  const combed = frames.tff + frames.bff;
+  const decided = combed + frames.progressive;
+  const fieldOrder = frames.bff > frames.tff ? 'bff' : 'tff';
+  
+  if (decided === 0 || combed / decided < INTERLACED_THRESHOLD) {
+    return { scanType: 'progressive', fieldOrder };
+  }
+  
+  const repeatedTotal = frames.repeatedNeither + frames.repeatedTop + frames.repeatedBottom;
+  const repeated = repeatedTotal ? (frames.repeatedTop + frames.repeatedBottom) / repeatedTotal : 0;
+  
+  return {
+    scanType: repeated >= TELECINE_REPEAT_THRESHOLD && combed / decided < 0.7 ? 'telecine' : 'interlaced',
+    fieldOrder
+  };
+}
+
+/**
+ * Take the smallest crop that keeps the picture of every clip, so a bright
+ * scene isn't cut because a dark one looked letterboxed. Returns null when
+ * the bars are too thin to bother with.
+ */
+function combineCrops(crops, width, height) {
+  if (crops.length === 0 || !width || !height) {
+    return null;
+  }
+  
+  const left = Math.min(...crops.map(crop => crop.x));
+  const top = Math.min(...crops.map(crop => crop.y));
+  const right = Math.max(...crops.map(crop => crop.x + crop.width));
+  const bottom = Math.max(...crops.map(crop => crop.y + crop.height));
+  
+  // Even sizes and offsets keep 4:2:0 chroma aligned
+  const even = (value) => value - (value % 2);
+  const crop = {
+    width: even(Math.min(right, width) - left),
+    height: even(Math.min(bottom, height) - top),
+    x: even(left),
+    y: even(top)
+  };
+  
+  if (width - crop.width < MIN_CROP_PIXELS && height - crop.height < MIN_CROP_PIXELS) {
+    return null;
+  }
+  
+  return crop;
+}
+
+/**
+ * Parse a crop typed as W:H:X:Y
+ */
+function parseCrop(value) {
+  const match = String(value).trim().match(/^(\d+):(\d+):(\d+):(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  
+  const [, width, height, x, y] = match.map(Number);
+  return { width, height, x, y };
+}
+
+/**
+ * Combine the detected values with the media item's override and the
+ * auto_crop/auto_deinterlace settings
+ * @param {Object|null} info - From analyzePicture
+ * @param {Object|null} override - { crop: 'auto' | 'none' | 'W:H:X:Y', scan: 'auto' | scan type }
+ * @returns {Object} { crop, scanType, fieldOrder } to encode with
+ */
+function resolvePicture(info, override, settings) {
+  const cropOverride = (override && override.crop) || 'auto';
+  const scanOverride = (override && override.scan) || 'auto';
+  
+  let crop = null;
+  if (cropOverride === 'auto') {
+    crop = settings.auto_crop && info ? info.crop : null;
+  } else if (cropOverride !== 'none') {
+    crop = parseCrop(cropOverride);
+  }
+  
+  let scanType = 'progressive';
+  if (scanOverride === 'auto') {
+    scanType = settings.auto_deinterlace && info ? info.scanType : 'progressive';
+  } else {
+    scanType = scanOverride;
+  }
+  
+  return {
+    crop,
+    scanType,
+    fieldOrder: (info && info.fieldOrder) || 'tff'
+  };
+}
+
+/**
+ * Check a typed crop fits the picture. 4:2:0 encoders need even sizes.
+ * @param {Object|null} frame - { width, height } of the source, null when unknown
+ */
+function validateCrop(crop, frame) {
+  if (crop.width === 0 || crop.height === 0) {
+    throw new Error('Crop width and height must be greater than 0');
+  }
+  
+  if (crop.width % 2 !== 0 || crop.height % 2 !== 0) {
+    throw new Error('Crop width and height must be even');
+  }
+  
+  if (frame && (crop.x + crop.width > frame.width || crop.y + crop.height > frame.height)) {
+    throw new Error(`Crop ${crop.width}:${crop.height}:${crop.x}:${crop.y} doesn't fit in the ${frame.width}x${frame.height} picture`);
+  }
+}
+
+/**
+ * Check an override before it's saved
+ * @param {Object|null} frame - { width, height } of the source, null when unknown
+ */
+function validatePictureOverride(override, frame = null) {
+  const crop = (override && override.crop) || 'auto';
+  const scan = (override && override.scan) || 'auto';
+  
+  if (!['auto', 'none'].includes(crop)) {
+    const parsed = parseCrop(crop);
+    if (!parsed) {
+      throw new Error('Crop must be auto, none or W:H:X:Y');
+    }
+    validateCrop(parsed, frame);
+  }
+  
+  if (scan !== 'auto' && !scanTypes.includes(scan)) {
+    throw new Error(`Scan type must be auto or one of ${scanTypes.join(', ')}`);
+  }
+  
+  return { crop, scan };
+}
+
+/**
+ * Filters that crop and deinterlace or detelecine a picture
+ * @param {Object|null} picture - From resolvePicture
+ * @param {Object} [options]
+ * @param {boolean} [options.softwareDeinterlace] - Include the deinterlacer;
+ *   false when the backend deinterlaces on the GPU after upload
+ */
+function buildPictureFilters(picture, { softwareDeinterlace = true } = {}) {
+  if (!picture) {
+    return [];
+  }
+  
+  const filters = [];
+  const parity = picture.fieldOrder === 'bff' ? 1 : 0;
+  
+  // Telecine is undone before cropping; fieldmatch needs the full fields
+  if (picture.scanType === 'telecine') {
+    filters.push(`fieldmatch=order=${picture.fieldOrder}:combmatch=full`, 'yadif=deint=interlaced', 'decimate');
+  } else if (picture.scanType === 'interlaced' && softwareDeinterlace) {
+    filters.push(`bwdif=mode=send_frame:parity=${parity}`);
+  }
+  
+  if (picture.crop) {
+    const { width, height, x, y } = picture.crop;
+    filters.push(`crop=${width}:${height}:${x}:${y}`);
+  }
+  
+  return filters;
+}
+
+module.exports = {
+  scanTypes,
+  analyzePicture,
+  parseCropdetect,
+  parseIdet,
+  classifyScan,
+  resolvePicture,
+  validatePictureOverride,
+  buildPictureFilters
+};
@@ -0,0 +1,138 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const { getFfmpegPath } = require('./binaries');
+const { buildVideoArgs } = require('./backends');
+const { measureQuality, getSampleSegments } = require('./quality');
+const { getPlannedAudioKbps } = require('./ratecontrol');
+const { buildPictureFilters } = require('./picture');
+
+/**
+ * Encode short samples of a file and project the full encode from them
+ * @param {string} filePath - Source file
+ * @param {Object} options - Preview options
+ * @param {Object} options.backend - Backend the job would use
+ * @param {Object} options.profile - Encoding profile
+ * @param {Object} options.videoOptions - Overrides for buildVideoArgs, as for a real encode
+ * @param {string[]} options.extraArgs - The profile's extra arguments, already split
+ * @param {Object} options.sourceInfo - ffprobe output for the source
+ * @param {Object} options.streamPlan - From planStreams, for the video stream and audio tracks
+ * @param {number} options.durationSeconds - Source duration
+ * @param {number} options.sampleCount - Number of samples
+ * @param {number} options.sampleSeconds - Length of each sample
+ * @param {string|null} options.metric - 'vmaf' or 'ssim' to score the samples, null to skip
+ * @param {string} options.outputDir - Directory for the samples, removed afterwards
+ * @returns {Promise<Object>} The samples and the projected size, encode time and quality
+ */
+async function runPreview(filePath, options) {
+  const { durationSeconds, sourceInfo, streamPlan, metric, outputDir } = options;
+  
+  // A short file is encoded whole
+  const clips = getSampleSegments(durationSeconds, options.sampleCount, options.sampleSeconds) ||
+    [{ start: 0, duration: durationSeconds }];
+  
+  await fs.ensureDir(outputDir);
+  
+  try {
+    const samples = [];
+    
+    for (const [index, clip] of clips.entries()) {
+      const samplePath = path.join(outputDir, `sample-${index + 1}.mkv`);
+      
+      const startedAt = Date.now();
+      await encodeSample(filePath, samplePath, clip, options);
+      const encodeSeconds = (Date.now() - startedAt) / 1000;
+      
+      const sample = {
+        start: clip.start,
+        duration: clip.duration,
+        sizeBytes: (await fs.stat(samplePath)).size,
+        encodeSeconds,
+        score: null
+      };
+      
+      if (metric) {
+        const quality = await measureQuality(filePath, samplePath, {
+          metric,
+          scope: 'full',
+          referenceStart: clip.start,
+          durationSeconds: clip.duration,
+          referenceFilters: buildPictureFilters(options.videoOptions.picture)
+        });
+        sample.score = quality.score;
+      }
+      
+      samples.push(sample);
+    }
+    
+    const sum = (key) => samples.reduce((total, sample) => total + sample[key], 0);
+    const sampledSeconds = sum('duration');
+    
+    // Audio is copied or transcoded at a known bitrate, so only the video is sampled
+    const videoBytes = (sum('sizeBytes') / sampledSeconds) * durationSeconds;
+    const audioBytes = (getPlannedAudioKbps(sourceInfo, streamPlan) * 1000 / 8) * durationSeconds;
+    
+    return {
+      samples,
+      projectedBytes: Math.round(videoBytes + audioBytes),
+      projectedEncodeSeconds: Math.round((sum('encodeSeconds') / sampledSeconds) * durationSeconds),
+      qualityMetric: metric || null,
+      qualityScore: metric ? sum('score') / samples.length : null
+    };
+  } finally {
+    await fs.remove(outputDir);
+  }
+}
+
+/**
+ * Encode one clip of the source's video with the job's encoder settings
+ * @param {Object} options - backend, profile, videoOptions, extraArgs and
+ *   streamPlan as for runPreview, and an optional AbortSignal as signal
+ */
+function encodeSample(filePath, samplePath, clip, options) {
+  return new Promise((resolve, reject) => {
+    const { inputArgs, outputArgs } = buildVideoArgs(options.backend, options.profile, options.videoOptions);
+    const videoIndex = options.streamPlan.streams.find(stream => stream.action === 'encode').index;
+    
+    const ffmpegArgs = [
+      '-nostats',
+      ...inputArgs,
+      '-ss', String(clip.start),
+      '-i', filePath,
+      '-t', String(clip.duration),
+      '-map', `0:${videoIndex}`,
+      ...outputArgs,
+      ...options.extraArgs,
+      '-an', '-sn', '-dn',
+      '-y',
+      samplePath
+    ];
+    
+    console.log('FFmpeg preview command:', 'ffmpeg', ffmpegArgs.join(' '));
+    
+    const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { signal: options.signal });
+    let stderrData = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderrData += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code !== 0) {
+        const lastLines = stderrData.trim().split('\n').slice(-5).join('\n');
+        reject(new Error(`Sample encode failed with code ${code}: ${lastLines}`));
+        return;
+      }
+      resolve();
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  runPreview,
+  encodeSample
+};
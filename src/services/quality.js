@@ -0,0 +1,178 @@
+const { spawn } = require('child_process');
+const { getFfmpegPath } = require('./binaries');
+
+// Filters used to compare an encode with its source. Both inputs are scaled to
+// the reference size and converted to the same pixel format first, since
+// libvmaf and ssim refuse mismatched inputs.
+const qualityFilters = {
+  vmaf: 'libvmaf=n_threads=4',
+  ssim: 'ssim'
+};
+
+/**
+ * Measure the perceptual quality of an encoded file against its source
+ * @param {string} referencePath - Original file
+ * @param {string} distortedPath - Encoded file
+ * @param {Object} options - Measurement options
+ * @param {string} [options.metric] - 'vmaf' or 'ssim'
+ * @param {string} [options.scope] - 'full' for the whole file, 'sampled' for segments
+ * @param {number} [options.sampleCount] - Number of segments when sampling
+ * @param {number} [options.sampleSeconds] - Length of each segment
+ * @param {number} [options.durationSeconds] - Source duration, required for sampling
+ * @param {number} [options.referenceStart] - Where the encode starts in the
+ *   reference, for a clip cut from it; durationSeconds is the clip's length
+ * @param {string[]} [options.referenceFilters] - Filters the encode applied to
+ *   the picture (crop, deinterlace), applied to the reference before comparing
+ * @param {AbortSignal} [options.signal] - Aborts the measurement and kills ffmpeg
+ * @returns {Promise<{metric: string, score: number, minScore: number, samples: Array}>}
+ */
+async function measureQuality(referencePath, distortedPath, options = {}) {
+  const {
+    metric = 'vmaf',
+    scope = 'sampled',
+    sampleCount = 3,
+    sampleSeconds = 10,
+    durationSeconds = null,
+    referenceStart = null,
+    referenceFilters = [],
+    signal
+  } = options;
+  
+  if (!qualityFilters[metric]) {
+    throw new Error(`Unsupported quality metric: ${metric}`);
+  }
+  
+  // Fall back to the whole file when sampling isn't possible or wouldn't save time
+  const segments = scope === 'sampled' && durationSeconds && referenceStart === null ?
+    getSampleSegments(durationSeconds, sampleCount, sampleSeconds) :
+    null;
+  
+  const referenceClip = referenceStart !== null ? { start: referenceStart, duration: durationSeconds } : null;
+  const samples = [];
+  
+  for (const segment of segments || [null]) {
+    const score = await runQualityFilter(referencePath, distortedPath, metric, segment, {
+      signal,
+      referenceClip,
+      referenceFilters
+    });
+    samples.push({
+      start: segment ? segment.start : 0,
+      duration: segment ? segment.duration : durationSeconds,
+      score
+    });
+  }
+  
+  const scores = samples.map(sample => sample.score);
+  
+  return {
+    metric,
+    score: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+    minScore: Math.min(...scores),
+    samples
+  };
+}
+
+/**
+ * Spread sample segments evenly through a file, or return null if the
+ * samples would cover most of it anyway
+ */
+function getSampleSegments(durationSeconds, sampleCount, sampleSeconds) {
+  if (sampleCount < 1 || sampleSeconds * sampleCount >= durationSeconds * 0.5) {
+    return null;
+  }
+  
+  const segments = [];
+  
+  for (let i = 1; i <= sampleCount; i++) {
+    const center = (durationSeconds * i) / (sampleCount + 1);
+    const start = Math.max(0, Math.min(durationSeconds - sampleSeconds, center - sampleSeconds / 2));
+    segments.push({ start: Number(start.toFixed(3)), duration: sampleSeconds });
+  }
+  
+  return segments;
+}
+
+/**
+ * Run ffmpeg's quality filter over the whole file or one segment and parse the score
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Kills ffmpeg when aborted
+ * @param {Object} [options.referenceClip] - { start, duration } of the
+ *   reference to compare a whole clip with
+ * @param {string[]} [options.referenceFilters] - Filters run on the reference first
+ */
+function runQualityFilter(referencePath, distortedPath, metric, segment, { signal, referenceClip = null, referenceFilters = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const inputArgs = (filePath, clip) => clip ?
+      ['-ss', String(clip.start), '-t', String(clip.duration), '-i', filePath] :
+      ['-i', filePath];
+    
+    // The reference gets the same crop and deinterlacing as the encode, so
+    // the sizes and frame rates line up before scaling
+    const reference = referenceFilters.length > 0 ? '[src]' : '[1:v]';
+    
+    const filter = [
+      ...(referenceFilters.length > 0 ? [`[1:v]${referenceFilters.join(',')}[src]`] : []),
+      `[0:v]${reference}scale2ref=flags=bicubic[dist0][ref0]`,
+      '[dist0]setpts=PTS-STARTPTS,format=yuv420p[dist]',
+      '[ref0]setpts=PTS-STARTPTS,format=yuv420p[ref]',
+      `[dist][ref]${qualityFilters[metric]}`
+    ].join(';');
+    
+    const ffmpegArgs = [
+      '-hide_banner',
+      '-nostats',
+      ...inputArgs(distortedPath, segment),
+      ...inputArgs(referencePath, segment || referenceClip),
+      '-lavfi', filter,
+      '-f', 'null',
+      '-'
+    ];
+    
+    console.log('FFmpeg quality command:', 'ffmpeg', ffmpegArgs.join(' '));
+    
+    const ffmpegProcess = spawn(getFfmpegPath(), ffmpegArgs, { signal });
+    let stderrData = '';
+    
+    ffmpegProcess.stderr.on('data', (data) => {
+      stderrData += data.toString();
+    });
+    
+    ffmpegProcess.on('close', (code) => {
+      if (code !== 0) {
+        const lastLines = stderrData.trim().split('\n').slice(-5).join('\n');
+        reject(new Error(`Quality measurement failed with code ${code}: ${lastLines}`));
+        return;
+      }
+      
+      const score = parseQualityScore(stderrData, metric);
+      if (score === null) {
+        reject(new Error(`Could not read ${metric} score from ffmpeg output`));
+        return;
+      }
+      
+      resolve(score);
+    });
+    
+    ffmpegProcess.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Read the final score from ffmpeg's stderr
+ */
+function parseQualityScore(output, metric) {
+  const match = metric === 'vmaf' ?
+    output.match(/VMAF score[:=]\s*([\d.]+)/) :
+    output.match(/SSIM .*All:([\d.]+)/);
+  
+  return match ? parseFloat(match[1]) : null;
+}
+
+module.exports = {
+  measureQuality,
+  getSampleSegments,
+  parseQualityScore
+};
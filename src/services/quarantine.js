@@ -0,0 +1,206 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { promisify } = require('util');
+const ffmpeg = require('fluent-ffmpeg');
+const {
+  getSettings,
+  getJobById,
+  addQuarantinedFile,
+  getQuarantinedFileById,
+  getHeldQuarantinedFiles,
+  updateQuarantinedFileStatus,
+  updateJobStatus,
+  updateMediaFilePath,
+  markMediaForReencoding
+} = require('./database');
+
+// FFmpeg probe is callback based, let's promisify it
+const ffprobeAsync = promisify((filePath, callback) => {
+  ffmpeg.ffprobe(filePath, callback);
+});
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * Get the directory originals are moved into
+ */
+function getQuarantineDir(settings = getSettings()) {
+  return settings.quarantine_dir || path.join(process.cwd(), 'recycle-bin');
+}
+
+/**
+ * Move an original into the recycle bin and record where it went.
+ * Returns the quarantine entry ID.
+ */
+async function quarantineOriginal(job, originalPath) {
+  const quarantineDir = getQuarantineDir();
+  await fs.ensureDir(quarantineDir);
+
+  // Prefix with the job ID so originals with the same name don't collide
+  const quarantinePath = path.join(quarantineDir, `${job.id}_${path.basename(originalPath)}`);
+  const originalStat = await fs.stat(originalPath);
+
+  await fs.move(originalPath, quarantinePath, { overwrite: true });
+
+  const quarantineId = addQuarantinedFile({
+    job_id: job.id,
+    media_id: job.media_id,
+    original_path: originalPath,
+    quarantine_path: quarantinePath,
+    size_bytes: originalStat.size
+  });
+
+  console.log(`Moved original for job ${job.id} to ${quarantinePath}`);
+
+  return quarantineId;
+}
+
+/**
+ * Undo a quarantine after the swap failed, putting the original back
+ */
+async function releaseQuarantinedOriginal(quarantineId) {
+  const entry = getQuarantinedFileById(quarantineId);
+  if (!entry) return;
+
+  await fs.move(entry.quarantine_path, entry.original_path, { overwrite: true });
+  updateQuarantinedFileStatus(quarantineId, 'restored');
+}
+
+/**
+ * Put a job's original back in place of the encoded file and flag the media
+ * for re-encoding
+ */
+async function restoreOriginal(jobId) {
+  try {
+    const job = getJobById(jobId);
+    if (!job) {
+      throw new Error(`Job with id ${jobId} not found`);
+    }
+
+    if (!job.quarantine_id) {
+      throw new Error(`Job with id ${jobId} has no original in the recycle bin`);
+    }
+
+    const entry = getQuarantinedFileById(job.quarantine_id);
+
+    if (!(await fs.pathExists(entry.quarantine_path))) {
+      updateQuarantinedFileStatus(entry.id, 'missing');
+      throw new Error(`Original is missing from the recycle bin: ${entry.quarantine_path}`);
+    }
+
+    // Remove the encode first; it may have a different name than the original
+    if (job.file_path !== entry.original_path && await fs.pathExists(job.file_path)) {
+      await fs.remove(job.file_path);
+    }
+
+    await fs.move(entry.quarantine_path, entry.original_path, { overwrite: true });
+    updateQuarantinedFileStatus(entry.id, 'restored');
+
+    // The encode may have been written to a different container
+    if (job.file_path !== entry.original_path) {
+      updateMediaFilePath(job.media_id, entry.original_path);
+    }
+
+    // Re-read the restored file so the media row matches what's on disk
+    const metadata = await ffprobeAsync(entry.original_path);
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    markMediaForReencoding(
+      job.media_id,
+      videoStream ? videoStream.codec_name : 'unknown',
+      entry.size_bytes
+    );
+
+    updateJobStatus(jobId, 'restored');
+
+    console.log(`Restored original for job ${jobId} to ${entry.original_path}`);
+
+    return { success: true, jobId, path: entry.original_path };
+  } catch (error) {
+    console.error(`Error restoring original for job ${jobId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete originals that are past the retention age, then the oldest ones
+ * until the recycle bin is under its size limit
+ */
+async function purgeQuarantine(options = {}) {
+  const settings = getSettings();
+  const maxAgeDays = settings.quarantine_max_age_days;
+  const maxSizeBytes = settings.quarantine_max_size_gb * BYTES_PER_GB;
+  const results = { purged: 0, freedBytes: 0 };
+
+  const purge = async (entry) => {
+    await fs.remove(entry.quarantine_path);
+    updateQuarantinedFileStatus(entry.id, 'purged');
+    results.purged++;
+    results.freedBytes += entry.size_bytes;
+  };
+
+  try {
+    // Oldest first, so the size pass removes the oldest originals
+    let held = getHeldQuarantinedFiles();
+
+    if (options.all) {
+      for (const entry of held) {
+        await purge(entry);
+      }
+      return results;
+    }
+
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+      for (const entry of held) {
+        // SQLite timestamps are UTC without a zone marker
+        if (new Date(`${entry.quarantined_at.replace(' ', 'T')}Z`).getTime() < cutoff) {
+          await purge(entry);
+        }
+      }
+
+      held = getHeldQuarantinedFiles();
+    }
+
+    if (maxSizeBytes > 0) {
+      let totalBytes = held.reduce((sum, entry) => sum + entry.size_bytes, 0);
+
+      for (const entry of held) {
+        if (totalBytes <= maxSizeBytes) break;
+        await purge(entry);
+        totalBytes -= entry.size_bytes;
+      }
+    }
+
+    if (results.purged > 0) {
+      console.log(`Purged ${results.purged} originals from the recycle bin`);
+    }
+
+    return results;
+  } catch (error) {
+    console.error('Error purging recycle bin:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get originals currently held in the recycle bin, with the total size
+ */
+function getQuarantineSummary() {
+  const files = getHeldQuarantinedFiles();
+
+  return {
+    directory: getQuarantineDir(),
+    files,
+    totalBytes: files.reduce((sum, entry) => sum + entry.size_bytes, 0)
+  };
+}
+
+module.exports = {
+  getQuarantineDir,
+  quarantineOriginal,
+  releaseQuarantinedOriginal,
+  restoreOriginal,
+  purgeQuarantine,
+  getQuarantineSummary
+};
@@ -0,0 +1,210 @@
+// Rate control modes a profile can use. constant_quality uses the profile's
+// quality value; target_vmaf searches the quality value per file until the
+// encode reaches the VMAF score in rate_value. The others aim for a bitrate
+// and use rate_value:
+//   target_bitrate   kbps, or empty to pick from the resolution ladder
+//   source_relative  percent of the source's video bitrate
+//   target_size      output size in MB
+const rateControlModes = ['constant_quality', 'target_vmaf', 'target_bitrate', 'source_relative', 'target_size'];
+
+// HEVC video bitrates (kbps) by output height, for target_bitrate without a value
+const resolutionBitrates = [
+  { height: 480, kbps: 1200 },
+  { height: 720, kbps: 2500 },
+  { height: 1080, kbps: 5000 },
+  { height: 1440, kbps: 8000 },
+  { height: 2160, kbps: 14000 }
+];
+
+// AV1 reaches the same quality at a lower bitrate
+const codecBitrateFactors = {
+  hevc: 1,
+  av1: 0.75
+};
+
+const DEFAULT_SOURCE_PERCENT = 50;
+
+// Assumed for copied audio tracks that don't report a bitrate
+const DEFAULT_AUDIO_KBPS = 192;
+
+// Container overhead left out of a target size
+const MUX_OVERHEAD = 0.02;
+
+// Below this an encode isn't watchable at any resolution
+const MIN_VIDEO_KBPS = 150;
+
+/**
+ * Read a bitrate in kbps from a stream, or null if it doesn't report one.
+ * MKV only has it in the BPS tag written by mkvmerge.
+ */
+function getStreamKbps(stream) {
+  const tags = stream.tags || {};
+  const bitsPerSecond = Number(stream.bit_rate) || Number(tags.BPS) || Number(tags['BPS-eng']);
+  return bitsPerSecond ? bitsPerSecond / 1000 : null;
+}
+
+/**
+ * Estimate the source's video bitrate in kbps, from the stream when it says,
+ * otherwise from the whole file less its audio
+ */
+function getSourceVideoKbps(metadata, videoIndex, durationSeconds) {
+  const videoStream = metadata.streams.find(stream => stream.index === videoIndex);
+  const streamKbps = videoStream && getStreamKbps(videoStream);
+  if (streamKbps) {
+    return streamKbps;
+  }
+  
+  const format = metadata.format || {};
+  const totalKbps = Number(format.bit_rate) / 1000 ||
+    (Number(format.size) && durationSeconds ? (Number(format.size) * 8) / durationSeconds / 1000 : null);
+  if (!totalKbps) {
+    return null;
+  }
+  
+  const audioKbps = metadata.streams
+    .filter(stream => stream.codec_type === 'audio')
+    .reduce((sum, stream) => sum + (getStreamKbps(stream) || DEFAULT_AUDIO_KBPS), 0);
+  
+  return Math.max(totalKbps - audioKbps, 0) || null;
+}
+
+/**
+ * Sum the bitrates of the audio tracks the stream plan writes
+ */
+function getPlannedAudioKbps(metadata, streamPlan) {
+  return streamPlan.streams
+    .filter(stream => stream.type === 'audio' && stream.action !== 'drop')
+    .reduce((sum, stream) => {
+      if (stream.bitrateKbps) {
+        return sum + stream.bitrateKbps;
+      }
+      const source = metadata.streams.find(item => item.index === stream.index);
+      return sum + ((source && getStreamKbps(source)) || DEFAULT_AUDIO_KBPS);
+    }, 0);
+}
+
+/**
+ * Pick a bitrate from the resolution ladder. Letterboxed video is rated by
+ * its width, so 1920x800 counts as 1080p.
+ * @param {Object} size - { width, height } of the output picture
+ */
+function getResolutionKbps(size, codec) {
+  const height = Math.max(size.height || 0, Math.round(((size.width || 0) * 9) / 16));
+  const tier = resolutionBitrates.find(item => height <= item.height * 1.05) ||
+    resolutionBitrates[resolutionBitrates.length - 1];
+  
+  return tier.kbps * (codecBitrateFactors[codec] || 1);
+}
+
+/**
+ * Work out the video bitrate for a profile's rate control mode
+ * @param {Object} profile - Encoding profile
+ * @param {Object} metadata - ffprobe output for the source
+ * @param {Object} streamPlan - From planStreams, for the video stream and audio tracks
+ * @param {number} durationSeconds - Source duration
+ * @param {Object} [outputSize] - { width, height } after cropping and
+ *   scaling, for the resolution ladder; the source's size if omitted
+ * @returns {Object|null} { bitrateKbps, maxrateKbps, bufsizeKbps }, or null
+ *   for the quality-based modes
+ */
+function getRateControl(profile, metadata, streamPlan, durationSeconds, outputSize = null) {
+  const mode = profile.rate_control || 'constant_quality';
+  if (mode === 'constant_quality' || mode === 'target_vmaf') {
+    return null;
+  }
+  
+  const videoIndex = streamPlan.streams.find(stream => stream.action === 'encode').index;
+  const videoStream = metadata.streams.find(stream => stream.index === videoIndex);
+  const sourceKbps = getSourceVideoKbps(metadata, videoIndex, durationSeconds);
+  const value = profile.rate_value ?? null;
+  let bitrateKbps;
+  
+  switch (mode) {
+    case 'target_bitrate':
+      bitrateKbps = value || getResolutionKbps(outputSize || videoStream, profile.codec || 'hevc');
+      break;
+    case 'source_relative':
+      if (!sourceKbps) {
+        throw new Error('The source does not report its bitrate, so a bitrate relative to it cannot be used');
+      }
+      bitrateKbps = sourceKbps * ((value || DEFAULT_SOURCE_PERCENT) / 100);
+      break;
+    case 'target_size': {
+      if (!value || !durationSeconds) {
+        throw new Error('Target size needs a size in MB and a source with a known duration');
+      }
+      const totalKbps = (value * 1024 * 1024 * 8 * (1 - MUX_OVERHEAD)) / durationSeconds / 1000;
+      bitrateKbps = totalKbps - getPlannedAudioKbps(metadata, streamPlan);
+      if (bitrateKbps < MIN_VIDEO_KBPS) {
+        throw new Error(`A ${value} MB target leaves ${Math.round(bitrateKbps)} kbps for video, too little for this file`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unsupported rate control mode: ${mode}`);
+  }
+  
+  // Spending more bits than the source has only makes the file bigger
+  if (sourceKbps) {
+    bitrateKbps = Math.min(bitrateKbps, sourceKbps);
+  }
+  
+  return buildBitrateTarget(bitrateKbps);
+}
+
+/**
+ * Turn a video bitrate into a rate control target with room for peaks
+ */
+function buildBitrateTarget(bitrateKbps) {
+  const kbps = Math.max(Math.round(bitrateKbps), MIN_VIDEO_KBPS);
+  
+  return {
+    bitrateKbps: kbps,
+    maxrateKbps: Math.round(kbps * 1.5),
+    bufsizeKbps: kbps * 2
+  };
+}
+
+/**
+ * Hold an encode to a maximum video bitrate. A bitrate target is lowered to
+ * it. A quality encode keeps its quality value with the maximum as a peak
+ * limit when the backend supports that; otherwise, if the source is over
+ * the maximum, it becomes a bitrate target at the maximum.
+ * @param {Object|null} rateControl - From getRateControl
+ * @param {number|null} maxKbps - The maximum, null for none
+ * @param {Object} backend - Backend the job uses
+ * @param {number|null} sourceKbps - The source's video bitrate, if known
+ * @returns {{rateControl: Object|null, maxBitrateKbps: number|null}}
+ *   maxBitrateKbps is set when the backend applies the maximum itself
+ */
+function applyBitrateCap(rateControl, maxKbps, backend, sourceKbps) {
+  if (!maxKbps) {
+    return { rateControl, maxBitrateKbps: null };
+  }
+  
+  if (rateControl) {
+    return {
+      rateControl: rateControl.bitrateKbps > maxKbps ? buildBitrateTarget(maxKbps) : rateControl,
+      maxBitrateKbps: null
+    };
+  }
+  
+  if (backend.capabilities.cappedQuality) {
+    return { rateControl: null, maxBitrateKbps: maxKbps };
+  }
+  
+  // An unknown source bitrate may well be over the maximum
+  if (!sourceKbps || sourceKbps > maxKbps) {
+    return { rateControl: buildBitrateTarget(maxKbps), maxBitrateKbps: null };
+  }
+  
+  return { rateControl: null, maxBitrateKbps: null };
+}
+
+module.exports = {
+  rateControlModes,
+  getRateControl,
+  applyBitrateCap,
+  getSourceVideoKbps,
+  getPlannedAudioKbps
+};
@@ -0,0 +1,122 @@
+// What went wrong in a failed job, read from its error message, and what the
+// next attempt changes. The first kind that matches wins; anything else is
+// retried as it was, in case it was a passing problem.
+//   retry      false when retrying can't help and the job stays failed
+//   strategy   software skips hardware encoders, transcodeAudio re-encodes
+//              audio instead of copying it
+const failureKinds = [
+  {
+    kind: 'not_encodable',
+    label: 'Not encodable',
+    pattern: /Dolby Vision|Source has no video stream|can't be stored in|can't be converted|No encoder backend supports/i,
+    retry: false,
+    strategy: null
+  },
+  {
+    kind: 'input_corrupt',
+    label: 'Input corrupt',
+    pattern: /No such file or directory|Invalid data found when processing input|moov atom not found|EBML header parsing failed/i,
+    retry: false,
+    strategy: null
+  },
+  {
+    kind: 'disk_full',
+    label: 'Disk full',
+    pattern: /No space left on device|ENOSPC|Disk quota exceeded/i,
+    retry: true,
+    strategy: null
+  },
+  {
+    kind: 'killed',
+    label: 'Killed',
+    pattern: /killed by SIG|^Killed|Received signal \d+|Exiting normally, received signal/im,
+    retry: true,
+    strategy: null
+  },
+  {
+    kind: 'encoder_unavailable',
+    label: 'Encoder unavailable',
+    pattern: /Failed to (initiali[sz]e|create|open) .*(VAAPI|MFX|QSV|device|session)|Device creation failed|Error creating a MFX session|No VA display|vaInitialize failed|Cannot load (libcuda|nvcuda|amfrt)|No NVENC capable devices|OpenEncodeSessionEx failed|Error initializing an internal MFX session|hwupload.*(failed|error)|Unknown encoder|No working \w+ encoder found/i,
+    retry: true,
+    strategy: { software: true }
+  },
+  {
+    kind: 'pixel_format',
+    label: 'Pixel format unsupported',
+    pattern: /Incompatible pixel format|Unsupported pixel format|Invalid pixel format|pixel format .*not supported|Specified pixel format .* is invalid|Impossible to convert between the formats/i,
+    retry: true,
+    strategy: { software: true }
+  },
+  {
+    kind: 'stream_unsupported',
+    label: 'Stream unsupported',
+    pattern: /Could not find tag for codec|not currently supported in container|incompatible with output codec|Could not write header|Stream check failed|Invalid audio stream|Too many packets buffered/i,
+    retry: true,
+    strategy: { transcodeAudio: true }
+  }
+];
+
+// Longest wait between attempts, however many there have been
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+
+/**
+ * Work out what kind of failure an error message describes
+ * @returns {{kind: string, label: string|null, retry: boolean, strategy: Object|null}}
+ *   strategy holds what the next attempt should change, null when nothing
+ *   is known to help
+ */
+function classifyFailure(message) {
+  const match = failureKinds.find(failure => failure.pattern.test(message || ''));
+  
+  return match ?
+    { kind: match.kind, label: match.label, retry: match.retry, strategy: match.strategy } :
+    { kind: 'unknown', label: null, retry: true, strategy: null };
+}
+
+/**
+ * The label of a stored failure kind, null for unknown or none
+ */
+function getFailureLabel(kind) {
+  const match = failureKinds.find(failure => failure.kind === kind);
+  return match ? match.label : null;
+}
+
+/**
+ * Decide whether and when a failed job runs again
+ * @param {Object} job - The job row, with the retries made so far
+ * @param {string} message - The error it failed with
+ * @param {Object} settings - For retry_max_attempts and retry_base_delay_minutes
+ * @returns {{kind: string, label: string|null, retry: boolean, retryAfter: string|null, strategy: Object}}
+ *   strategy combines the job's earlier changes with this failure's;
+ *   retryAfter is a UTC timestamp in SQLite's format
+ */
+function planRetry(job, message, settings) {
+  const { kind, label, retry: retryable, strategy } = classifyFailure(message);
+  const previous = job.retry_strategy ? JSON.parse(job.retry_strategy) : {};
+  const combined = { ...previous, ...(strategy || {}) };
+  
+  // The first run counts as an attempt
+  const attempts = (job.retries || 0) + 1;
+  const retry = retryable && attempts < settings.retry_max_attempts;
+  
+  if (!retry) {
+    return { kind, label, retry, retryAfter: null, strategy: combined };
+  }
+  
+  const delayMinutes = Math.min(
+    settings.retry_base_delay_minutes * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MINUTES
+  );
+  const retryAfter = new Date(Date.now() + delayMinutes * 60 * 1000)
+    .toISOString()
+    .replace('T', ' ')
+    .slice(0, 19);
+  
+  return { kind, label, retry, retryAfter, strategy: combined };
+}
+
+module.exports = {
+  classifyFailure,
+  getFailureLabel,
+  planRetry
+};
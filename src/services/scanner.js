@@ -4,7 +4,18 @@ const { promisify } = require('util');
 const chokidar = require('chokidar');
 const { BrowserWindow } = require('electron');
 const ffmpeg = require('fluent-ffmpeg');
-const { addMedia, getMediaNeedingEncoding, createEncodingJob } = require('./database');
+const { 
+  addMedia, 
+  upsertLibrary,
+  mediaNeedsEncoding,
+  mediaExceedsDownscalePolicy,
+  getMediaNeedingEncoding, 
+  createEncodingJob,
+  getEncodingProfileById,
+  getDefaultEncodingProfile
+} = require('./database');
+const { probeColorInfo } = require('./hdr');
+const { getSourceVideoKbps } = require('./ratecontrol');
 
 // FFmpeg probe is callback based, let's promisify it
 const ffprobeAsync = promisify((filePath, callback) => {
@@ -14,6 +25,9 @@ const ffprobeAsync = promisify((filePath, callback) => {
 // Global watcher reference
 let watcher = null;
 
+// Encoding profile for jobs queued by the watcher
+let watcherProfileId = null;
+
 /**
  * Initialize the scanner service
  */
@@ -26,8 +40,10 @@ async function initializeScanner() {
 /**
  * Scan a library directory for media files
  * @param {string} libraryPath - Path to the library directory
+ * @param {Object} options - Scan options
+ * @param {number} [options.profileId] - Encoding profile for queued jobs, default profile if omitted
  */
-async function scanLibrary(libraryPath) {
+async function scanLibrary(libraryPath, options = {}) {
   try {
     const mainWindow = BrowserWindow.getAllWindows()[0];
     const results = {
@@ -37,8 +53,13 @@ async function scanLibrary(libraryPath) {
       needsEncoding: 0
     };
     
+    const profileId = options.profileId || null;
+    
+    // Remember the library so it can have its own settings
+    upsertLibrary(libraryPath);
+    
     // Start watching this directory for changes
-    setupWatcher(libraryPath);
+    setupWatcher(libraryPath, profileId);
     
     // Process files recursively
     await scanDirectory(libraryPath, results, mainWindow);
@@ -46,7 +67,7 @@ async function scanLibrary(libraryPath) {
     console.log(`Scan completed: ${results.scanned} files scanned, ${results.added} added to database, ${results.needsEncoding} need encoding`);
     
     // Queue encoding for files that need it
-    await queueEncodingJobs();
+    await queueEncodingJobs(profileId);
     
     return results;
   } catch (error) {
@@ -129,6 +150,22 @@ async function processMediaFile(filePath, fileSize) {
     // Determine title and episode name from path
     const { title, episodeName, mediaType } = extractMediaInfo(filePath);
     
+    // HDR format and Dolby Vision profile come from frame side data, which
+    // needs a probe of its own
+    let colorInfo = null;
+    try {
+      colorInfo = await probeColorInfo(filePath);
+    } catch (error) {
+      console.error(`Could not read color info for ${filePath}:`, error.message);
+    }
+    
+    // Size and bitrate are checked against the library's downscale policy;
+    // cover art doesn't count
+    const mainVideo = metadata.streams.find(stream => 
+      stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+    ) || videoStream;
+    const videoKbps = getSourceVideoKbps(metadata, mainVideo.index, Number(metadata.format.duration));
+    
     // Create media info object
     const mediaInfo = {
       title,
@@ -138,13 +175,17 @@ async function processMediaFile(filePath, fileSize) {
       file_size_bytes: fileSize,
       encoding_type: videoStream.codec_name,
       media_type: mediaType,
+      color_info: colorInfo,
+      video_width: mainVideo.width || null,
+      video_height: mainVideo.height || null,
+      video_kbps: videoKbps ? Math.round(videoKbps) : null
     };
     
     // Add to database
     const mediaId = addMedia(mediaInfo);
     
     // Calculate if this needs encoding
-    const needsEncoding = !['hevc', 'h265', 'av1'].includes(videoStream.codec_name.toLowerCase());
+    const needsEncoding = mediaNeedsEncoding(mediaInfo);
     
     return { mediaId, needsEncoding };
   } catch (error) {
@@ -186,17 +227,28 @@ function extractMediaInfo(filePath) {
 
 /**
  * Queue encoding jobs for media that needs encoding
+ * @param {number|null} profileId - Encoding profile for the new jobs
  */
-async function queueEncodingJobs() {
+async function queueEncodingJobs(profileId = null) {
   try {
-    const mediaToEncode = getMediaNeedingEncoding(100);
-    console.log(`Found ${mediaToEncode.length} files that need encoding`);
+    const profile = (profileId && getEncodingProfileById(profileId)) || getDefaultEncodingProfile();
+    
+    // HEVC files are only flagged so they can move to AV1 or be brought
+    // down to their library's downscale policy; otherwise an HEVC profile
+    // would just encode them again in the same codec. Files this profile
+    // couldn't shrink enough before are left out.
+    const mediaToEncode = getMediaNeedingEncoding(100, 0, profile.id).filter(media => 
+      profile.codec === 'av1' || 
+      !['hevc', 'h265'].includes(media.encoding_type.toLowerCase()) ||
+      mediaExceedsDownscalePolicy(media)
+    );
+    console.log(`Found ${mediaToEncode.length} files that need encoding with profile ${profile.name}`);
     
     for (const media of mediaToEncode) {
       // Create encoding job
       // Priority based on file size (larger files get higher priority)
       const priority = Math.floor(media.file_size_bytes / (1024 * 1024 * 100)); // 100MB increments
-      const jobId = createEncodingJob(media.id, priority);
+      const jobId = createEncodingJob(media.id, priority, profileId);
       console.log(`Created encoding job ${jobId} for ${media.title}`);
     }
     
@@ -215,12 +267,14 @@ async function queueEncodingJobs() {
 /**
  * Set up a watcher to monitor for new or changed media files
  */
-function setupWatcher(directoryPath) {
+function setupWatcher(directoryPath, profileId = null) {
   // Close existing watcher if any
   if (watcher) {
     watcher.close();
   }
   
+  watcherProfileId = profileId;
+  
   console.log(`Setting up watcher for ${directoryPath}`);
   
   watcher = chokidar.watch(directoryPath, {
@@ -240,7 +294,7 @@ function setupWatcher(directoryPath) {
           const stat = await fs.stat(filePath);
           await processMediaFile(filePath, stat.size);
           // If new file needs encoding, add it to the queue
-          await queueEncodingJobs();
+          await queueEncodingJobs(watcherProfileId);
         } catch (error) {
           console.error(`Error processing new file ${filePath}:`, error);
         }
@@ -0,0 +1,123 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { getFfprobePath } = require('./binaries');
+
+// Seeking to every split point is quick, but the file may be on a slow share
+const PROBE_TIMEOUT_MS = 120000;
+
+// How much video is read after each target to find a keyframe near it
+const KEYFRAME_SEARCH_SECONDS = 20;
+
+/**
+ * List keyframe times near the given targets, reading only a little of the
+ * video at each one
+ * @param {string} filePath - Source file
+ * @param {number} videoIndex - Stream index of the video that is encoded
+ * @param {number[]} targets - Absolute timestamps in seconds
+ * @returns {Promise<number[]>} Sorted keyframe timestamps
+ */
+async function findKeyframes(filePath, videoIndex, targets) {
+  const intervals = targets.map(target => `${target.toFixed(3)}%+${KEYFRAME_SEARCH_SECONDS}`);
+  
+  const output = await new Promise((resolve, reject) => {
+    execFile(getFfprobePath(), [
+      '-v', 'error',
+      '-select_streams', String(videoIndex),
+      '-show_entries', 'packet=pts_time,flags',
+      '-read_intervals', intervals.join(','),
+      '-of', 'csv=p=0',
+      filePath
+    ], { timeout: PROBE_TIMEOUT_MS, windowsHide: true, maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+  
+  const keyframes = output.split(/\r?\n/)
+    .map(line => line.split(','))
+    .filter(([, flags]) => flags && flags.includes('K'))
+    .map(([time]) => parseFloat(time))
+    .filter(time => Number.isFinite(time));
+  
+  return [...new Set(keyframes)].sort((a, b) => a - b);
+}
+
+/**
+ * Split a source into segments of roughly segmentSeconds, each starting on
+ * a keyframe so it can be encoded on its own
+ * @param {string} filePath - Source file
+ * @param {number} videoIndex - Stream index of the video that is encoded
+ * @param {number} durationSeconds - Source duration
+ * @param {number} segmentSeconds - Target segment length
+ * @param {number} [startTime] - The source's start timestamp; segment starts are relative to it
+ * @returns {Promise<Object[]>} { number, start, duration } per segment; the
+ *   last one has a null duration and runs to the end
+ */
+async function planSegments(filePath, videoIndex, durationSeconds, segmentSeconds, startTime = 0) {
+  const targets = [];
+  for (let time = segmentSeconds; time < durationSeconds - segmentSeconds / 2; time += segmentSeconds) {
+    targets.push(startTime + time);
+  }
+  
+  if (targets.length === 0) {
+    return [];
+  }
+  
+  const keyframes = (await findKeyframes(filePath, videoIndex, targets)).map(time => time - startTime);
+  
+  // Take the keyframe closest to each target, skipping any that would make
+  // a segment less than half the target length
+  const starts = [0];
+  for (const target of targets.map(time => time - startTime)) {
+    const closest = keyframes.reduce((best, time) =>
+      best === null || Math.abs(time - target) < Math.abs(best - target) ? time : best
+    , null);
+    
+    if (closest === null) continue;
+    
+    const previous = starts[starts.length - 1];
+    if (closest - previous >= segmentSeconds / 2 && durationSeconds - closest >= segmentSeconds / 2) {
+      starts.push(closest);
+    }
+  }
+  
+  return starts.map((start, index) => ({
+    number: index + 1,
+    start,
+    duration: index < starts.length - 1 ? starts[index + 1] - start : null
+  }));
+}
+
+/**
+ * Path of one encoded segment
+ */
+function getSegmentPath(segmentDir, segment) {
+  return path.join(segmentDir, `segment-${String(segment.number).padStart(3, '0')}.mkv`);
+}
+
+/**
+ * Write the list the concat demuxer joins the segments from
+ * @returns {Promise<string>} Path of the list
+ */
+async function writeConcatList(segmentDir, segments) {
+  const listPath = path.join(segmentDir, 'segments.txt');
+  
+  // Single quotes in a path are written as '\''
+  const lines = segments.map(segment =>
+    `file '${getSegmentPath(segmentDir, segment).replace(/'/g, "'\\''")}'`
+  );
+  
+  await fs.writeFile(listPath, `${lines.join('\n')}\n`);
+  
+  return listPath;
+}
+
+module.exports = {
+  planSegments,
+  getSegmentPath,
+  writeConcatList
+};
@@ -0,0 +1,450 @@
+const path = require('path');
+const { promisify } = require('util');
+const ffmpeg = require('fluent-ffmpeg');
+
+// FFmpeg probe is callback based, let's promisify it. Chapters aren't part of
+// the default probe output, so they're asked for explicitly.
+const ffprobeWithChaptersAsync = promisify((filePath, callback) => {
+  ffmpeg.ffprobe(filePath, ['-show_chapters'], callback);
+});
+
+// Audio codecs that are lossless or uncompressed, for the transcode policy
+const losslessAudioCodecs = ['truehd', 'mlp', 'flac', 'alac', 'wavpack', 'tta', 'ape'];
+
+// Most channels each transcode target can carry; more are downmixed
+const audioCodecMaxChannels = {
+  eac3: 6,
+  libopus: 8,
+  aac: 8
+};
+
+// Subtitle codecs that are plain or styled text and can be converted between containers
+const textSubtitleCodecs = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Audio codecs the MP4 family of containers can hold
+const mp4AudioCodecs = ['aac', 'ac3', 'eac3', 'mp3', 'opus', 'flac', 'alac'];
+
+// What each output container can hold. Subtitles in other codecs are converted
+// to textSubtitle when they're text; bitmap subtitles can't be converted.
+// Audio outside the list (null allows any) is transcoded by the audio policy.
+// Containers not listed get every stream copied as-is.
+const containerRules = {
+  '.mkv': {
+    audio: null,
+    subtitles: ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle'],
+    textSubtitle: 'subrip',
+    attachments: true
+  },
+  '.mp4': {
+    audio: mp4AudioCodecs,
+    subtitles: ['mov_text'],
+    textSubtitle: 'mov_text',
+    attachments: false
+  },
+  '.m4v': {
+    audio: mp4AudioCodecs,
+    subtitles: ['mov_text'],
+    textSubtitle: 'mov_text',
+    attachments: false
+  },
+  '.mov': {
+    audio: mp4AudioCodecs,
+    subtitles: ['mov_text'],
+    textSubtitle: 'mov_text',
+    attachments: false
+  }
+};
+
+// Containers the MP4 muxer writes; these get the index moved to the front for streaming
+const mp4Containers = ['.mp4', '.m4v', '.mov'];
+
+// Stream types that are checked after the encode
+const checkedStreamTypes = ['video', 'audio', 'subtitle', 'attachment'];
+
+/**
+ * Probe a file's streams, format and chapters
+ */
+async function probeMedia(filePath) {
+  return ffprobeWithChaptersAsync(filePath);
+}
+
+/**
+ * Get a file's duration in seconds from its probe data, or null if unknown
+ */
+function getDuration(metadata) {
+  const duration = parseFloat(metadata.format && metadata.format.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+/**
+ * Pick the output container for a source. Sources in containers without
+ * rules (AVI, WMV, FLV, MPEG) always move to the legacy container, and MKV
+ * is used whenever the chosen container can't hold one of the streams.
+ * @param {Object} metadata - ffprobe output for the source
+ * @param {string} inputExt - Extension of the source file
+ * @param {string[]|null} codecContainers - Containers the output codec allows, null for any
+ * @param {Object} settings - output_container ('keep', 'mkv', 'mp4') and legacy_container ('mkv', 'mp4')
+ * @returns {string} Extension of the output file
+ */
+function chooseContainer(metadata, inputExt, codecContainers, settings) {
+  let outputExt = inputExt.toLowerCase();
+  
+  if (settings.output_container !== 'keep') {
+    outputExt = `.${settings.output_container}`;
+  } else if (!containerRules[outputExt]) {
+    outputExt = `.${settings.legacy_container}`;
+  }
+  
+  if (codecContainers && !codecContainers.includes(outputExt)) {
+    outputExt = codecContainers[0];
+  }
+  
+  if (outputExt !== '.mkv') {
+    try {
+      planStreams(metadata, outputExt);
+    } catch (error) {
+      console.log(`Using .mkv instead of ${outputExt}: ${error.message}`);
+      outputExt = '.mkv';
+    }
+  }
+  
+  // Keep the source's spelling when the container doesn't change
+  return outputExt === inputExt.toLowerCase() ? inputExt : outputExt;
+}
+
+/**
+ * Decide what happens to every stream of a source when it's written to the
+ * given container. The first real video stream is encoded; everything else is
+ * copied, or converted when the container can't hold it.
+ * @param {Object} metadata - ffprobe output for the source, from probeMedia
+ * @param {string} outputExt - Extension of the output file
+ * @returns {{streams: Array, chapters: number}} Streams in output order
+ */
+function planStreams(metadata, outputExt) {
+  const rules = containerRules[outputExt.toLowerCase()] || null;
+  const streams = metadata.streams.map(stream => ({
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name,
+    profile: stream.profile || null,
+    channels: stream.channels || null,
+    language: (stream.tags && stream.tags.language) || null,
+    title: (stream.tags && stream.tags.title) || null,
+    disposition: stream.disposition || {},
+    action: 'copy',
+    targetCodec: null,
+    bitrateKbps: null,
+    targetChannels: null,
+    filters: [],
+    metadata: {},
+    reason: null
+  }));
+  
+  // Cover art shows up as a video stream with the attached_pic disposition
+  const mainVideo = streams.find(stream => stream.type === 'video' && !stream.disposition.attached_pic);
+  if (!mainVideo) {
+    throw new Error('Source has no video stream to encode');
+  }
+  mainVideo.action = 'encode';
+  
+  for (const stream of streams) {
+    if (stream === mainVideo) continue;
+    
+    if (!checkedStreamTypes.includes(stream.type)) {
+      // Data streams (timecodes, telemetry) mean nothing to players
+      stream.action = 'drop';
+      stream.reason = `${stream.type} streams are not kept`;
+    } else if (stream.type === 'subtitle' && rules && !rules.subtitles.includes(stream.codec)) {
+      if (!textSubtitleCodecs.includes(stream.codec)) {
+        throw new Error(`Subtitle stream ${stream.index} (${stream.codec}) can't be stored in ${outputExt} and can't be converted`);
+      }
+      stream.action = 'convert';
+      stream.targetCodec = rules.textSubtitle;
+    } else if (stream.type === 'attachment' && rules && !rules.attachments) {
+      throw new Error(`Attachment stream ${stream.index} can't be stored in ${outputExt}`);
+    }
+  }
+  
+  // The encoded video goes first so backend options apply to output stream v:0
+  return {
+    container: outputExt.toLowerCase(),
+    streams: [mainVideo, ...streams.filter(stream => stream !== mainVideo)],
+    chapters: (metadata.chapters || []).length
+  };
+}
+
+/**
+ * Drop audio and subtitle streams the track selection rules don't keep.
+ * Streams without a language tag are always kept, and if no audio stream
+ * would be left the audio is kept as-is.
+ * @param {Object} plan - Plan from planStreams, changed in place
+ * @param {Object} rules - Track selection rules (the stream_rules setting)
+ * @returns {Object} The plan
+ */
+function applyStreamRules(plan, rules) {
+  if (!rules || !rules.enabled) {
+    return plan;
+  }
+  
+  const normalize = (languages) => (languages || []).map(language => language.trim().toLowerCase()).filter(Boolean);
+  const audioLanguages = normalize(rules.audio_languages);
+  const subtitleLanguages = normalize(rules.subtitle_languages);
+  
+  const audioStreams = plan.streams.filter(stream => stream.type === 'audio' && stream.action !== 'drop');
+  const subtitleStreams = plan.streams.filter(stream => stream.type === 'subtitle' && stream.action !== 'drop');
+  
+  // Without an explicit original language, the first audio track is taken as the original
+  const firstTagged = audioStreams.find(stream => hasLanguage(stream));
+  const originalLanguage = (rules.original_language || '').trim().toLowerCase() || 
+    (firstTagged ? firstTagged.language.toLowerCase() : null);
+  
+  const keepAudio = (stream) => 
+    !hasLanguage(stream) ||
+    (rules.keep_commentary && isCommentary(stream)) ||
+    (rules.keep_original_audio && stream.language.toLowerCase() === originalLanguage) ||
+    audioLanguages.includes(stream.language.toLowerCase());
+  
+  if (audioStreams.some(keepAudio)) {
+    for (const stream of audioStreams.filter(stream => !keepAudio(stream))) {
+      stream.action = 'drop';
+      stream.reason = `Audio language ${stream.language} is not kept`;
+    }
+  }
+  
+  // An empty subtitle list keeps every subtitle
+  if (subtitleLanguages.length > 0) {
+    const keepSubtitle = (stream) => 
+      !hasLanguage(stream) ||
+      (rules.keep_commentary && isCommentary(stream)) ||
+      (rules.keep_forced_subtitles && isForced(stream)) ||
+      subtitleLanguages.includes(stream.language.toLowerCase());
+    
+    for (const stream of subtitleStreams.filter(stream => !keepSubtitle(stream))) {
+      stream.action = 'drop';
+      stream.reason = `Subtitle language ${stream.language} is not kept`;
+    }
+  }
+  
+  return plan;
+}
+
+/**
+ * Transcode audio the policy or the output container calls for, and add a
+ * stereo AAC track when the kept audio has none.
+ * @param {Object} plan - Plan from planStreams, changed in place
+ * @param {Object} policy - Audio policy (the audio_policy setting), with
+ *   transcode_all set when a retry re-encodes tracks that failed to copy
+ * @returns {Object} The plan
+ */
+function applyAudioPolicy(plan, policy) {
+  const rules = containerRules[plan.container] || null;
+  const targetCodec = policy.transcode_codec === 'opus' ? 'libopus' : 'eac3';
+  const audioStreams = plan.streams.filter(stream => stream.type === 'audio' && stream.action !== 'drop');
+  
+  for (const stream of audioStreams) {
+    const unsupported = rules && rules.audio && !rules.audio.includes(stream.codec);
+    
+    const lossless = policy.transcode_lossless && isLosslessAudio(stream);
+    
+    if (unsupported || lossless || policy.transcode_all) {
+      const channels = Math.min(stream.channels || 2, audioCodecMaxChannels[targetCodec]);
+      
+      stream.action = 'transcode';
+      stream.targetCodec = targetCodec;
+      stream.targetChannels = channels < (stream.channels || 2) ? channels : null;
+      stream.bitrateKbps = channels > 2 ? policy.surround_bitrate_kbps : policy.stereo_bitrate_kbps;
+      
+      // libopus rejects the "side" surround layouts common in older sources
+      if (targetCodec === 'libopus' && channels > 2) {
+        stream.filters = [...stream.filters, 'aformat=channel_layouts=7.1|5.1|stereo'];
+      }
+      if (unsupported) {
+        stream.reason = `${stream.codec} can't be stored in ${plan.container}`;
+      } else if (lossless) {
+        stream.reason = `${stream.codec} is lossless`;
+      } else {
+        stream.reason = `${stream.codec} failed to copy on an earlier attempt`;
+      }
+    }
+  }
+  
+  // Clients without surround support transcode on the fly unless there's a stereo track
+  if (policy.add_stereo_track && audioStreams.length > 0 && 
+      !audioStreams.some(stream => stream.channels && stream.channels <= 2)) {
+    const source = audioStreams.find(stream => stream.disposition.default) || audioStreams[0];
+    const lastAudio = plan.streams.lastIndexOf(audioStreams[audioStreams.length - 1]);
+    
+    plan.streams.splice(lastAudio + 1, 0, {
+      ...source,
+      disposition: { ...source.disposition, default: 0 },
+      action: 'transcode',
+      targetCodec: 'aac',
+      targetChannels: 2,
+      bitrateKbps: policy.stereo_track_bitrate_kbps,
+      filters: [],
+      metadata: { title: 'Stereo' },
+      reason: 'Compatibility stereo track',
+      added: true
+    });
+  }
+  
+  // Only re-encoded tracks can be normalized; copies pass through untouched
+  if (policy.normalize_loudness) {
+    for (const stream of plan.streams.filter(stream => stream.type === 'audio' && stream.action === 'transcode')) {
+      stream.filters = [...stream.filters, `loudnorm=I=${policy.loudness_target_lufs}:TP=-2:LRA=11`];
+    }
+  }
+  
+  return plan;
+}
+
+/**
+ * Check whether an audio stream is lossless or uncompressed PCM
+ */
+function isLosslessAudio(stream) {
+  return losslessAudioCodecs.includes(stream.codec) ||
+    stream.codec.startsWith('pcm_') ||
+    (stream.codec === 'dts' && /MA|HRA/.test(stream.profile || ''));
+}
+
+/**
+ * Check whether a stream has a real language tag
+ */
+function hasLanguage(stream) {
+  return !!stream.language && stream.language.toLowerCase() !== 'und';
+}
+
+/**
+ * Commentary is flagged by disposition in newer files and by title in older ones
+ */
+function isCommentary(stream) {
+  return !!stream.disposition.comment || /commentary/i.test(stream.title || '');
+}
+
+/**
+ * Forced subtitles are flagged by disposition or, in some rips, by title
+ */
+function isForced(stream) {
+  return !!stream.disposition.forced || /forced/i.test(stream.title || '');
+}
+
+/**
+ * Build the -map and per-stream codec arguments for a stream plan. Goes after
+ * the backend's video arguments so the per-stream codecs override -c:v.
+ * @param {Object} [options]
+ * @param {number} [options.sourceInput] - ffmpeg input the source is, default 0
+ * @param {string} [options.videoInput] - Stream to copy the already encoded
+ *   video from, e.g. '0:0' for joined segments, instead of encoding it
+ */
+function buildStreamArgs(plan, options = {}) {
+  const sourceInput = options.sourceInput || 0;
+  const mapArgs = [];
+  const codecArgs = [];
+  const outputIndex = {};
+  
+  for (const stream of plan.streams) {
+    if (stream.action === 'drop') continue;
+    
+    const typeIndex = outputIndex[stream.type] || 0;
+    outputIndex[stream.type] = typeIndex + 1;
+    
+    const specifier = `${streamTypeSpecifier(stream.type)}:${typeIndex}`;
+    
+    if (stream.action === 'encode' && options.videoInput) {
+      // The stream's tags are still the source's
+      mapArgs.push('-map', options.videoInput);
+      codecArgs.push(`-c:${specifier}`, 'copy', `-map_metadata:s:${specifier}`, `${sourceInput}:s:${stream.index}`);
+      continue;
+    }
+    
+    mapArgs.push('-map', `${sourceInput}:${stream.index}`);
+    
+    if (stream.action === 'encode') continue;
+    
+    if (stream.action !== 'transcode') {
+      codecArgs.push(`-c:${specifier}`, stream.action === 'convert' ? stream.targetCodec : 'copy');
+      continue;
+    }
+    
+    codecArgs.push(`-c:${specifier}`, stream.targetCodec, `-b:${specifier}`, `${stream.bitrateKbps}k`);
+    
+    if (stream.targetChannels) {
+      codecArgs.push(`-ac:${specifier}`, String(stream.targetChannels));
+    }
+    
+    if (stream.filters.length > 0) {
+      codecArgs.push(`-filter:${specifier}`, stream.filters.join(','));
+    }
+    
+    for (const [key, value] of Object.entries(stream.metadata)) {
+      codecArgs.push(`-metadata:s:${specifier}`, `${key}=${value}`);
+    }
+    
+    if (stream.added) {
+      codecArgs.push(`-disposition:${specifier}`, '0');
+    }
+  }
+  
+  return [
+    ...mapArgs,
+    '-map_metadata', String(sourceInput),
+    '-map_chapters', String(sourceInput),
+    ...codecArgs,
+    ...(mp4Containers.includes(plan.container) ? ['-movflags', '+faststart'] : [])
+  ];
+}
+
+/**
+ * ffmpeg's stream specifier letter for a stream type
+ */
+function streamTypeSpecifier(type) {
+  return { video: 'v', audio: 'a', subtitle: 's', attachment: 't', data: 'd' }[type];
+}
+
+/**
+ * Count the streams of each checked type and the chapters in probe data
+ */
+function countStreams(metadata) {
+  const counts = { chapters: (metadata.chapters || []).length };
+  
+  for (const type of checkedStreamTypes) {
+    counts[type] = metadata.streams.filter(stream => stream.codec_type === type).length;
+  }
+  
+  return counts;
+}
+
+/**
+ * Compare an encode's streams and chapters with what the plan kept. Returns
+ * null when everything is there, otherwise a description of what's missing.
+ */
+async function verifyStreams(plan, outputPath) {
+  const expected = { chapters: plan.chapters };
+  for (const type of checkedStreamTypes) {
+    expected[type] = plan.streams.filter(stream => stream.type === type && stream.action !== 'drop').length;
+  }
+  
+  const actual = countStreams(await probeMedia(outputPath));
+  
+  const missing = Object.keys(expected)
+    .filter(key => actual[key] < expected[key])
+    .map(key => `${key === 'chapters' ? 'chapters' : `${key} streams`}: expected ${expected[key]}, found ${actual[key]}`);
+  
+  if (missing.length === 0) {
+    return null;
+  }
+  
+  return `${path.basename(outputPath)} is missing ${missing.join('; ')}`;
+}
+
+module.exports = {
+  probeMedia,
+  getDuration,
+  chooseContainer,
+  planStreams,
+  applyStreamRules,
+  applyAudioPolicy,
+  buildStreamArgs,
+  countStreams,
+  verifyStreams
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { encodeSample } = require('./preview');
+const { measureQuality, getSampleSegments } = require('./quality');
+const { buildPictureFilters } = require('./picture');
+
+// Range of common quality values searched, on the x265 CRF scale. Below 14
+// files get huge for no visible gain; above 38 no target worth setting is met.
+const MIN_SEARCH_QUALITY = 14;
+const MAX_SEARCH_QUALITY = 38;
+
+const DEFAULT_TARGET_VMAF = 95;
+
+/**
+ * Binary-search the quality value for a file: the highest value (smallest
+ * file) whose encode of the sample clips still reaches the target VMAF
+ * @param {string} filePath - Source file
+ * @param {Object} options - Search options
+ * @param {number} [options.targetVmaf] - Mean VMAF over the samples to reach
+ * @param {Object} options.backend - Backend the job uses
+ * @param {Object} options.profile - Encoding profile; its quality value is replaced
+ * @param {Object} options.videoOptions - Overrides for buildVideoArgs, as for the real encode
+ * @param {string[]} options.extraArgs - The profile's extra arguments, already split
+ * @param {Object} options.streamPlan - From planStreams, for the video stream
+ * @param {number} options.durationSeconds - Source duration
+ * @param {number} options.sampleCount - Number of clips
+ * @param {number} options.sampleSeconds - Length of each clip
+ * @param {string} options.outputDir - Directory for the clips, removed afterwards
+ * @param {Function} [options.onStep] - Called with { quality, score } after each step
+ * @param {AbortSignal} [options.signal] - Aborts the search and kills ffmpeg
+ * @returns {Promise<{quality: number, score: number, targetVmaf: number, steps: Array}>}
+ *   When even the best quality searched misses the target, that value is
+ *   returned with its score
+ */
+async function findQualityForVmaf(filePath, options) {
+  const { durationSeconds, outputDir, signal } = options;
+  const targetVmaf = options.targetVmaf || DEFAULT_TARGET_VMAF;
+  
+  // A short file is encoded whole at every step
+  const clips = getSampleSegments(durationSeconds, options.sampleCount, options.sampleSeconds) ||
+    [{ start: 0, duration: durationSeconds }];
+  
+  const steps = [];
+  
+  const measure = async (quality) => {
+    const profile = { ...options.profile, quality_value: quality };
+    const scores = [];
+    
+    for (const [index, clip] of clips.entries()) {
+      const samplePath = path.join(outputDir, `quality-${quality}-${index + 1}.mkv`);
+      
+      await encodeSample(filePath, samplePath, clip, { ...options, profile });
+      const result = await measureQuality(filePath, samplePath, {
+        metric: 'vmaf',
+        scope: 'full',
+        referenceStart: clip.start,
+        durationSeconds: clip.duration,
+        referenceFilters: buildPictureFilters(options.videoOptions.picture),
+        signal
+      });
+      await fs.remove(samplePath);
+      
+      scores.push(result.score);
+    }
+    
+    const step = { quality, score: scores.reduce((sum, score) => sum + score, 0) / scores.length };
+    steps.push(step);
+    
+    if (options.onStep) {
+      options.onStep(step);
+    }
+    
+    return step;
+  };
+  
+  await fs.ensureDir(outputDir);
+  
+  try {
+    let low = MIN_SEARCH_QUALITY;
+    let high = MAX_SEARCH_QUALITY;
+    let best = null;
+    
+    while (low <= high) {
+      const step = await measure(Math.floor((low + high) / 2));
+      
+      if (step.score >= targetVmaf) {
+        best = step;
+        low = step.quality + 1;
+      } else {
+        high = step.quality - 1;
+      }
+    }
+    
+    // Every value missed, so the last one measured was the lowest
+    if (!best) {
+      best = steps[steps.length - 1];
+    }
+    
+    return { quality: best.quality, score: best.score, targetVmaf, steps };
+  } finally {
+    await fs.remove(outputDir);
+  }
+}
+
+module.exports = {
+  DEFAULT_TARGET_VMAF,
+  findQualityForVmaf
+};